@@ -169,9 +169,7 @@ function validateForm() {
     let allValid = true;
 
     numberInputs.forEach(input => {
-        const errorEl = input.parentElement.querySelector('.input-error');
-        if (errorEl) errorEl.remove();
-        input.classList.remove('input-invalid');
+        clearInvalid(input);
 
         const raw = input.value.trim();
         if (raw === '') {
@@ -180,58 +178,89 @@ function validateForm() {
             return;
         }
 
-        const val = parseFloat(raw);
-        if (!Number.isFinite(val)) {
-            markInvalid(input, 'Must be a valid number');
+        // Limits come from the engine's rule table, shared with validateInputs
+        const message = inputValueError(input.id, parseFloat(raw));
+        if (message) {
+            markInvalid(input, message);
             allValid = false;
-            return;
         }
+    });
 
-        const min = input.hasAttribute('min') ? parseFloat(input.getAttribute('min')) : null;
-        const max = input.hasAttribute('max') ? parseFloat(input.getAttribute('max')) : null;
+    // Population group and age/sex shares each split the people to feed, so they must add up to 1.
+    // In households mode the age/sex shares set the population groups (see syncNutrientShares).
+    const householdsMode = form.elements['beneficiary_mode'] && form.elements['beneficiary_mode'].value === 'households';
+    const shareSets = [
+        { ids: DEMOGRAPHIC_GROUPS.map(g => `composition_${g.key}`), label: 'Age/sex shares' },
+    ];
+    if (!householdsMode) {
+        shareSets.push({ ids: POPULATION_GROUPS.map(g => `population_share_${g.key}`), label: 'Population shares' });
+    }
+    shareSets.forEach(({ ids, label }) => {
+        const shareInputs = ids.map(id => form.elements[id]).filter(Boolean);
+        if (shareInputs.length === 0 || shareInputs.some(input => input.classList.contains('input-invalid'))) return;
+        const shareSum = shareInputs.reduce((sum, input) => sum + parseFloat(input.value), 0);
+        if (Math.abs(shareSum - 1) > 0.001) {
+            markInvalid(shareInputs[0], `${label} must add up to 1 (now ${Math.round(shareSum * 1000) / 1000})`);
+            allValid = false;
+        }
+    });
 
-        if (min !== null && val < min) {
-            markInvalid(input, `Minimum value is ${min}`);
+    const pregnantInput = form.elements['population_share_pregnant_lactating'];
+    if (householdsMode && pregnantInput && !pregnantInput.classList.contains('input-invalid')) {
+        const femaleShare = ['composition_girls_10_19', 'composition_women_20_59']
+            .reduce((sum, id) => sum + parseFloat(form.elements[id].value), 0);
+        if (parseFloat(pregnantInput.value) > femaleShare + 0.001) {
+            markInvalid(pregnantInput, `Cannot exceed the girls 10-19 and women 20-59 shares (now ${Math.round(femaleShare * 1000) / 1000})`);
             allValid = false;
-            return;
         }
+    }
+
+    // Comma-separated number lists (e.g. sub-generation yield fractions)
+    form.querySelectorAll('input[data-list]').forEach(input => {
+        clearInvalid(input);
 
-        if (max !== null && val > max) {
-            markInvalid(input, `Maximum value is ${max}`);
+        const values = parseNumberList(input.value);
+        if ((values.length === 0 && input.required) || values.some(v => !Number.isFinite(v))) {
+            markInvalid(input, 'Enter comma-separated numbers');
             allValid = false;
             return;
         }
 
-        // Range validation for rate fields (must be 0-1)
-        const rateFields = ['slip_survival_rate', 'crop_survival_rate', 'storage_survival_rate'];
-        if (rateFields.includes(input.id)) {
-            if (val < 0 || val > 1) {
-                markInvalid(input, 'Rate must be between 0 and 1');
-                allValid = false;
-                return;
-            }
+        if (input.id === 'land_expansion_ha' && values.some(v => v < 0)) {
+            markInvalid(input, 'Hectares cannot be negative');
+            allValid = false;
+            return;
         }
 
-        // initial_slips: positive integer
-        if (input.id === 'initial_slips') {
-            if (val <= 0 || !Number.isInteger(val)) {
-                markInvalid(input, 'Slips must be a positive whole number');
+        if (input.id === 'sub_gen_yields') {
+            if (values.some(v => v < 0 || v > 1)) {
+                markInvalid(input, 'Each yield fraction must be between 0 and 1');
                 allValid = false;
                 return;
             }
         }
+    });
 
-        // All numeric fields must be positive (> 0)
-        if (val <= 0) {
-            markInvalid(input, 'Value must be greater than zero');
+    // Season month ranges (e.g. rainy seasons)
+    form.querySelectorAll('input[data-seasons]').forEach(input => {
+        clearInvalid(input);
+
+        if (parseSeasonWindows(input.value) === null) {
+            markInvalid(input, 'Enter month ranges such as "Apr-Jun, Sep-Nov"');
             allValid = false;
-            return;
         }
     });
 
     return allValid;
 }
 
+// Inputs share a grid, so only the message directly after this input is its own
+function clearInvalid(input) {
+    const errorEl = input.nextElementSibling;
+    if (errorEl && errorEl.classList.contains('input-error')) errorEl.remove();
+    input.classList.remove('input-invalid');
+}
+
 function markInvalid(input, message) {
     input.classList.add('input-invalid');
     const err = document.createElement('span');
@@ -251,207 +280,125 @@ function getInputs() {
         if (element.id && element.type === 'number') {
             const val = parseFloat(element.value);
             inputs[element.id] = Number.isFinite(val) ? val : 0;
+        } else if (element.id && element.dataset.list !== undefined) {
+            inputs[element.id] = parseNumberList(element.value).filter(Number.isFinite);
+        } else if (element.id && element.dataset.choice !== undefined) {
+            inputs[element.id] = element.value;
+        } else if (element.id && element.dataset.seasons !== undefined) {
+            inputs[element.id] = element.value.trim();
+        } else if (element.id && element.type === 'date' && element.value) {
+            inputs[element.id] = element.value;
         }
     }
+    // Field actuals live outside the form but are saved with the scenario
+    if (Object.keys(fieldActuals).length > 0) {
+        inputs.actuals = JSON.parse(JSON.stringify(fieldActuals));
+    }
+    // So is the preset the form was filled from
+    if (appliedPreset) inputs.preset = { ...appliedPreset };
     return inputs;
 }
 
-/**
- * Calculates a single generation's harvest and cost.
- *
- * Area is derived from slips / planting density (not manually specified).
- * Yield formula: tons = (slips / density) * yield_per_ha * harvest% * yieldFraction
- *
- * isSubGen: true for vine-cutting sub-generations (1a/1b/1c etc.)
- *   Sub-gens yield a reduced fraction (yieldFraction) and only incur
- *   maintenance costs (no land clearing, forking, herbicide, slip purchase).
- */
-function calcGeneration(name, slipsPlanted, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, includeSlipCost, isSubGen, yieldFraction) {
-    isSubGen = isSubGen || false;
-    yieldFraction = yieldFraction || 1.0;
-
-    // Derive area from slips and planting density
-    const plantingDensity = inputs.planting_density || 33000;
-    const hectares = plantingDensity > 0 ? slipsPlanted / plantingDensity : 0;
-
-    // Area-based yield: tons = area * yield_per_ha * harvest% * yieldFraction
-    const tonsHarvested = hectares * inputs.tons_per_hectare * inputs.tons_harvest_percent * yieldFraction;
-    const potatoesHarvested = inputs.grams_per_potato > 0
-        ? (tonsHarvested * inputs.grams_per_ton) / inputs.grams_per_potato
-        : 0;
-
-    const caloriesPerTon = inputs.grams_per_ton > 0 && inputs.grams_per_potato > 0
-        ? (inputs.grams_per_ton / inputs.grams_per_potato) * inputs.calories_per_potato_with_leaves
-        : 0;
-    const caloriesNeededPerDay = inputs.people_to_feed * inputs.calorie_target_per_person;
-    const daysFed = caloriesNeededPerDay > 0
-        ? (tonsHarvested * caloriesPerTon) / caloriesNeededPerDay
-        : 0;
-
-    let cost;
-    if (isSubGen) {
-        cost = maintenanceCostPerHectare * hectares;
-    } else {
-        const slipCost = includeSlipCost ? slipsPlanted * inputs.cost_slip_per_unit : 0;
-        cost = (costPerHectareNoSlips * hectares) + slipCost;
-    }
+// --- Currency ---
 
-    // Vitamin A: mcg RAE produced = tons * grams_per_ton / 100 * vitamin_a_per_100g
-    const vitaminAMcg = (inputs.vitamin_a_per_100g > 0)
-        ? tonsHarvested * inputs.grams_per_ton / 100 * inputs.vitamin_a_per_100g
-        : 0;
-    const vitaminAChildDays = (inputs.daily_vitamin_a_need > 0)
-        ? vitaminAMcg / inputs.daily_vitamin_a_need
-        : 0;
+// Inputs whose display currency and exchange rates money is shown in; follows the form on every run
+let currencyInputs = DEFAULT_INPUTS;
 
-    return {
-        name,
-        hectares,
-        slips_planted: slipsPlanted,
-        potatoes_harvested: potatoesHarvested,
-        tons_harvested: tonsHarvested,
-        days_fed: daysFed,
-        vitamin_a_mcg: vitaminAMcg,
-        vitamin_a_child_days: vitaminAChildDays,
-        cost,
-    };
+function setDisplayCurrency(inputs) {
+    currencyInputs = inputs;
+    const code = displayCurrency(inputs);
+    document.querySelectorAll('.currency-code').forEach(el => { el.textContent = code; });
 }
 
 /**
- * The main calculation engine, ported from the spreadsheet logic.
- *
- * Sub-generations (1a/1b/1c etc.) represent sequential vine-cutting
- * harvests from the same land, yielding progressively less (40%, 25%, 15%)
- * and only incurring maintenance costs (no land prep / slip purchase).
- *
- * The annual projection divides total output by the time the propagation
- * chain actually takes, then scales to 365 days — instead of naively
- * multiplying by cycles_per_year.
- */
-function calculateSimulation(inputs) {
-    const lossFactor = inputs.slip_survival_rate * inputs.crop_survival_rate * inputs.storage_survival_rate;
-
-    // --- Cost per hectare (excluding slips) - full prep for main generations ---
-    const laborPerAcre = inputs.cost_land_clearing_per_acre + inputs.cost_forking_per_acre +
-        inputs.cost_planting_per_acre + inputs.cost_weeding_per_acre +
-        inputs.cost_fertilizer_app_per_acre + inputs.cost_harvesting_per_acre;
-
-    const suppliesPerAcre = inputs.cost_herbicide_per_acre + inputs.cost_fertilizer_per_acre +
-        inputs.cost_tools_per_acre + inputs.cost_other_per_acre +
-        inputs.cost_transport_per_acre;
-
-    const costPerHectareNoSlips = (laborPerAcre + suppliesPerAcre + inputs.cost_irrigation_per_acre) * inputs.acres_per_hectare;
-
-    // --- Maintenance-only cost for sub-gens (weeding, fertilizer app, harvesting, transport) ---
-    const maintenancePerAcre = inputs.cost_weeding_per_acre + inputs.cost_fertilizer_app_per_acre +
-        inputs.cost_harvesting_per_acre + inputs.cost_transport_per_acre;
-    const maintenanceCostPerHectare = maintenancePerAcre * inputs.acres_per_hectare;
-
-    // Sub-generation yield fractions (declining ratoon harvests)
-    const subGenYields = [0.40, 0.25, 0.15];
-
-    // --- Generation 1 ---
-    const gen1 = calcGeneration("Generation 1", inputs.initial_slips, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, true, false, 1.0);
-
-    // --- Gen 1a, 1b, 1c: vine cutting regrowth from Gen 1 plants ---
-    // Vine cutting slips use crop_survival (not slip_survival again) to avoid double-penalizing
-    const vineCuttingSlips = gen1.potatoes_harvested > 0
-        ? (gen1.slips_planted * inputs.crop_survival_rate) * inputs.vine_cuttings_per_plant
-        : 0;
-    const gen1a = calcGeneration("Gen 1a (vine)", vineCuttingSlips, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, false, true, subGenYields[0]);
-    const gen1b = calcGeneration("Gen 1b (vine)", vineCuttingSlips, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, false, true, subGenYields[1]);
-    const gen1c = calcGeneration("Gen 1c (vine)", vineCuttingSlips, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, false, true, subGenYields[2]);
-
-    // --- Generation 2: replanted tubers from Gen 1 ---
-    const gen2SlipsPlanted = gen1.potatoes_harvested * inputs.replant_percent * inputs.slips_from_replant;
-    const gen2 = calcGeneration("Generation 2", gen2SlipsPlanted, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, false, false, 1.0);
-
-    const vineCuttingSlips2 = gen2.potatoes_harvested > 0
-        ? (gen2.slips_planted * inputs.crop_survival_rate) * inputs.vine_cuttings_per_plant
-        : 0;
-    const gen2a = calcGeneration("Gen 2a (vine)", vineCuttingSlips2, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, false, true, subGenYields[0]);
-    const gen2b = calcGeneration("Gen 2b (vine)", vineCuttingSlips2, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, false, true, subGenYields[1]);
-    const gen2c = calcGeneration("Gen 2c (vine)", vineCuttingSlips2, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, false, true, subGenYields[2]);
-
-    // --- Generation 3: replanted tubers from Gen 2 ---
-    const gen3SlipsPlanted = gen2.potatoes_harvested * inputs.replant_percent * inputs.slips_from_replant;
-    const gen3 = calcGeneration("Generation 3", gen3SlipsPlanted, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, false, false, 1.0);
-
-    const vineCuttingSlips3 = gen3.potatoes_harvested > 0
-        ? (gen3.slips_planted * inputs.crop_survival_rate) * inputs.vine_cuttings_per_plant
-        : 0;
-    const gen3a = calcGeneration("Gen 3a (vine)", vineCuttingSlips3, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, false, true, subGenYields[0]);
-    const gen3b = calcGeneration("Gen 3b (vine)", vineCuttingSlips3, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, false, true, subGenYields[1]);
-    const gen3c = calcGeneration("Gen 3c (vine)", vineCuttingSlips3, inputs, lossFactor, costPerHectareNoSlips, maintenanceCostPerHectare, false, true, subGenYields[2]);
-
-    const allGens = [
-        gen1, gen1a, gen1b, gen1c,
-        gen2, gen2a, gen2b, gen2c,
-        gen3, gen3a, gen3b, gen3c,
-    ];
-
-    const totalDaysFed = allGens.reduce((sum, g) => sum + g.days_fed, 0);
-    const totalCost = allGens.reduce((sum, g) => sum + g.cost, 0);
-    const totalTons = allGens.reduce((sum, g) => sum + g.tons_harvested, 0);
-    const totalHectares = allGens.reduce((sum, g) => sum + g.hectares, 0);
-    const costPerPersonFullPeriod = inputs.people_to_feed > 0 ? totalCost / inputs.people_to_feed : 0;
-    const costPerPersonPerDay = (totalDaysFed > 0 && inputs.people_to_feed > 0)
-        ? totalCost / (totalDaysFed * inputs.people_to_feed)
-        : 0;
-
-    const totalVitaminAChildDays = allGens.reduce((sum, g) => sum + g.vitamin_a_child_days, 0);
-    const childrenAnnualVaMet = totalVitaminAChildDays > 0 ? Math.floor(totalVitaminAChildDays / 365) : 0;
-
-    // --- Annual projection ---
-    // Each main generation takes days_to_harvest. Sub-gens overlap (ratoon from same land).
-    // The full chain (Gen1 + subs → Gen2 + subs → Gen3 + subs) spans 3 main cycles.
-    const cyclesPerYear = inputs.cycles_per_year || 1;
-    const daysPerCycle = inputs.days_to_harvest || 120;
-    // 3 main generations; sub-gens overlap with their parent's cycle
-    const totalChainDays = 3 * daysPerCycle;
-    const annualScaleFactor = Math.min(365 / totalChainDays, cyclesPerYear);
-    const annualTons = totalTons * annualScaleFactor;
-    const annualDaysFed = totalDaysFed * annualScaleFactor;
-    const annualCost = totalCost * annualScaleFactor;
+ * Formats a model amount (US dollars) in the display currency.
+ */
+function formatMoney(amount, dec = 0, options = {}) {
+    const value = Number.isFinite(amount) ? fromModelCurrency(amount, currencyInputs) : 0;
+    return value.toLocaleString('en-US', { style: 'currency', currency: displayCurrency(currencyInputs), minimumFractionDigits: dec, maximumFractionDigits: dec, ...options });
+}
 
-    return {
-        all_gens: allGens,
-        total_days_fed: totalDaysFed,
-        total_cost: totalCost,
-        total_tons: totalTons,
-        total_hectares: totalHectares,
-        cost_per_person_full_period: costPerPersonFullPeriod,
-        cost_per_person_per_day: costPerPersonPerDay,
-        total_vitamin_a_child_days: totalVitaminAChildDays,
-        children_annual_va_met: childrenAnnualVaMet,
-        cycles_per_year: cyclesPerYear,
-        annual_scale_factor: annualScaleFactor,
-        annual_tons: annualTons,
-        annual_days_fed: annualDaysFed,
-        annual_cost: annualCost,
-    };
+/**
+ * Fills the display currency selector and every per-field currency tag from
+ * CURRENCIES, keeping whatever each one is set to.
+ */
+function populateCurrencySelects() {
+    document.querySelectorAll('#currency, .currency-tag').forEach(select => {
+        const current = select.value;
+        select.innerHTML = CURRENCIES.map(c =>
+            `<option value="${c.code}" title="${c.name}"${c.code === current ? ' selected' : ''}>${c.code}</option>`
+        ).join('');
+    });
 }
 
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    populateCurrencySelects();
+  } catch (initErr) {
+    console.error('Currency initialization error:', initErr);
+  }
+});
+
 /**
  * Displays the calculated results in the HTML.
  */
 function displayResults(results, inputs) {
+    setDisplayCurrency(inputs);
     const container = document.getElementById('results-container');
     const fNum = (num, dec = 2) => Number.isFinite(num) ? num.toLocaleString(undefined, { minimumFractionDigits: dec, maximumFractionDigits: dec }) : '0';
     const fInt = (num) => Number.isFinite(num) ? num.toLocaleString(undefined, { maximumFractionDigits: 0 }) : '0';
-    const fDol = (num, dec = 0) => Number.isFinite(num) ? num.toLocaleString('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: dec, maximumFractionDigits: dec }) : '$0';
-
-    const genRows = results.all_gens.map(gen => `
-        <tr>
-            <td>${gen.name}</td>
+    const fDol = (num, dec = 0) => formatMoney(num, dec);
+
+    // Variance columns only appear once something has been recorded
+    const planComparison = inputs.actuals && Object.keys(inputs.actuals).length > 0
+        ? compareToPlan(inputs, results)
+        : null;
+    const fDelta = (num, fmt, lowerIsBetter) => {
+        if (!Number.isFinite(num) || Math.abs(num) < 0.005) return '—';
+        const good = lowerIsBetter ? num < 0 : num > 0;
+        return `<span class="sensitivity-delta ${good ? 'positive' : 'negative'}">${num > 0 ? '+' : '\u2212'}${fmt(Math.abs(num))}</span>`;
+    };
+    const varianceCells = (variance) => `
+            <td>${fDelta(variance.tons_harvested, n => fNum(n))}</td>
+            <td>${fDelta(variance.days_fed, n => fNum(n, 1))}</td>
+            <td>${fDelta(variance.cost, n => fDol(n), true)}</td>`;
+    // Land columns only appear when land is limited
+    const landLimited = inputs.land_available_ha > 0;
+    const fPct = (num) => Number.isFinite(num) ? Math.round(num * 100) + '%' : '—';
+    const landCells = (gen) => `
+            <td>${fNum(gen.land_available_ha, 1)}</td>
+            <td class="${gen.land_utilisation >= 0.999 ? 'land-full' : ''}">${fPct(gen.land_utilisation)}</td>
+            <td>${gen.slips_excess > 0 ? fInt(gen.slips_excess) : '—'}</td>`;
+    const genColumns = 7 + (planComparison ? 3 : 0) + (landLimited ? 3 : 0);
+    const excessSummary = {
+        store: `${fInt(results.slips_stored)} still in storage after the last generation`,
+        sell: `${fInt(results.slips_sold)} sold for ${fDol(results.slip_sales)}`,
+        discard: `${fInt(results.slips_discarded)} discarded`,
+    }[inputs.excess_slip_rule];
+
+    const genRows = results.all_gens.map((gen, i) => {
+        const comparison = planComparison && planComparison[i];
+        const badge = comparison && comparison.status !== 'plan'
+            ? ` <span class="actuals-badge ${comparison.status}">${comparison.status === 'actual' ? 'Actual' : 'Re-forecast'}</span>`
+            : '';
+        const seedNote = gen.fresh_slip_refresh
+            ? ' <span class="seed-badge refresh">Fresh slips</span>'
+            : (gen.yield_factor < 1 && !gen.is_sub_gen ? ` <span class="seed-badge">Yield ×${fNum(gen.yield_factor)}</span>` : '');
+        return `
+        <tr class="${comparison && comparison.status === 'actual' ? 'actuals-recorded' : ''}">
+            <td>${gen.name}${seedNote}${badge}</td>
             <td>${fInt(gen.slips_planted)}</td>
             <td>${fNum(gen.hectares, 2)}</td>
             <td class="highlight">${fNum(gen.tons_harvested)}</td>
             <td>${fNum(gen.days_fed, 1)}</td>
             <td>${fInt(gen.vitamin_a_child_days)}</td>
-            <td>${fDol(gen.cost)}</td>
-        </tr>
-    `).join('');
+            <td>${fDol(gen.cost)}</td>${landLimited ? landCells(gen) : ''}${comparison ? varianceCells(comparison.variance) : ''}
+        </tr>${actualsEditing ? renderActualsEntryRow(gen, genColumns) : ''}
+    `;
+    }).join('');
+    const totalVariance = planComparison
+        ? Object.fromEntries(VARIANCE_KEYS.map(key => [key, planComparison.reduce((sum, c) => sum + c.variance[key], 0)]))
+        : null;
 
     const sensitivityInputs = getSensitivityInputOptions();
     const sensitivityOptions = sensitivityInputs.map(opt =>
@@ -464,13 +411,16 @@ function displayResults(results, inputs) {
     const html = `
         <div class="export-buttons">
             <button type="button" id="btn-export-csv" onclick="exportCSV()">Export CSV</button>
-            <button type="button" id="btn-print" onclick="window.print()">Print / PDF</button>
+            <button type="button" id="btn-export-json" onclick="exportResultsJSON()">Export JSON</button>
+            <button type="button" id="btn-export-tidy" onclick="exportTidyCSV()">Export Tidy CSV</button>
+            <button type="button" id="btn-export-xlsx" onclick="exportWorkbook()">Export Excel</button>
+            <button type="button" id="btn-report" onclick="exportReport()">PDF Report</button>
         </div>
         <div class="results-summary">
             <h2>Simulation Summary</h2>
             ${showAnnual ? `
             <div class="annual-banner">
-                <h3>Annual Projection (${fNum(results.annual_scale_factor, 2)}x scale, ${results.cycles_per_year} cycles/yr, ${fInt(inputs.days_to_harvest)} days/cycle)</h3>
+                <h3>Annual Projection (${fNum(results.annual_scale_factor, 2)}x scale, ${results.cycles_per_year} cycles/yr, ${fInt(inputs.days_to_harvest)} days/cycle, ${results.num_generations} gen${results.num_generations === 1 ? '' : 's'} × ${results.num_sub_generations} vine cutting${results.num_sub_generations === 1 ? '' : 's'})</h3>
                 <div class="summary-grid annual-grid">
                     <div class="summary-item annual-item">
                         <h3>Annual Tons</h3>
@@ -513,19 +463,68 @@ function displayResults(results, inputs) {
                 </div>
                 <div class="summary-item">
                     <h3>People to Feed</h3>
-                    <p>${fInt(inputs.people_to_feed)}</p>
+                    <p>${fInt(results.beneficiaries.people)}${results.beneficiaries.households !== null ? ` (${fInt(results.beneficiaries.households)} households)` : ''}</p>
+                </div>
+                <div class="summary-item">
+                    <h3>Annual Calorie Need Met</h3>
+                    <p>${fNum(results.beneficiaries.calorie_share_met * 100, 1)}%</p>
                 </div>
                 <div class="summary-item vitamin-a-highlight">
                     <h3>Vitamin A: Child-Days Supplied</h3>
                     <p>${fNum(results.total_vitamin_a_child_days / 1000000, 2)} million</p>
                 </div>
                 <div class="summary-item vitamin-a-highlight">
-                    <h3>Children Annual VA Need Met</h3>
-                    <p>${fInt(results.children_annual_va_met)}</p>
+                    <h3>Annual Vitamin A Need Met</h3>
+                    <p>${fNum(results.beneficiaries.vitamin_a_share_met * 100, 1)}%</p>
+                </div>
+                <div class="summary-item">
+                    <h3>Harvest Days Fed (lump sum)</h3>
+                    <p>${fNum(results.harvest_days_fed, 1)}</p>
+                </div>
+                <div class="summary-item">
+                    <h3>Hungry-Gap Days</h3>
+                    <p>${fInt(results.hungry_gap_days)}</p>
+                </div>
+                <div class="summary-item">
+                    <h3>Storage Losses</h3>
+                    <p>${fNum(results.storage_loss_tons, 1)} t</p>
+                </div>
+                <div class="summary-item economics-item">
+                    <h3>Revenue${cycleLabel}</h3>
+                    <p>${fDol(results.total_revenue)}</p>
+                </div>
+                <div class="summary-item economics-item">
+                    <h3>Gross Margin${cycleLabel}</h3>
+                    <p class="${results.gross_margin < 0 ? 'economics-negative' : ''}">${fDol(results.gross_margin)}</p>
+                </div>
+                <div class="summary-item economics-item">
+                    <h3>NPV (${fInt(inputs.economic_horizon_years)} yrs at ${fNum(inputs.discount_rate * 100, 1)}%)</h3>
+                    <p class="${results.npv < 0 ? 'economics-negative' : ''}">${fDol(results.npv)}</p>
+                </div>
+                <div class="summary-item economics-item">
+                    <h3>Payback Period</h3>
+                    <p>${results.payback_years === null ? 'Not within horizon' : `${fNum(results.payback_years, 1)} years`}</p>
+                </div>
+                <div class="summary-item economics-item">
+                    <h3>Break-even Root Price</h3>
+                    <p>${results.break_even_price_per_ton === null ? 'No roots sold' : `${fDol(results.break_even_price_per_ton)} / t`}</p>
                 </div>
             </div>
         </div>
 
+        ${landLimited ? `
+        <div class="land-note">
+            ${results.land_binding_generation
+                ? `<strong>Land becomes the binding constraint at ${escapeHtml(results.land_binding_generation)}.</strong> Slips beyond the land available: ${excessSummary}.`
+                : 'Every planting fits on the land available.'}
+        </div>` : ''}
+        <div class="actuals-toolbar">
+            <button type="button" id="btn-toggle-actuals">${actualsEditing ? 'Done Recording Actuals' : 'Record Field Actuals'}</button>
+            ${planComparison ? '<button type="button" id="btn-clear-actuals">Clear Actuals</button>' : ''}
+            <span class="actuals-hint">${planComparison
+                ? 'Variance columns show actual minus plan; later generations are re-forecast from recorded harvests.'
+                : 'Enter what was actually planted, harvested and spent to track the season against the plan.'}</span>
+        </div>
         <table class="gen-table">
             <thead>
                 <tr>
@@ -535,7 +534,13 @@ function displayResults(results, inputs) {
                     <th>Tons Harvested</th>
                     <th>Days Fed</th>
                     <th>VA Child-Days</th>
-                    <th>Cost</th>
+                    <th>Cost</th>${landLimited ? `
+                    <th>Land Available (ha)</th>
+                    <th>Land Used</th>
+                    <th>Slips Beyond Land</th>` : ''}${planComparison ? `
+                    <th>Tons vs Plan</th>
+                    <th>Days Fed vs Plan</th>
+                    <th>Cost vs Plan</th>` : ''}
                 </tr>
             </thead>
             <tbody>
@@ -545,64 +550,159 @@ function displayResults(results, inputs) {
                     <td></td>
                     <td><strong>${fNum(results.total_hectares, 2)}</strong></td>
                     <td class="highlight"><strong>${fNum(results.total_tons)}</strong></td>
-                    <td><strong>${fNum(results.total_days_fed, 1)}</strong></td>
+                    <td><strong>${fNum(results.harvest_days_fed, 1)}</strong></td>
                     <td><strong>${fInt(results.total_vitamin_a_child_days)}</strong></td>
-                    <td><strong>${fDol(results.total_cost)}</strong></td>
+                    <td><strong>${fDol(results.total_cost)}</strong></td>${landLimited ? '<td></td><td></td><td></td>' : ''}${totalVariance ? varianceCells(totalVariance) : ''}
                 </tr>
             </tbody>
         </table>
 
         <div class="sensitivity-section">
             <h2>Sensitivity Analysis</h2>
-            <p class="sensitivity-description">See how varying a single input by +/- 25% affects key outputs.</p>
+            <p class="sensitivity-description">See how varying a single input by +/- 25% affects key outputs, or rank every input by its effect.</p>
             <div class="sensitivity-controls">
+                <label for="sensitivity-mode">Mode:</label>
+                <select id="sensitivity-mode">
+                    <option value="single"${sensitivityState.mode === 'single' ? ' selected' : ''}>Single input</option>
+                    <option value="tornado"${sensitivityState.mode === 'tornado' ? ' selected' : ''}>All inputs (tornado)</option>
+                    <option value="heatmap"${sensitivityState.mode === 'heatmap' ? ' selected' : ''}>Two inputs (heatmap)</option>
+                </select>
+            </div>
+            <div class="sensitivity-controls" id="sensitivity-single-controls">
                 <label for="sensitivity-input">Vary input:</label>
                 <select id="sensitivity-input">
                     ${sensitivityOptions}
                 </select>
             </div>
+            <div class="sensitivity-controls" id="sensitivity-tornado-controls">
+                <label for="tornado-metric">Rank by:</label>
+                <select id="tornado-metric">
+                    ${TORNADO_METRICS.map(m => `<option value="${m.key}"${m.key === sensitivityState.metric ? ' selected' : ''}>${m.label}</option>`).join('')}
+                </select>
+                <label for="tornado-swing">Swing:</label>
+                <select id="tornado-swing">
+                    ${TORNADO_SWINGS.map(sw => `<option value="${sw}"${sw === sensitivityState.swing ? ' selected' : ''}>+/- ${Math.round(sw * 100)}%</option>`).join('')}
+                </select>
+                <button type="button" id="btn-export-tornado">Export Table</button>
+            </div>
+            <div class="sensitivity-controls heatmap-controls" id="sensitivity-heatmap-controls">
+                <label for="heatmap-x">Columns:</label>
+                <select id="heatmap-x">${optionsFor(sensitivityInputs, 'id', sensitivityState.heatmapX)}</select>
+                <label for="heatmap-x-range">+/-</label>
+                <input type="number" id="heatmap-x-range" value="${sensitivityState.heatmapXRange}" min="1" max="90" step="1"> %
+                <label for="heatmap-y">Rows:</label>
+                <select id="heatmap-y">${optionsFor(sensitivityInputs, 'id', sensitivityState.heatmapY)}</select>
+                <label for="heatmap-y-range">+/-</label>
+                <input type="number" id="heatmap-y-range" value="${sensitivityState.heatmapYRange}" min="1" max="90" step="1"> %
+                <label for="heatmap-metric">Metric:</label>
+                <select id="heatmap-metric">${optionsFor(HEATMAP_METRICS, 'key', sensitivityState.heatmapMetric)}</select>
+                <label for="heatmap-steps">Steps:</label>
+                <select id="heatmap-steps">
+                    ${[5, 7, 9, 11].map(n => `<option value="${n}"${n === sensitivityState.heatmapSteps ? ' selected' : ''}>${n} x ${n}</option>`).join('')}
+                </select>
+            </div>
             <div id="sensitivity-results"></div>
         </div>
     `;
 
     container.innerHTML = html;
 
-    // Attach sensitivity handler
+    // Attach actuals handlers
+    document.getElementById('btn-toggle-actuals').addEventListener('click', () => {
+        actualsEditing = !actualsEditing;
+        displayResults(results, inputs);
+    });
+    const clearActualsBtn = document.getElementById('btn-clear-actuals');
+    if (clearActualsBtn) {
+        clearActualsBtn.addEventListener('click', () => {
+            if (!confirm('Clear all recorded field actuals for this scenario?')) return;
+            fieldActuals = {};
+            document.getElementById('calc-form').dispatchEvent(new Event('input'));
+        });
+    }
+    container.querySelectorAll('.actuals-input').forEach(el => el.addEventListener('change', () => updateFieldActual(el)));
+
+    // Attach sensitivity handlers
+    const modeSelect = document.getElementById('sensitivity-mode');
     const sensitivitySelect = document.getElementById('sensitivity-input');
-    const renderSensitivity = () => runSensitivityAnalysis(sensitivitySelect.value, inputs);
-    sensitivitySelect.addEventListener('change', renderSensitivity);
+    const tornadoMetric = document.getElementById('tornado-metric');
+    const tornadoSwing = document.getElementById('tornado-swing');
+    const heatmapControls = ['heatmap-x', 'heatmap-x-range', 'heatmap-y', 'heatmap-y-range', 'heatmap-metric', 'heatmap-steps']
+        .map(id => document.getElementById(id));
+    const renderSensitivity = () => {
+        sensitivityState.mode = modeSelect.value;
+        sensitivityState.metric = tornadoMetric.value;
+        sensitivityState.swing = parseFloat(tornadoSwing.value);
+        const [hx, hxRange, hy, hyRange, hMetric, hSteps] = heatmapControls;
+        sensitivityState.heatmapX = hx.value;
+        sensitivityState.heatmapY = hy.value;
+        sensitivityState.heatmapXRange = Math.min(Math.max(parseFloat(hxRange.value) || 25, 1), 90);
+        sensitivityState.heatmapYRange = Math.min(Math.max(parseFloat(hyRange.value) || 25, 1), 90);
+        sensitivityState.heatmapMetric = hMetric.value;
+        sensitivityState.heatmapSteps = parseInt(hSteps.value, 10);
+
+        const mode = sensitivityState.mode;
+        document.getElementById('sensitivity-single-controls').style.display = mode === 'single' ? '' : 'none';
+        document.getElementById('sensitivity-tornado-controls').style.display = mode === 'tornado' ? '' : 'none';
+        document.getElementById('sensitivity-heatmap-controls').style.display = mode === 'heatmap' ? '' : 'none';
+        if (mode === 'tornado') {
+            renderTornado(inputs, sensitivityState.metric, sensitivityState.swing);
+        } else if (mode === 'heatmap') {
+            renderHeatmap(inputs, sensitivityState);
+        } else {
+            runSensitivityAnalysis(sensitivitySelect.value, inputs);
+        }
+    };
+    [modeSelect, sensitivitySelect, tornadoMetric, tornadoSwing, ...heatmapControls].forEach(sel => sel.addEventListener('change', renderSensitivity));
+    document.getElementById('btn-export-tornado').addEventListener('click', () => exportTornadoCSV(inputs));
     renderSensitivity();
 
     // Render chart visualization
     renderChart(results);
-    renderTimeline(inputs);
-}
-
-/**
- * Returns the list of inputs available for sensitivity analysis.
- */
-function getSensitivityInputOptions() {
-    const options = [
-        { id: 'initial_slips', label: 'Initial Slips' },
-        { id: 'planting_density', label: 'Planting Density (slips/ha)' },
-        { id: 'tons_per_hectare', label: 'Tons per Hectare (Yield)' },
-        { id: 'tons_harvest_percent', label: 'Harvest %' },
-        { id: 'potatoes_per_plant', label: 'Potatoes per Plant' },
-        { id: 'vine_cuttings_per_plant', label: 'Vine Cuttings per Plant' },
-        { id: 'replant_percent', label: 'Tuber Replant %' },
-        { id: 'slips_from_replant', label: 'Slips from Replant' },
-        { id: 'slip_survival_rate', label: 'Slip Survival Rate' },
-        { id: 'crop_survival_rate', label: 'Crop Survival Rate' },
-        { id: 'storage_survival_rate', label: 'Storage Survival Rate' },
-        { id: 'people_to_feed', label: 'People to Feed' },
-        { id: 'calorie_target_per_person', label: 'Calorie Target' },
-        { id: 'cycles_per_year', label: 'Crop Cycles per Year' },
-        { id: 'cost_irrigation_per_acre', label: 'Irrigation Cost' },
-        { id: 'cost_slip_per_unit', label: 'Cost per Slip' },
-        { id: 'vitamin_a_per_100g', label: 'Vitamin A per 100g' },
-        { id: 'daily_vitamin_a_need', label: 'Daily VA Need' },
-    ];
-    return options;
+    renderTimeline(inputs, results);
+    renderFoodBalance(inputs, results);
+    renderBeneficiaries(results);
+    renderNutrition(results);
+}
+
+// --- Field Actuals ---
+
+// Actuals recorded for the current form, keyed by generation id (see ACTUAL_FIELDS)
+let fieldActuals = {};
+let actualsEditing = false;
+
+/**
+ * Entry row shown under a gen-table row while recording actuals. Blank
+ * fields show the current projection as a placeholder.
+ */
+function renderActualsEntryRow(gen, colspan) {
+    const record = fieldActuals[gen.id] || {};
+    // Money is recorded in US dollars and entered in the display currency
+    const shown = (field, num) => Math.round((field.money ? fromModelCurrency(num, currencyInputs) : num) * 100) / 100;
+    const fields = ACTUAL_FIELDS.map(field => `
+                <label>${field.label}${field.money ? ` (${displayCurrency(currencyInputs)})` : ''}
+                    <input type="number" class="actuals-input" data-gen-id="${gen.id}" data-field="${field.key}"
+                        min="0" step="any" value="${record[field.key] !== undefined ? shown(field, record[field.key]) : ''}" placeholder="${shown(field, gen[field.key])}">
+                </label>`).join('');
+    return `
+        <tr class="actuals-entry-row">
+            <td colspan="${colspan}">
+                <span class="actuals-entry-label">Actual ${escapeHtml(gen.name)}:</span>${fields}
+            </td>
+        </tr>`;
+}
+
+/**
+ * Stores one edited actuals field and re-runs the simulation. Clearing a
+ * field drops it, so the generation falls back to the model for that value.
+ */
+function updateFieldActual(input) {
+    const { genId, field } = input.dataset;
+    const money = ACTUAL_FIELDS.find(f => f.key === field).money;
+    const value = money && input.value.trim() !== '' ? toModelAmount(parseFloat(input.value), currencyInputs) : input.value;
+    const record = { ...(fieldActuals[genId] || {}), [field]: value };
+    fieldActuals = normalizeActuals({ ...fieldActuals, [genId]: record });
+    document.getElementById('calc-form').dispatchEvent(new Event('input'));
 }
 
 /**
@@ -626,7 +726,7 @@ function runSensitivityAnalysis(inputId, baseInputs) {
     ];
 
     const fNum = (num, dec = 1) => Number.isFinite(num) ? num.toLocaleString(undefined, { minimumFractionDigits: dec, maximumFractionDigits: dec }) : '0';
-    const fDol = (num) => Number.isFinite(num) ? num.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }) : '$0';
+    const fDol = (num) => formatMoney(num);
     const fVal = (num) => {
         if (!Number.isFinite(num)) return '0';
         if (Math.abs(num) >= 1000) return num.toLocaleString(undefined, { maximumFractionDigits: 0 });
@@ -667,6 +767,193 @@ function runSensitivityAnalysis(inputId, baseInputs) {
     `;
 }
 
+// --- Tornado (all-input) Sensitivity ---
+
+// Sensitivity controls are rebuilt on every run, so their selections live here
+const sensitivityState = {
+    mode: 'single',
+    metric: 'total_days_fed',
+    swing: 0.25,
+    heatmapX: 'tons_per_hectare',
+    heatmapY: 'crop_survival_rate',
+    heatmapXRange: 25,
+    heatmapYRange: 25,
+    heatmapMetric: 'total_days_fed',
+    heatmapSteps: 5,
+};
+
+/**
+ * Renders <option> tags for a list of { [valueKey], label } items, marking `selected`.
+ */
+function optionsFor(items, valueKey, selected) {
+    return items.map(item =>
+        `<option value="${item[valueKey]}"${item[valueKey] === selected ? ' selected' : ''}>${item.label}</option>`
+    ).join('');
+}
+
+let tornadoChart = null;
+
+/**
+ * Draws the tornado chart and ranked table for every sensitivity input.
+ */
+function renderTornado(baseInputs, metricKey, swing) {
+    const container = document.getElementById('sensitivity-results');
+    const analysis = runTornadoAnalysis(baseInputs);
+    const ranked = rankTornadoRows(analysis, metricKey, swing);
+    const metric = TORNADO_METRICS.find(m => m.key === metricKey);
+
+    const fMetric = (key, num) => {
+        if (!Number.isFinite(num)) return '0';
+        if (key === 'cost_per_person_per_day') return formatMoney(num, 4);
+        return num.toLocaleString(undefined, { maximumFractionDigits: Math.abs(num) >= 100 ? 0 : 1 });
+    };
+    const fDelta = (m, num) => {
+        const good = m.higherIsBetter ? num >= 0 : num <= 0;
+        return `<span class="sensitivity-delta ${good ? 'positive' : 'negative'}">${num >= 0 ? '+' : ''}${fMetric(m.key, num)}</span>`;
+    };
+
+    const rows = ranked.map((row, i) => {
+        const { low, high } = row.swings[swing];
+        const cells = TORNADO_METRICS.map(m =>
+            `<td>${fDelta(m, low[m.key] - analysis.base[m.key])} / ${fDelta(m, high[m.key] - analysis.base[m.key])}</td>`
+        ).join('');
+        return `<tr>
+            <td>${i + 1}</td>
+            <td>${row.label}</td>
+            ${cells}
+        </tr>`;
+    }).join('');
+
+    const pct = Math.round(swing * 100);
+    container.innerHTML = `
+        <canvas id="tornado-chart"></canvas>
+        <table class="sensitivity-table">
+            <thead>
+                <tr>
+                    <th>Rank</th>
+                    <th>Input</th>
+                    ${TORNADO_METRICS.map(m => `<th>${m.label} (-${pct}% / +${pct}%)</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows}
+            </tbody>
+        </table>
+    `;
+
+    // Inputs with no effect (e.g. a zero-valued cost) add nothing to the chart.
+    // The two swings are drawn side by side, not stacked, as both can move the metric the same way.
+    const charted = ranked.filter(row => row.effect > 0);
+    const baseVal = analysis.base[metricKey];
+    // Money is charted in the display currency
+    const chartValue = (num) => (metricKey === 'cost_per_person_per_day' ? fromModelCurrency(num, currencyInputs) : num);
+    if (tornadoChart) tornadoChart.destroy();
+    tornadoChart = new Chart(document.getElementById('tornado-chart'), {
+        type: 'bar',
+        data: {
+            labels: charted.map(row => row.label),
+            datasets: [
+                { label: `-${pct}%`, data: charted.map(row => chartValue(row.swings[swing].low[metricKey] - baseVal)), backgroundColor: '#8b0000cc', borderColor: '#8b0000', borderWidth: 1 },
+                { label: `+${pct}%`, data: charted.map(row => chartValue(row.swings[swing].high[metricKey] - baseVal)), backgroundColor: '#006400cc', borderColor: '#006400', borderWidth: 1 },
+            ],
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            plugins: {
+                title: { display: true, text: `Change in ${metric.label} from base (${fMetric(metricKey, baseVal)})`, font: { size: 14 } },
+                legend: { display: true },
+            },
+        },
+    });
+}
+
+/**
+ * Exports the full tornado sweep (both swings, all metrics) as CSV, ranked by the current metric.
+ */
+function exportTornadoCSV(baseInputs) {
+    const analysis = runTornadoAnalysis(baseInputs);
+    const rows = tornadoToRows(analysis, baseInputs, sensitivityState.metric, sensitivityState.swing);
+    downloadCSV(rows, 'ofsp_sensitivity_ranking.csv');
+}
+
+// --- Two-way Sensitivity Heatmap ---
+
+const HEATMAP_METRICS = [
+    { key: 'total_days_fed', label: 'Days Fed (chain total)', higherIsBetter: true },
+    { key: 'annual_days_fed', label: 'Annual Days Fed', higherIsBetter: true },
+    { key: 'total_tons', label: 'Tons Harvested', higherIsBetter: true },
+    { key: 'total_cost', label: 'Total Cost', higherIsBetter: false, money: true },
+    { key: 'cost_per_person_per_day', label: 'Cost per Person per Day', higherIsBetter: false, money: true },
+    { key: 'total_vitamin_a_child_days', label: 'VA Child-Days', higherIsBetter: true },
+];
+
+/**
+ * Draws the two-way heatmap as a colour-graded table: green is better, red worse,
+ * with the base-case cell outlined.
+ */
+function renderHeatmap(baseInputs, state) {
+    const container = document.getElementById('sensitivity-results');
+    const options = getSensitivityInputOptions();
+    const xLabel = options.find(o => o.id === state.heatmapX).label;
+    const yLabel = options.find(o => o.id === state.heatmapY).label;
+    const metric = HEATMAP_METRICS.find(m => m.key === state.heatmapMetric);
+
+    if (state.heatmapX === state.heatmapY) {
+        container.innerHTML = '<p class="sensitivity-description">Choose two different inputs.</p>';
+        return;
+    }
+
+    const map = runTwoWaySensitivity(baseInputs, state.heatmapX, state.heatmapY, metric.key,
+        state.heatmapXRange / 100, state.heatmapYRange / 100, state.heatmapSteps);
+
+    const fVal = (num) => {
+        if (!Number.isFinite(num)) return '0';
+        if (Math.abs(num) >= 1000) return num.toLocaleString(undefined, { maximumFractionDigits: 0 });
+        return num.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+    };
+    const fMetric = (num) => {
+        if (!Number.isFinite(num)) return '0';
+        if (metric.money) {
+            return formatMoney(num, Math.abs(fromModelCurrency(num, currencyInputs)) < 1 ? 4 : 0);
+        }
+        return num.toLocaleString(undefined, { maximumFractionDigits: Math.abs(num) >= 100 ? 0 : 1 });
+    };
+
+    const flat = map.grid.flat().filter(Number.isFinite);
+    const min = Math.min(...flat);
+    const max = Math.max(...flat);
+    const cellColor = (v) => {
+        let t = max > min ? (v - min) / (max - min) : 0.5;
+        if (!metric.higherIsBetter) t = 1 - t;
+        return `hsl(${Math.round(t * 120)}, 60%, 80%)`;
+    };
+    const mid = Math.floor(state.heatmapSteps / 2);
+
+    const headerCells = map.xValues.map(x => `<th>${fVal(x)}</th>`).join('');
+    const bodyRows = map.yValues.map((y, yi) => {
+        const cells = map.grid[yi].map((v, xi) => {
+            const isBase = yi === mid && xi === mid;
+            return `<td class="${isBase ? 'heatmap-base' : ''}" style="background:${cellColor(v)}" title="${isBase ? 'Base case' : ''}">${fMetric(v)}</td>`;
+        }).join('');
+        return `<tr><th>${fVal(y)}</th>${cells}</tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <p class="sensitivity-description">${metric.label} as ${escapeHtml(yLabel)} (rows) and ${escapeHtml(xLabel)} (columns) vary. Base case outlined: ${fMetric(map.baseValue)}.</p>
+        <div class="heatmap-scroll">
+            <table class="sensitivity-table heatmap-table">
+                <thead>
+                    <tr><th>${escapeHtml(yLabel)} ↓ / ${escapeHtml(xLabel)} →</th>${headerCells}</tr>
+                </thead>
+                <tbody>
+                    ${bodyRows}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
 // --- HTML Escaping ---
 
 function escapeHtml(str) {
@@ -677,18 +964,138 @@ function escapeHtml(str) {
 
 // --- Scenario Save/Load/Compare ---
 
+// Saved scenarios live in IndexedDB, one record per scenario with its
+// revisions (see normalizeScenarioRecord). Where IndexedDB cannot be opened the
+// same records are kept in localStorage under SCENARIO_LIBRARY_FALLBACK_KEY.
+const SCENARIO_DB_NAME = 'ofsp-calculator';
+const SCENARIO_DB_VERSION = 1;
+const SCENARIO_STORE = 'scenarios';
+const SCENARIO_LIBRARY_FALLBACK_KEY = 'ofsp_scenario_library';
+// Where scenarios were kept, as a name -> inputs map, before the library
 const SCENARIOS_KEY = 'ofsp_scenarios';
 
-function getSavedScenarios() {
+// name -> record, read from storage once at startup and kept in step with it
+let scenarioLibrary = {};
+let scenarioDb = null;
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openScenarioDb() {
+    if (!window.indexedDB) return Promise.reject(new Error('IndexedDB is not available'));
+    const request = indexedDB.open(SCENARIO_DB_NAME, SCENARIO_DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(SCENARIO_STORE, { keyPath: 'name' });
+    return idbRequest(request);
+}
+
+function writeScenarioFallback() {
+    localStorage.setItem(SCENARIO_LIBRARY_FALLBACK_KEY, JSON.stringify(scenarioLibrary));
+}
+
+/**
+ * Reads the library from storage, moving scenarios saved in localStorage by
+ * earlier versions into it as single-revision records. One whose name is
+ * already in the library is kept under "<name> (imported)". Returns those
+ * renames as { from, to } pairs.
+ */
+async function loadScenarioLibrary() {
+    let records;
+    try {
+        scenarioDb = await openScenarioDb();
+        records = await idbRequest(scenarioDb.transaction(SCENARIO_STORE).objectStore(SCENARIO_STORE).getAll());
+    } catch (err) {
+        console.warn('Keeping scenarios in localStorage:', err);
+        scenarioDb = null;
+        try {
+            records = Object.values(JSON.parse(localStorage.getItem(SCENARIO_LIBRARY_FALLBACK_KEY)) || {});
+        } catch {
+            records = [];
+        }
+    }
+    scenarioLibrary = Object.fromEntries(records.map(r => {
+        const record = normalizeScenarioRecord(r, r.name);
+        return [record.name, record];
+    }));
+
+    let legacy = {};
     try {
-        return JSON.parse(localStorage.getItem(SCENARIOS_KEY)) || {};
+        legacy = JSON.parse(localStorage.getItem(SCENARIOS_KEY)) || {};
     } catch {
-        return {};
+        legacy = {};
+    }
+    const renamed = [];
+    for (const [name, inputs] of Object.entries(legacy)) {
+        let target = name;
+        if (scenarioLibrary[target]) {
+            target = `${name} (imported)`;
+            for (let n = 2; scenarioLibrary[target]; n++) target = `${name} (imported ${n})`;
+            renamed.push({ from: name, to: target });
+        }
+        await putScenarioRecord(normalizeScenarioRecord(inputs, target));
+    }
+    localStorage.removeItem(SCENARIOS_KEY);
+    return renamed;
+}
+
+async function putScenarioRecord(record) {
+    scenarioLibrary[record.name] = record;
+    if (!scenarioDb) {
+        writeScenarioFallback();
+        return;
+    }
+    const tx = scenarioDb.transaction(SCENARIO_STORE, 'readwrite');
+    tx.objectStore(SCENARIO_STORE).put(record);
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Deletes a scenario and all its revisions (they are one record) in a single
+ * readwrite transaction. The in-memory library changes only once it commits.
+ */
+async function deleteScenarioRecord(name) {
+    if (!scenarioDb) {
+        const record = scenarioLibrary[name];
+        delete scenarioLibrary[name];
+        try {
+            writeScenarioFallback();
+        } catch (err) {
+            scenarioLibrary[name] = record;
+            throw err;
+        }
+        return;
     }
+    const tx = scenarioDb.transaction(SCENARIO_STORE, 'readwrite');
+    tx.objectStore(SCENARIO_STORE).delete(name);
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    delete scenarioLibrary[name];
+}
+
+/**
+ * Saves inputs as the next revision of the named scenario, creating it when
+ * it is new. See addScenarioRevision for details.
+ */
+async function saveScenario(name, inputs, details) {
+    const record = addScenarioRevision(scenarioLibrary[name] || null, name, inputs, details);
+    await putScenarioRecord(record);
+    return record;
 }
 
-function saveScenarios(scenarios) {
-    localStorage.setItem(SCENARIOS_KEY, JSON.stringify(scenarios));
+/**
+ * Latest inputs of every saved scenario, as a name -> inputs map.
+ */
+function getSavedScenarios() {
+    return Object.fromEntries(Object.values(scenarioLibrary).map(r => [r.name, latestRevision(r).inputs]));
 }
 
 function populateScenarioDropdowns() {
@@ -696,196 +1103,841 @@ function populateScenarioDropdowns() {
     const names = Object.keys(scenarios).sort();
     const selects = [
         document.getElementById('scenario-select'),
-        document.getElementById('compare-a'),
-        document.getElementById('compare-b'),
-        document.getElementById('compare-c'),
+        document.getElementById('compare-baseline'),
     ];
 
     selects.forEach((sel, i) => {
         const defaults = [
             '<option value="">-- Load a scenario --</option>',
-            '<option value="">-- Scenario A --</option>',
-            '<option value="">-- Scenario B --</option>',
-            '<option value="">-- Scenario C (optional) --</option>',
+            '<option value="">-- Baseline: first ticked --</option>',
         ];
+        const current = sel.value;
         sel.innerHTML = defaults[i] + names.map(n =>
             `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`
         ).join('');
+        if (names.includes(current)) sel.value = current;
     });
+
+    const compareList = document.getElementById('compare-scenarios');
+    const ticked = new Set([...compareList.querySelectorAll('input:checked')].map(box => box.value));
+    compareList.innerHTML = names.length === 0
+        ? '<span class="sensitivity-description">Save two or more scenarios to compare them.</span>'
+        : names.map(n => `<label><input type="checkbox" value="${escapeHtml(n)}"${ticked.has(n) ? ' checked' : ''}> ${escapeHtml(n)}</label>`).join('');
+    renderCalibrationSeasons();
+    populateLibrarySelect();
+}
+
+/**
+ * Fills the form from a saved, imported or shared scenario and runs it.
+ * Fields the scenario lacks take their defaults and legacy keys are dropped
+ * (see cleanScenarioInputs); returns the cleaning notes.
+ */
+function loadScenarioIntoForm(data) {
+    const { inputs, notes } = cleanScenarioInputs(data);
+    const form = document.getElementById('calc-form');
+    for (const key of [...Object.keys(DEFAULT_INPUTS), 'start_date']) {
+        const el = form.elements[key];
+        const val = inputs[key] ?? '';
+        if (el) el.value = Array.isArray(val) ? val.join(', ') : val;
+    }
+    fieldActuals = inputs.actuals || {};
+    setAppliedPreset(inputs.preset || null);
+    form.dispatchEvent(new Event('input'));
+    return notes;
+}
+
+function setScenarioMessage(message, isError) {
+    const el = document.getElementById('scenario-message');
+    el.textContent = message;
+    el.className = isError ? 'farmos-error' : 'sensitivity-description';
+}
+
+function exportScenarios(names, label) {
+    const file = buildScenarioFile(names.map(name => {
+        const record = scenarioLibrary[name];
+        return { ...record, inputs: latestRevision(record).inputs };
+    }));
+    downloadFile(JSON.stringify(file, null, 2), `${fileSlug(label, 'scenarios')}.ofsp-scenarios.json`, 'application/json');
+}
+
+/**
+ * Adds the scenarios in a scenario file to the library, settling names that
+ * are already saved with the rule chosen in #scenario-conflict. Overwriting
+ * saves the import as a new revision, so the replaced inputs stay in history.
+ */
+async function importScenarioFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        setScenarioMessage('That file is not valid JSON.', true);
+        return;
+    }
+    const { scenarios: imported, errors } = parseScenarioFile(data);
+    const rule = document.getElementById('scenario-conflict').value;
+    const merged = mergeScenarios(getSavedScenarios(), imported, rule);
+    const targets = [...merged.added, ...merged.overwritten, ...merged.renamed.map(r => r.to)];
+    try {
+        for (const name of targets) {
+            const source = imported.find(s => s.inputs === merged.scenarios[name]);
+            // Blank metadata in the file leaves an overwritten scenario's own in place
+            const details = { note: 'Imported from file' };
+            if (source.description) details.description = source.description;
+            if (source.author) details.author = source.author;
+            if (source.tags.length > 0) details.tags = source.tags;
+            await saveScenario(name, source.inputs, details);
+        }
+    } catch (err) {
+        console.error('Scenario import error:', err);
+        setScenarioMessage('The scenarios could not be stored in this browser.', true);
+        return;
+    } finally {
+        populateScenarioDropdowns();
+    }
+    const parts = [];
+    if (merged.added.length > 0) parts.push(`Imported ${merged.added.join(', ')}.`);
+    if (merged.renamed.length > 0) parts.push(`Imported as new names: ${merged.renamed.map(r => `${r.from} → ${r.to}`).join(', ')}.`);
+    if (merged.overwritten.length > 0) parts.push(`Replaced ${merged.overwritten.join(', ')}.`);
+    if (merged.skipped.length > 0) parts.push(`Skipped ${merged.skipped.join(', ')} (already saved).`);
+    if (errors.length > 0) parts.push(`Notes: ${errors.join('; ')}.`);
+    setScenarioMessage(parts.join(' ') || 'No scenarios found in that file.', imported.length === 0);
+}
+
+/**
+ * Link to this page that carries the full input set in its hash.
+ */
+function buildShareUrl(inputs) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(SHARE_LINK_PARAM);
+    url.hash = `${SHARE_LINK_PARAM}=${encodeShareLink(inputs)}`;
+    return url.toString();
+}
+
+/**
+ * Loads the scenario in a share link, if the page was opened from one. The
+ * inputs may be in the hash (as buildShareUrl writes them) or the query string.
+ */
+function loadSharedScenario() {
+    const fromHash = new URLSearchParams(window.location.hash.slice(1)).get(SHARE_LINK_PARAM);
+    const token = fromHash || new URLSearchParams(window.location.search).get(SHARE_LINK_PARAM);
+    if (!token) return;
+    const data = decodeShareLink(token);
+    if (!data) {
+        setScenarioMessage('The share link in the address could not be read.', true);
+        return;
+    }
+    const notes = loadScenarioIntoForm(data);
+    setScenarioMessage(notes.length > 0
+        ? `Loaded the shared scenario. Notes: ${notes.join('; ')}.`
+        : 'Loaded the shared scenario.');
 }
 
+/**
+ * Readable name for every form field: its label without the tooltip icon, or
+ * the aria-label of table and currency-tag inputs that have no label.
+ */
 function getInputFieldLabels() {
     const labels = {};
     const form = document.getElementById('calc-form');
+    for (const el of form.querySelectorAll('[aria-label]')) {
+        if (el.id) labels[el.id] = el.getAttribute('aria-label');
+    }
     for (const label of form.querySelectorAll('label')) {
         const forId = label.getAttribute('for');
-        if (forId) labels[forId] = label.textContent.trim();
+        if (!forId) continue;
+        const text = [...label.childNodes]
+            .filter(node => !(node.classList && node.classList.contains('tooltip-icon')))
+            .map(node => node.textContent)
+            .join('');
+        labels[forId] = text.trim();
     }
     return labels;
 }
 
-function showComparison(scenarios) {
-    // scenarios = [ { name, data }, { name, data }, ... ] (2 or 3)
-    const container = document.getElementById('comparison-container');
-    const labels = getInputFieldLabels();
-    const allKeys = [...new Set(scenarios.flatMap(s => Object.keys(s.data)))];
+/**
+ * An input value as text: lists as entered, the source preset by name, and
+ * field actuals as a count of recorded generations.
+ */
+function formatScenarioValue(key, val) {
+    if (Array.isArray(val)) return val.join(', ');
+    if (key === 'preset') return val ? `${val.name} (v${val.version})` : '';
+    if (val && typeof val === 'object') {
+        const count = Object.keys(val).length;
+        return `${count} generation${count === 1 ? '' : 's'} recorded`;
+    }
+    return String(val ?? '');
+}
 
-    const fNum = (num, dec = 2) => Number.isFinite(num) ? num.toLocaleString(undefined, { minimumFractionDigits: dec, maximumFractionDigits: dec }) : '0';
-    const fDol = (num) => Number.isFinite(num) ? num.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }) : '$0';
+// labels is getInputFieldLabels(); saved scenarios also carry these non-form keys
+function scenarioFieldLabel(labels, key) {
+    return labels[key] || ({ actuals: 'Field Actuals', preset: 'Source Preset', start_date: 'Planting Start Date' })[key] || key;
+}
 
-    // Input parameter comparison
-    const inputRows = allKeys.map(key => {
-        const vals = scenarios.map(s => s.data[key] ?? '');
-        const changed = vals.some(v => v !== vals[0]);
-        const label = labels[key] || key;
-        const cells = vals.map(v => `<td>${escapeHtml(String(v))}</td>`).join('');
-        return `<tr class="${changed ? 'changed' : ''}">
-            <td>${escapeHtml(String(label))}</td>
-            ${cells}
-            <td class="diff-indicator ${changed ? 'changed' : ''}">${changed ? '\u0394' : ''}</td>
-        </tr>`;
-    }).join('');
+// Series colours for compared scenarios, reused in order
+const COMPARISON_COLORS = ['#006400', '#ff8c00', '#1565c0', '#8b0000', '#9c27b0', '#8b4513', '#00897b', '#607d8b'];
 
-    const headerCells = scenarios.map(s => `<th>${escapeHtml(s.name)}</th>`).join('');
+let compareBarChart = null;
+let compareLineChart = null;
+let lastComparison = null;
 
-    // Run simulations for each scenario and build output comparison
-    const simResults = scenarios.map(s => {
-        try { return calculateSimulation(s.data); }
-        catch { return null; }
-    });
+function formatComparisonValue(metric, val) {
+    if (val === null) return metric.missing || '—';
+    if (metric.money) return formatMoney(val, metric.decimals);
+    return val.toLocaleString(undefined, { minimumFractionDigits: metric.decimals, maximumFractionDigits: metric.decimals });
+}
 
-    const outputMetrics = [
-        { label: 'Total Tons Harvested', fn: r => fNum(r.total_tons, 1) },
-        { label: 'Total Area Planted (ha)', fn: r => fNum(r.total_hectares, 2) },
-        { label: 'Total Days Fed', fn: r => fNum(r.total_days_fed, 1) },
-        { label: 'Total Cost', fn: r => fDol(r.total_cost) },
-        { label: 'Cost per Person (Full Period)', fn: r => fDol(r.cost_per_person_full_period) },
-        { label: 'Cost per Person per Day', fn: r => '$' + fNum(r.cost_per_person_per_day, 4) },
-        { label: 'VA Child-Days (millions)', fn: r => fNum(r.total_vitamin_a_child_days / 1000000, 2) },
-        { label: 'Children Annual VA Met', fn: r => fNum(r.children_annual_va_met, 0) },
-        { label: 'Annual Tons', fn: r => fNum(r.annual_tons, 1) },
-        { label: 'Annual Days Fed', fn: r => fNum(r.annual_days_fed, 1) },
-        { label: 'Annual Cost', fn: r => fDol(r.annual_cost) },
-    ];
+/**
+ * Change from the baseline as "+1,234 (+5.6%)", coloured when the metric has
+ * a better direction.
+ */
+function formatComparisonChange(metric, delta, percent) {
+    if (delta === null) return '';
+    const signed = { signDisplay: 'exceptZero' };
+    const amount = metric.money
+        ? formatMoney(delta, metric.decimals, signed)
+        : delta.toLocaleString(undefined, { minimumFractionDigits: metric.decimals, maximumFractionDigits: metric.decimals, ...signed });
+    const share = percent === null ? 'n/a' : `${(percent * 100).toLocaleString(undefined, { maximumFractionDigits: 1, ...signed })}%`;
+    const tone = metric.higherIsBetter == null || delta === 0 ? '' : ((delta > 0) === metric.higherIsBetter ? 'better' : 'worse');
+    return `<span class="comparison-delta ${tone}">${amount} (${share})</span>`;
+}
+
+/**
+ * Compares any number of saved scenarios ([{ name, data }]) against the one
+ * at baselineIndex: output metrics with changes from the baseline, a
+ * per-generation table and charts, and the inputs that differ.
+ */
+function showComparison(scenarios, baselineIndex = 0) {
+    const container = document.getElementById('comparison-container');
+    const labels = getInputFieldLabels();
+    const allKeys = [...new Set(scenarios.flatMap(s => Object.keys(s.data)))];
+    const comparison = compareScenarios(scenarios.map(s => ({ name: s.name, inputs: s.data })), baselineIndex);
+    lastComparison = comparison;
 
-    const outputRows = outputMetrics.map(metric => {
-        const cells = simResults.map(r => {
-            if (!r) return '<td>Error</td>';
-            return `<td>${metric.fn(r)}</td>`;
+    const headerCells = comparison.scenarios.map((s, i) =>
+        `<th>${escapeHtml(s.name)}${i === baselineIndex ? ' <span class="comparison-baseline">(baseline)</span>' : ''}</th>`
+    ).join('');
+
+    const outputRows = comparison.metrics.map(metric => {
+        const cells = metric.values.map((val, i) => {
+            if (!comparison.scenarios[i].results) return '<td>Invalid inputs</td>';
+            const change = i === baselineIndex ? '' : `<br>${formatComparisonChange(metric, metric.deltas[i], metric.percent_deltas[i])}`;
+            return `<td>${formatComparisonValue(metric, val)}${change}</td>`;
         }).join('');
-        return `<tr><td><strong>${metric.label}</strong></td>${cells}<td></td></tr>`;
+        return `<tr><td><strong>${metric.label}</strong></td>${cells}</tr>`;
     }).join('');
 
-    // Per-generation comparison
-    const genNames = simResults[0] ? simResults[0].all_gens.map(g => g.name) : [];
-    const genRows = genNames.map((genName, gi) => {
-        const cells = simResults.map(r => {
-            if (!r || !r.all_gens[gi]) return '<td>—</td>';
-            const g = r.all_gens[gi];
-            return `<td>${fNum(g.tons_harvested, 2)} t / ${fNum(g.hectares, 2)} ha</td>`;
-        }).join('');
-        return `<tr><td>${escapeHtml(genName)}</td>${cells}<td></td></tr>`;
+    const invalid = comparison.scenarios.filter(s => !s.results);
+    const invalidNote = invalid.length === 0 ? '' : `<p class="farmos-error">Not run, the inputs are invalid: ${invalid.map(s =>
+        `${escapeHtml(s.name)} (${s.errors.map(e => escapeHtml(`${labels[e.field] || e.field}: ${e.message}`)).join('; ')})`
+    ).join(', ')}.</p>`;
+
+    // Input parameter comparison
+    const inputRows = allKeys.map(key => {
+        const vals = scenarios.map(s => formatScenarioValue(key, s.data[key]));
+        const changed = vals.some(v => v !== vals[baselineIndex]);
+        const label = scenarioFieldLabel(labels, key);
+        const cells = vals.map(v => `<td>${escapeHtml(v)}</td>`).join('');
+        return `<tr class="${changed ? 'changed' : ''}">
+            <td>${escapeHtml(String(label))}</td>
+            ${cells}
+            <td class="diff-indicator ${changed ? 'changed' : ''}">${changed ? 'Δ' : ''}</td>
+        </tr>`;
     }).join('');
 
     container.innerHTML = `
-        <h2>Scenario Comparison: ${scenarios.map(s => escapeHtml(s.name)).join(' vs ')}</h2>
+        <div class="chart-header">
+            <h2>Scenario Comparison: ${comparison.scenarios.map(s => escapeHtml(s.name)).join(' vs ')}</h2>
+            <button type="button" id="btn-compare-export">Export Comparison CSV</button>
+        </div>
+        <p class="sensitivity-description">Changes are from the baseline, ${escapeHtml(comparison.scenarios[baselineIndex].name)}. Green is an improvement and red a worsening, where the metric has a better direction.</p>
+        ${invalidNote}
 
         <h3 style="margin-top:1rem;">Output Results</h3>
-        <table class="comparison-table">
-            <thead><tr><th>Metric</th>${headerCells}<th></th></tr></thead>
-            <tbody>${outputRows}</tbody>
-        </table>
+        <div class="comparison-table-wrap">
+            <table class="comparison-table">
+                <thead><tr><th>Metric</th>${headerCells}</tr></thead>
+                <tbody>${outputRows}</tbody>
+            </table>
+        </div>
 
-        <h3 style="margin-top:1rem;">Per-Generation Breakdown (tons / area)</h3>
-        <table class="comparison-table">
-            <thead><tr><th>Generation</th>${headerCells}<th></th></tr></thead>
-            <tbody>${genRows}</tbody>
-        </table>
+        <div class="chart-header" style="margin-top:1.5rem;">
+            <h3 style="margin:0;">Per-Generation Breakdown</h3>
+            <select id="compare-gen-metric" aria-label="Per-generation metric">
+                ${COMPARISON_GEN_METRICS.map(m => `<option value="${m.key}">${m.label}</option>`).join('')}
+            </select>
+        </div>
+        <div class="chart-pair">
+            <div class="chart-pane comparison-table-wrap" id="compare-gen-table"></div>
+            <div class="chart-pane">
+                <canvas id="compare-bar-chart"></canvas>
+                <canvas id="compare-line-chart"></canvas>
+            </div>
+        </div>
 
         <details style="margin-top:1rem;">
             <summary style="cursor:pointer;font-weight:600;">Input Parameter Differences</summary>
-            <table class="comparison-table" style="margin-top:0.5rem;">
-                <thead><tr><th>Parameter</th>${headerCells}<th></th></tr></thead>
-                <tbody>${inputRows}</tbody>
-            </table>
+            <div class="comparison-table-wrap">
+                <table class="comparison-table" style="margin-top:0.5rem;">
+                    <thead><tr><th>Parameter</th>${headerCells}<th></th></tr></thead>
+                    <tbody>${inputRows}</tbody>
+                </table>
+            </div>
         </details>
 
         <button type="button" class="btn-close-compare" onclick="document.getElementById('comparison-container').style.display='none'">Close Comparison</button>
     `;
     container.style.display = 'block';
+    renderComparisonGenerations();
+}
+
+/**
+ * Per-generation table, grouped bar chart and cumulative line chart of the
+ * metric chosen in #compare-gen-metric, one series per compared scenario.
+ */
+function renderComparisonGenerations() {
+    const comparison = lastComparison;
+    if (!comparison) return;
+    const metric = COMPARISON_GEN_METRICS.find(m => m.key === document.getElementById('compare-gen-metric').value);
+    const baseline = comparison.baseline;
+    const toDisplay = (val) => (val === null ? null : (metric.money ? fromModelCurrency(val, currencyInputs) : val));
+    const unit = metric.money ? ` (${displayCurrency(currencyInputs)})` : '';
+
+    const rows = comparison.generations.map(gen => {
+        const values = gen.values[metric.key];
+        const cells = values.map((val, i) => {
+            if (val === null) return '<td>—</td>';
+            const change = changeFrom(values[baseline], val);
+            const delta = i === baseline ? '' : `<br>${formatComparisonChange(metric, change.delta, change.percent)}`;
+            return `<td>${formatComparisonValue(metric, val)}${delta}</td>`;
+        }).join('');
+        return `<tr><td>${escapeHtml(gen.name)}</td>${cells}</tr>`;
+    }).join('');
+    document.getElementById('compare-gen-table').innerHTML = `
+        <table class="comparison-table">
+            <thead><tr><th>Generation</th>${comparison.scenarios.map(s => `<th>${escapeHtml(s.name)}</th>`).join('')}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+
+    const labels = comparison.generations.map(g => g.name);
+    const color = (i) => COMPARISON_COLORS[i % COMPARISON_COLORS.length];
+    const barSets = comparison.scenarios.map((s, i) => ({
+        label: s.name,
+        data: comparison.generations.map(g => toDisplay(g.values[metric.key][i])),
+        backgroundColor: color(i) + 'cc',
+        borderColor: color(i),
+        borderWidth: 1,
+    }));
+    // Running total along the chain; a scenario without a generation adds nothing for it
+    const lineSets = comparison.scenarios.map((s, i) => {
+        let total = 0;
+        return {
+            label: s.name,
+            data: comparison.generations.map(g => (total += toDisplay(g.values[metric.key][i]) || 0)),
+            borderColor: color(i),
+            backgroundColor: color(i),
+            borderDash: i === baseline ? [] : [6, 3],
+            tension: 0.2,
+        };
+    });
+
+    if (compareBarChart) compareBarChart.destroy();
+    if (compareLineChart) compareLineChart.destroy();
+    compareBarChart = new Chart(document.getElementById('compare-bar-chart'), {
+        type: 'bar',
+        data: { labels, datasets: barSets },
+        options: {
+            responsive: true,
+            plugins: { title: { display: true, text: `${metric.label}${unit} by Generation` } },
+            scales: { y: { beginAtZero: true } },
+        },
+    });
+    compareLineChart = new Chart(document.getElementById('compare-line-chart'), {
+        type: 'line',
+        data: { labels, datasets: lineSets },
+        options: {
+            responsive: true,
+            plugins: { title: { display: true, text: `Cumulative ${metric.label}${unit}` } },
+            scales: { y: { beginAtZero: true } },
+        },
+    });
+}
+
+/**
+ * File-name-safe form of a label: lower case without accents, with runs of
+ * other characters turned into single hyphens. fallback is used when nothing
+ * is left.
+ */
+function fileSlug(label, fallback) {
+    return String(label).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || fallback;
+}
+
+/**
+ * Base name for exports of the current form: the report's program name (or
+ * "ofsp-simulation") and today's date, e.g. haiti-pilot_2026-03-01.
+ */
+function exportBaseName() {
+    const program = document.getElementById('report_program').value.trim();
+    return `${fileSlug(program, 'ofsp-simulation')}_${formatISODate(new Date())}`;
+}
+
+/**
+ * Sources to export with the form's inputs: the applied preset's citations
+ * (or the defaults' when none is applied) for values left as they were,
+ * 'Entered by user' for changed ones and the selected currency for money.
+ */
+function currentInputSources(inputs) {
+    const preset = appliedPreset && findPreset(appliedPreset.id);
+    return Object.fromEntries(Object.keys(DEFAULT_INPUTS).map(field => [field, inputSource(field, inputs, preset)]));
 }
 
 function exportCSV() {
+    if (!validateForm()) { alert('Fix the highlighted inputs before exporting.'); return; }
     const inputs = getInputs();
     const results = calculateSimulation(inputs);
-    const rows = [
-        ['Generation', 'Slips Planted', 'Area (ha)', 'Potatoes Harvested', 'Tons Harvested', 'Days Fed', 'VA Child-Days', 'Cost'],
-    ];
-    results.all_gens.forEach(gen => {
-        rows.push([gen.name, gen.slips_planted, gen.hectares.toFixed(2), gen.potatoes_harvested, gen.tons_harvested, gen.days_fed, gen.vitamin_a_child_days, gen.cost]);
-    });
-    rows.push([]);
-    rows.push(['Summary']);
-    rows.push(['Total Tons Harvested', results.total_tons]);
-    rows.push(['Total Days People Fed', results.total_days_fed]);
-    rows.push(['Total Cost', results.total_cost]);
-    rows.push(['Cost per Person (Full Period)', results.cost_per_person_full_period]);
-    rows.push(['Cost per Person per Day', results.cost_per_person_per_day]);
-    rows.push(['People to Feed', inputs.people_to_feed]);
-    rows.push(['Total VA Child-Days', results.total_vitamin_a_child_days]);
-    rows.push(['Children Annual VA Need Met', results.children_annual_va_met]);
-    rows.push(['Crop Cycles per Year', results.cycles_per_year]);
-    rows.push(['Annual Tons', results.annual_tons]);
-    rows.push(['Annual Days Fed', results.annual_days_fed]);
-    rows.push(['Annual Cost', results.annual_cost]);
-
-    const csv = rows.map(r => r.map(v => `"${v}"`).join(',')).join('\n');
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const rows = fullResultsRows(results, inputs, getInputFieldLabels(), currentInputSources(inputs));
+    downloadCSV(rows, `${exportBaseName()}.csv`);
+}
+
+function exportResultsJSON() {
+    if (!validateForm()) { alert('Fix the highlighted inputs before exporting.'); return; }
+    const name = document.getElementById('report_program').value.trim() || 'Current form';
+    const file = buildResultsFile([{ name, inputs: getInputs() }]);
+    downloadFile(JSON.stringify(file, null, 2), `${exportBaseName()}.ofsp-results.json`, 'application/json');
+}
+
+function exportTidyCSV() {
+    if (!validateForm()) { alert('Fix the highlighted inputs before exporting.'); return; }
+    const inputs = getInputs();
+    const name = document.getElementById('report_program').value.trim() || 'Current form';
+    downloadCSV(tidyRows([{ name, results: calculateSimulation(inputs) }]), `${exportBaseName()}_tidy.csv`);
+}
+
+/**
+ * Exports the results of every saved scenario in one file: a results JSON
+ * (format 'json') or a tidy CSV (format 'tidy'). Scenarios with invalid
+ * inputs are left out of the CSV and reported.
+ */
+function exportAllResults(format) {
+    const saved = Object.entries(getSavedScenarios()).map(([name, inputs]) => ({ name, inputs }));
+    if (saved.length === 0) { setScenarioMessage('There are no saved scenarios to export.', true); return; }
+    const file = buildResultsFile(saved);
+    const base = `ofsp-all-scenarios_${formatISODate(new Date())}`;
+    if (format === 'json') {
+        downloadFile(JSON.stringify(file, null, 2), `${base}.ofsp-results.json`, 'application/json');
+    } else {
+        downloadCSV(tidyRows(file.scenarios.filter(s => s.results)), `${base}_tidy.csv`);
+    }
+    const invalid = file.scenarios.filter(s => !s.results).map(s => s.name);
+    const run = saved.length - invalid.length;
+    const exported = `Exported the results of ${run} scenario${run === 1 ? '' : 's'}.`;
+    setScenarioMessage(invalid.length > 0 ? `${exported} Not run (invalid inputs): ${invalid.join(', ')}.` : exported, invalid.length > 0);
+}
+
+/**
+ * Serialises rows (arrays of values) as CSV and triggers a download.
+ */
+function downloadCSV(rows, filename) {
+    downloadFile(rowsToCSV(rows), filename, 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Triggers a download of text content.
+ */
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'ofsp_simulation.csv';
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
 }
 
+// --- Excel Workbook ---
+
+// Bundled libraries in vendor/ are loaded the first time they are needed, so
+// the page works offline without the extra download up front
+const vendorScripts = {};
+
+function loadVendorScript(src) {
+    if (!vendorScripts[src]) {
+        vendorScripts[src] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                delete vendorScripts[src];
+                reject(new Error(`Could not load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return vendorScripts[src];
+}
+
+// ExcelJS (MIT)
+const EXCEL_LIBRARY_SRC = 'vendor/exceljs.min.js';
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+async function loadExcelLibrary() {
+    if (!window.ExcelJS) await loadVendorScript(EXCEL_LIBRARY_SRC);
+    return window.ExcelJS;
+}
+
+/**
+ * Sheets of the workbook export as { name, rows }: the inputs with their
+ * sources, the generation table, the summary, the sensitivity sweep and the
+ * last comparison (or, before one is run, the form against every saved
+ * scenario).
+ */
+function workbookSheets(inputs) {
+    const results = calculateSimulation(inputs);
+    const sources = currentInputSources(inputs);
+    const comparison = lastComparison || compareScenarios([
+        { name: 'Current form', inputs },
+        ...Object.entries(getSavedScenarios()).map(([name, saved]) => ({ name, inputs: saved })),
+    ]);
+    return [
+        { name: 'Inputs', rows: inputsToSheetRows(inputs, getInputFieldLabels(), sources) },
+        { name: 'Generations', rows: generationRows(results, inputs) },
+        { name: 'Summary', rows: [['Metric', 'Value'], ...summaryRows(results, inputs)] },
+        { name: 'Sensitivity', rows: tornadoToRows(runTornadoAnalysis(inputs), inputs, sensitivityState.metric, sensitivityState.swing) },
+        { name: 'Comparison', rows: comparisonToRows(comparison, inputs) },
+    ];
+}
+
+async function exportWorkbook() {
+    if (!validateForm()) { alert('Fix the highlighted inputs before exporting.'); return; }
+    let ExcelJS;
+    try {
+        ExcelJS = await loadExcelLibrary();
+    } catch (err) {
+        console.error('Excel library error:', err);
+        alert('The Excel library could not be loaded.');
+        return;
+    }
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'OFSP Regeneration Calculator';
+    for (const sheet of workbookSheets(getInputs())) {
+        const worksheet = workbook.addWorksheet(sheet.name);
+        worksheet.addRows(sheet.rows);
+        worksheet.getRow(1).font = { bold: true };
+        const columnCount = Math.max(...sheet.rows.map(row => row.length));
+        for (let col = 0; col < columnCount; col++) {
+            const longest = Math.max(...sheet.rows.map(row => String(row[col] ?? '').length));
+            worksheet.getColumn(col + 1).width = Math.min(60, Math.max(10, longest + 2));
+        }
+    }
+    downloadFile(await workbook.xlsx.writeBuffer(), `${exportBaseName()}.xlsx`, XLSX_TYPE);
+}
+
+/**
+ * Plain value of an ExcelJS cell: dates as YYYY-MM-DD, formulas as their
+ * cached result and rich text or hyperlinks as their text.
+ */
+function excelCellValue(value) {
+    if (value instanceof Date) return formatISODate(value);
+    if (value && typeof value === 'object') {
+        if ('result' in value) return excelCellValue(value.result);
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+        if ('text' in value) return excelCellValue(value.text);
+        return '';
+    }
+    return value ?? '';
+}
+
+/**
+ * Loads the Inputs sheet of an .xlsx file (ours, or any sheet with Field and
+ * Value columns) into the form and checks it against the form's rules.
+ */
+async function importWorkbook(file) {
+    try {
+        let rows;
+        try {
+            const ExcelJS = await loadExcelLibrary();
+            const workbook = new ExcelJS.Workbook();
+            await workbook.xlsx.load(await file.arrayBuffer());
+            const worksheet = workbook.getWorksheet('Inputs') || workbook.worksheets[0];
+            rows = [];
+            if (worksheet) {
+                worksheet.eachRow({ includeEmpty: true }, row => {
+                    rows.push(Array.from(row.values.slice(1), excelCellValue));
+                });
+            }
+        } catch (err) {
+            console.error('Workbook import error:', err);
+            setScenarioMessage('That file could not be read as an Excel workbook.', true);
+            return;
+        }
+        const { inputs, errors } = parseInputSheet(rows, getInputFieldLabels());
+        if (!inputs) {
+            setScenarioMessage(`Nothing was imported: ${errors.join('; ')}.`, true);
+            return;
+        }
+        loadScenarioIntoForm(inputs);
+        const valid = validateForm();
+        const loaded = valid ? `Loaded the inputs from ${file.name}.` : `Loaded the inputs from ${file.name}; fix the highlighted fields before running.`;
+        setScenarioMessage(errors.length > 0 ? `${loaded} Notes: ${errors.join('; ')}.` : loaded, !valid);
+    } catch (err) {
+        console.error('Workbook import error:', err);
+        setScenarioMessage(`The inputs from ${file.name} could not be loaded into the form.`, true);
+    }
+}
+
+// --- PDF Report ---
+
+// jsPDF and its AutoTable plugin (both MIT); the plugin needs jsPDF first
+const PDF_LIBRARY_SRC = 'vendor/jspdf.umd.min.js';
+const PDF_TABLE_LIBRARY_SRC = 'vendor/jspdf.plugin.autotable.min.js';
+
+async function loadPdfLibrary() {
+    if (!window.jspdf) await loadVendorScript(PDF_LIBRARY_SRC);
+    if (!window.jspdf.jsPDF.API.autoTable) await loadVendorScript(PDF_TABLE_LIBRARY_SRC);
+    return window.jspdf.jsPDF;
+}
+
+// Methodology appendix of the report, one paragraph per heading. The PDF's
+// built-in fonts have no Greek or maths symbols, so formulas are in words.
+// The feeding capacity paragraph describes the report's own population and
+// share sold, so the list is built from the inputs.
+function reportMethodology(inputs, fNum) {
+    const needs = beneficiaryNeeds(inputs);
+    const population = needs.mode === 'households'
+        ? `${fNum(inputs.households)} households x ${fNum(inputs.household_size, 1)} people = ${fNum(needs.people)} people, split into age/sex groups whose calorie target is ${fNum(inputs.ofsp_energy_share * 100)}% of each group's energy requirement`
+        : `${fNum(needs.people)} people at ${fNum(inputs.calorie_target_per_person)} kcal each`;
+    const growth = inputs.population_growth_rate > 0
+        ? ` that grows with the population by ${fNum(inputs.population_growth_rate * 100, 1)}% a year`
+        : '';
+    const sold = inputs.share_sold > 0
+        ? `less tubers kept for replanting and the ${fNum(inputs.share_sold * 100)}% of roots sold`
+        : 'less tubers kept for replanting (no roots are sold)';
+    return [
+        ['Generation chain', 'The model follows a chain of main generations, one per growing cycle. Generation 1 is planted from purchased slips. Each later main generation is planted from tubers of the one before: Replant % of the roots harvested are set aside and each sprouts Slips per Replanted Tuber. Each main generation is followed by vine-cutting harvests (a, b, c, ...) on the same land, each yielding its Sub-Gen Yield Fraction of the main harvest.'],
+        ['Yield', 'Tons harvested = hectares x tons per hectare x harvest % x yield fraction x yield factor x dry-season factor. Survival rates act on planting material and stored roots, not on this yield. Seed degeneration lowers the yield factor by the Yield Decline for each replanted generation; fresh purchased slips reset it to 1. A planting loses the Dry-Season Yield Loss in proportion to its growing days outside the rainy seasons (the year\'s dry share when no start date is set), less the share of full irrigation cost spent on irrigation. Hectares planted are capped by the land available when a limit is set.'],
+        ['Feeding capacity', `Days fed come from a daily food balance. Each harvest joins the stock on its harvest date, ${sold}. The population is ${population}, a need of ${fNum(needs.calories_per_day)} kcal a day${growth}; each day it eats that need if the stock allows, and stored roots decay at the rate set by storage survival. Days fed are the days on which the whole need was met, and cost per person per day divides the cost by those person-days. Hungry-gap days are days between the first and last harvest when it was not.`],
+        ['Vitamin A and nutrition', 'Vitamin A produced = tons x 10,000 x mcg RAE per 100 g. VA child-days = vitamin A produced / a child\'s daily need. Protein, iron, zinc, vitamin C and fibre are counted from roots eaten and leaves picked, after cooking losses, against each population group\'s daily need.'],
+        ['Costs', 'Per-acre labour, supply and irrigation costs are converted to hectares. Main generations pay full land preparation, with clearing charged only on newly cleared land; slips are bought for Generation 1 and fresh-slip refreshes only. Vine-cutting harvests pay maintenance only (weeding, fertilizer application, harvesting, transport). Amounts entered in other currencies are converted at the exchange rates in the assumptions.'],
+        ['Annual projection', 'The chain takes main generations x days to harvest. Annual figures scale chain totals by the smaller of 365 / chain days and crop cycles per year.'],
+        ['Economics', 'Revenue comes from the share of roots sold at the root price and from vines sold. Net cash flows are discounted at the discount rate over the economic horizon to give the NPV, payback period and break-even root price.'],
+        ['Sensitivity', 'Each sensitivity input is moved down and up by 10% and 25% with every other input at its base value, and the simulation is run again. Findings list the inputs with the largest effect on each headline metric.'],
+    ];
+}
+
+/**
+ * Builds the donor report as a multi-page A4 PDF and downloads it: a cover
+ * with the program, site and key results; the annual projection; the
+ * assumptions with units and sources; the generation table with the
+ * generation and calendar charts; sensitivity findings; and the methodology.
+ */
+async function exportReport() {
+    if (!validateForm()) { alert('Fix the highlighted inputs before creating the report.'); return; }
+    let jsPDF;
+    try {
+        jsPDF = await loadPdfLibrary();
+    } catch (err) {
+        console.error('PDF library error:', err);
+        alert('The PDF library could not be loaded.');
+        return;
+    }
+
+    const inputs = getInputs();
+    const results = calculateSimulation(inputs);
+    const program = document.getElementById('report_program').value.trim() || 'OFSP Program';
+    const site = document.getElementById('report_site').value.trim();
+    const author = document.getElementById('report_author').value.trim();
+    const created = new Date().toLocaleDateString('en-US', { day: 'numeric', month: 'long', year: 'numeric' });
+
+    // Built-in PDF fonts cover Latin-1 only, so money is shown with its code
+    const fNum = (num, dec = 0) => (Number.isFinite(num) ? num.toLocaleString('en-US', { minimumFractionDigits: dec, maximumFractionDigits: dec }) : '-');
+    const fDol = (num, dec = 0) => formatMoney(num, dec, { currencyDisplay: 'code' });
+    const fPct = (share) => (share === null || !Number.isFinite(share) ? '-' : `${share > 0 ? '+' : ''}${fNum(share * 100, 1)}%`);
+    const fValue = (val) => (typeof val === 'number' ? val.toLocaleString('en-US', { maximumFractionDigits: 6 }) : String(val));
+
+    const doc = new jsPDF({ unit: 'mm', format: 'a4', compress: true });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 18;
+    const width = pageWidth - 2 * margin;
+    const green = [0, 100, 0];
+    let y = margin;
+
+    const ensureSpace = (height) => {
+        if (y + height > pageHeight - margin) {
+            doc.addPage();
+            y = margin;
+        }
+    };
+    const heading = (text, size = 14) => {
+        ensureSpace(size);
+        doc.setFont('helvetica', 'bold').setFontSize(size).setTextColor(...green);
+        doc.text(text, margin, y + size * 0.35);
+        doc.setFont('helvetica', 'normal').setFontSize(10).setTextColor(0);
+        y += size * 0.35 + 5;
+    };
+    const paragraph = (text) => {
+        for (const line of doc.splitTextToSize(text, width)) {
+            ensureSpace(5);
+            doc.text(line, margin, y + 3.5);
+            y += 5;
+        }
+        y += 2;
+    };
+    const table = (rows, options = {}) => {
+        doc.autoTable({
+            head: [rows[0]],
+            body: rows.slice(1),
+            startY: y,
+            margin: { left: margin, right: margin, top: margin, bottom: margin },
+            styles: { fontSize: 8, cellPadding: 1.5 },
+            headStyles: { fillColor: green },
+            ...options,
+        });
+        y = doc.lastAutoTable.finalY + 6;
+    };
+    // Charts are drawn off screen from these results, so they always match the tables
+    const chartImage = (config, title, aspect = 0.5) => {
+        if (typeof Chart === 'undefined') return;
+        const canvas = document.createElement('canvas');
+        canvas.width = 1000;
+        canvas.height = Math.round(1000 * aspect);
+        const chart = new Chart(canvas, { ...config, options: { ...config.options, responsive: false, animation: false, devicePixelRatio: 1 } });
+        const height = width * aspect;
+        ensureSpace(height + 10);
+        heading(title, 11);
+        doc.addImage(chart.toBase64Image(), 'PNG', margin, y, width, height);
+        chart.destroy();
+        y += height + 6;
+    };
+
+    // Cover
+    y = 70;
+    doc.setFont('helvetica', 'bold').setFontSize(26).setTextColor(...green);
+    doc.text(doc.splitTextToSize(program, width), margin, y);
+    y += 14 * doc.splitTextToSize(program, width).length;
+    doc.setFont('helvetica', 'normal').setFontSize(14).setTextColor(0);
+    doc.text('Orange-fleshed sweet potato regeneration plan', margin, y);
+    y += 10;
+    doc.setFontSize(11);
+    for (const line of [site && `Site: ${site}`, author && `Prepared by: ${author}`, `Date: ${created}`].filter(Boolean)) {
+        doc.text(line, margin, y);
+        y += 6;
+    }
+    y += 10;
+    table([
+        ['Key result', 'Value'],
+        ['People to feed', fNum(results.beneficiaries.people)],
+        ['Tons harvested (chain total)', fNum(results.total_tons, 1)],
+        ['Days fed (chain total)', fNum(results.total_days_fed, 1)],
+        ['Vitamin A child-days supplied', fNum(results.total_vitamin_a_child_days)],
+        ['Total cost', fDol(results.total_cost)],
+        ['Cost per person per day', fDol(results.cost_per_person_per_day, 4)],
+    ], { styles: { fontSize: 10, cellPadding: 2 } });
+    doc.setFontSize(9).setTextColor(90);
+    doc.text(`Generated by the OFSP Regeneration Calculator. Money in ${displayCurrency(inputs)}.`, margin, pageHeight - margin);
+    doc.setTextColor(0);
+
+    // Results and annual projection
+    doc.addPage();
+    y = margin;
+    heading('Results');
+    const annual = results.annual_scale_factor > 0;
+    paragraph(annual
+        ? `The chain of ${results.num_generations} main generation${results.num_generations === 1 ? '' : 's'}, each with ${results.num_sub_generations} vine-cutting harvest${results.num_sub_generations === 1 ? '' : 's'}, runs ${results.cycles_per_year} crop cycle${results.cycles_per_year === 1 ? '' : 's'} a year at ${fNum(inputs.days_to_harvest)} days per cycle. Annual figures scale the chain totals by ${fNum(results.annual_scale_factor, 2)}x, with days fed capped at 365.`
+        : 'There is no annual projection for this chain; figures are chain totals.');
+    table([
+        ['Measure', 'Chain total', annual ? 'Annual' : ''],
+        ['Tons harvested', fNum(results.total_tons, 1), annual ? fNum(results.annual_tons, 1) : ''],
+        ['Days fed', fNum(results.total_days_fed, 1), annual ? fNum(results.annual_days_fed, 1) : ''],
+        ['Cost', fDol(results.total_cost), annual ? fDol(results.annual_cost) : ''],
+        ['Area planted (ha)', fNum(results.total_hectares, 2), ''],
+        ['Cost per person (full period)', fDol(results.cost_per_person_full_period, 2), ''],
+        ['Annual calorie need met', '', `${fNum(results.beneficiaries.calorie_share_met * 100, 1)}%`],
+        ['Annual vitamin A need met', '', `${fNum(results.beneficiaries.vitamin_a_share_met * 100, 1)}%`],
+    ]);
+
+    heading('Generations');
+    table([
+        ['Generation', 'Slips Planted', 'Hectares', 'Tons', 'Days Fed', 'VA Child-Days', `Cost (${displayCurrency(inputs)})`, 'Yield Factor'],
+        ...results.all_gens.map(gen => [
+            gen.name, fNum(gen.slips_planted), fNum(gen.hectares, 2), fNum(gen.tons_harvested, 1), fNum(gen.days_fed, 1),
+            fNum(gen.vitamin_a_child_days), fNum(fromModelCurrency(gen.cost, inputs)), fNum(gen.yield_factor, 2),
+        ]),
+    ], { columnStyles: Object.fromEntries([1, 2, 3, 4, 5, 6, 7].map(i => [i, { halign: 'right' }])) });
+    chartImage(generationChartConfig(results, currentMetric, inputs), 'Results by generation');
+    const calendar = buildCalendar(inputs, results);
+    chartImage(timelineChartConfig(calendar, results), 'Cultivation calendar', Math.min(1.2, 0.2 + 0.04 * (calendar.entries.length + 1)));
+
+    // Sensitivity
+    const swing = TORNADO_SWINGS[TORNADO_SWINGS.length - 1];
+    const findings = tornadoFindings(runTornadoAnalysis(inputs), swing);
+    heading('Sensitivity Findings');
+    paragraph(`Each input was moved ${Math.round(swing * 100)}% down and up on its own. The inputs below change the headline results the most and deserve the closest monitoring in the field.`);
+    for (const finding of findings) {
+        if (finding.inputs.length === 0) continue;
+        const top = finding.inputs[0];
+        paragraph(`${finding.metric.label}: most sensitive to ${top.label} (${fPct(top.low)} at -${Math.round(swing * 100)}%, ${fPct(top.high)} at +${Math.round(swing * 100)}%).`);
+    }
+    table([
+        ['Metric', 'Input', `-${Math.round(swing * 100)}%`, `+${Math.round(swing * 100)}%`],
+        ...findings.flatMap(f => f.inputs.map(i => [f.metric.label, i.label, fPct(i.low), fPct(i.high)])),
+    ]);
+
+    // Assumptions
+    doc.addPage();
+    y = margin;
+    heading('Assumptions');
+    const preset = appliedPreset && findPreset(appliedPreset.id);
+    paragraph(preset ? `Based on the ${preset.name} preset (version ${preset.version}), with any changes marked in the sources.` : 'Values as entered in the calculator.');
+    const sources = currentInputSources(inputs);
+    const assumptions = assumptionRows(inputs, getInputFieldLabels(), sources)
+        .map((row, i) => (i === 0 ? row : [row[0], fValue(row[1]), row[2], row[3]]));
+    table(assumptions, { columnStyles: { 0: { cellWidth: 50 }, 1: { halign: 'right', cellWidth: 24 }, 2: { cellWidth: 32 } } });
+
+    // Methodology
+    doc.addPage();
+    y = margin;
+    heading('Appendix: Methodology');
+    for (const [title, text] of reportMethodology(inputs, fNum)) {
+        heading(title, 11);
+        paragraph(text);
+    }
+
+    const pages = doc.getNumberOfPages();
+    for (let page = 2; page <= pages; page++) {
+        doc.setPage(page);
+        doc.setFontSize(8).setTextColor(90);
+        doc.text(`${program}${site ? ` - ${site}` : ''}`, margin, pageHeight - 8);
+        doc.text(`Page ${page} of ${pages}`, pageWidth - margin, pageHeight - 8, { align: 'right' });
+    }
+    downloadFile(doc.output('arraybuffer'), `${exportBaseName()}_report.pdf`, 'application/pdf');
+}
+
 // --- Chart Visualization ---
 
 let genChart = null;
 let currentMetric = 'tons_harvested';
 let lastResults = null;
 
-function renderChart(results) {
-    lastResults = results;
-    const section = document.getElementById('chart-section');
-    section.style.display = 'block';
-
-    const labels = results.all_gens.map(g => g.name);
+/**
+ * Chart.js config for one metric of the per-generation bar chart. Shared by
+ * the results panel and the PDF report; costs are shown in the currency of
+ * the inputs passed in.
+ */
+function generationChartConfig(results, metricKey, inputs) {
     const dataMap = {
         tons_harvested: { data: results.all_gens.map(g => g.tons_harvested), label: 'Tons Harvested', color: '#006400' },
         days_fed: { data: results.all_gens.map(g => g.days_fed), label: 'Days Fed', color: '#ff8c00' },
-        cost: { data: results.all_gens.map(g => g.cost), label: 'Cost ($)', color: '#8b0000' },
+        cost: { data: results.all_gens.map(g => fromModelCurrency(g.cost, inputs)), label: `Cost (${displayCurrency(inputs)})`, color: '#8b0000' },
         vitamin_a: { data: results.all_gens.map(g => g.vitamin_a_child_days), label: 'VA Child-Days', color: '#ff6600' },
     };
+    const metric = dataMap[metricKey];
 
-    const metric = dataMap[currentMetric];
-    const ctx = document.getElementById('gen-chart');
-
-    if (genChart) {
-        genChart.data.labels = labels;
-        genChart.data.datasets[0].data = metric.data;
-        genChart.data.datasets[0].label = metric.label;
-        genChart.data.datasets[0].backgroundColor = metric.color + 'cc';
-        genChart.data.datasets[0].borderColor = metric.color;
-        genChart.options.plugins.title.text = metric.label + ' by Generation';
-        genChart.update();
-        return;
-    }
-
-    genChart = new Chart(ctx, {
+    return {
         type: 'bar',
         data: {
-            labels,
+            labels: results.all_gens.map(g => g.name),
             datasets: [{
                 label: metric.label,
                 data: metric.data,
@@ -905,163 +1957,541 @@ function renderChart(results) {
                 y: { beginAtZero: true },
             },
         },
-    });
+    };
 }
 
-// --- Timeline Visualization ---
-
-let timelineChart = null;
-
-function renderTimeline(inputs) {
-    const section = document.getElementById('timeline-section');
+function renderChart(results) {
+    lastResults = results;
+    const section = document.getElementById('chart-section');
     section.style.display = 'block';
 
-    const cycles = inputs.cycles_per_year || 1;
-    const daysToHarvest = inputs.days_to_harvest || 120;
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-
-    // Northern Haiti default: Cycle 1 starts April (month 3), Cycle 2 starts Sep (month 8)
-    const cycleStarts = [3]; // April = index 3
-    if (cycles >= 2) cycleStarts.push(8); // September
-    if (cycles >= 3) cycleStarts.push(0); // January
-    if (cycles >= 4) cycleStarts.push(5); // June
-
-    const datasets = [];
-    const colors = ['#006400', '#ff8c00', '#4169e1', '#8b008b'];
-
-    for (let c = 0; c < Math.min(cycles, cycleStarts.length); c++) {
-        const startMonth = cycleStarts[c];
-        const harvestMonths = Math.ceil(daysToHarvest / 30);
-        const endMonth = startMonth + harvestMonths;
-
-        // Create data array: 1 for planting months, 0.5 for growing, 0 for inactive
-        const data = new Array(12).fill(0);
-        for (let m = startMonth; m < Math.min(endMonth, startMonth + 12); m++) {
-            const mi = m % 12;
-            if (m === startMonth) {
-                data[mi] = 1; // Planting
-            } else if (m === endMonth - 1) {
-                data[mi] = 0.75; // Harvest
-            } else {
-                data[mi] = 0.5; // Growing
-            }
-        }
+    const config = generationChartConfig(results, currentMetric, currencyInputs);
+    const ctx = document.getElementById('gen-chart');
 
-        datasets.push({
-            label: `Cycle ${c + 1}`,
-            data,
-            backgroundColor: colors[c] + '99',
-            borderColor: colors[c],
-            borderWidth: 1,
-            borderRadius: 2,
-        });
+    if (genChart) {
+        genChart.data.labels = config.data.labels;
+        Object.assign(genChart.data.datasets[0], config.data.datasets[0]);
+        genChart.options.plugins.title.text = config.options.plugins.title.text;
+        genChart.update();
+        return;
     }
 
-    const ctx = document.getElementById('timeline-chart');
+    genChart = new Chart(ctx, config);
+}
 
-    if (timelineChart) {
-        timelineChart.data.datasets = datasets;
-        timelineChart.update();
-        return;
-    }
+// --- Timeline Visualization ---
 
-    timelineChart = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: monthNames,
-            datasets,
+let timelineChart = null;
+
+/**
+ * Chart.js config for the cultivation calendar (see renderTimeline). Shared by
+ * the results panel and the PDF report.
+ */
+function timelineChartConfig(calendar, results) {
+    const startMs = Date.parse(calendar.start_date);
+    const dayOf = (iso) => Math.round((Date.parse(iso) - startMs) / 86400000);
+    const fDate = (iso) => new Date(iso + 'T00:00:00Z').toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+    const fTick = (day) => new Date(startMs + day * 86400000).toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' });
+
+    const rowLabels = ['Rainy season', ...calendar.entries.map(e => e.name)];
+    const barColor = (entry, index) => {
+        if (entry.flagged) return '#d32f2f';
+        return results.all_gens[index].is_sub_gen ? '#ff8c00' : '#006400';
+    };
+    const datasets = [
+        {
+            label: 'Rainy season',
+            data: calendar.rainy_windows.map(w => ({ x: [dayOf(w.start_date), dayOf(w.end_date) + 1], y: 'Rainy season' })),
+            backgroundColor: '#4169e166',
+            borderColor: '#4169e1',
+            borderWidth: 1,
+        },
+        {
+            label: 'Planting to harvest',
+            data: calendar.entries.map(e => ({ x: [dayOf(e.planting_date), dayOf(e.harvest_date)], y: e.name })),
+            backgroundColor: calendar.entries.map((e, i) => barColor(e, i) + 'cc'),
+            borderColor: calendar.entries.map((e, i) => barColor(e, i)),
+            borderWidth: 1,
+            borderRadius: 3,
         },
+    ];
+
+    return {
+        type: 'bar',
+        data: { labels: rowLabels, datasets },
         options: {
+            indexAxis: 'y',
             responsive: true,
             plugins: {
-                title: {
-                    display: true,
-                    text: `Planting/Harvest Windows (${cycles} cycle${cycles > 1 ? 's' : ''}/year, ${daysToHarvest} days/cycle)`,
-                    font: { size: 16 },
-                },
+                title: { display: true, text: `Planting to harvest from ${fDate(calendar.start_date)}`, font: { size: 16 } },
+                legend: { display: false },
                 tooltip: {
                     callbacks: {
-                        label: function(context) {
-                            const val = context.raw;
-                            const phase = val === 1 ? 'Planting' : val === 0.75 ? 'Harvest' : val === 0.5 ? 'Growing' : 'Inactive';
-                            return `${context.dataset.label}: ${phase}`;
-                        }
-                    }
+                        label: (item) => {
+                            const [from, to] = item.raw.x;
+                            return `${fDate(formatISODate(new Date(startMs + from * 86400000)))} – ${fDate(formatISODate(new Date(startMs + to * 86400000)))}`;
+                        },
+                    },
                 },
-                legend: { display: true },
             },
             scales: {
-                y: {
-                    beginAtZero: true,
-                    max: 1.2,
-                    ticks: {
-                        callback: function(value) {
-                            if (value === 1) return 'Plant';
-                            if (value === 0.75) return 'Harvest';
-                            if (value === 0.5) return 'Grow';
-                            if (value === 0) return '';
-                            return '';
-                        },
-                        stepSize: 0.25,
-                    },
+                x: {
+                    min: 0,
+                    max: dayOf(calendar.end_date),
+                    ticks: { stepSize: 30, callback: (value) => fTick(value) },
                 },
+                y: { stacked: true },
             },
         },
-    });
+    };
 }
 
-document.addEventListener('DOMContentLoaded', () => {
-  try {
-    populateScenarioDropdowns();
+/**
+ * Gantt-style cultivation calendar: one bar per generation from planting to
+ * harvest, drawn against the site's rainy seasons, with a date table below.
+ * Days are counted from the start date on a linear axis and labelled as dates.
+ */
+function renderTimeline(inputs, results) {
+    const section = document.getElementById('timeline-section');
+    section.style.display = 'block';
 
-    document.getElementById('btn-save-scenario').addEventListener('click', () => {
-        const name = document.getElementById('scenario-name').value.trim();
-        if (!name) { alert('Enter a scenario name.'); return; }
-        const scenarios = getSavedScenarios();
-        scenarios[name] = getInputs();
-        saveScenarios(scenarios);
-        document.getElementById('scenario-name').value = '';
-        populateScenarioDropdowns();
-    });
+    const calendar = buildCalendar(inputs, results);
+    const fDate = (iso) => new Date(iso + 'T00:00:00Z').toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
 
-    document.getElementById('btn-load-scenario').addEventListener('click', () => {
-        const name = document.getElementById('scenario-select').value;
-        if (!name) { alert('Select a scenario to load.'); return; }
-        const scenarios = getSavedScenarios();
-        const data = scenarios[name];
-        if (!data) return;
-        const form = document.getElementById('calc-form');
-        for (const [key, val] of Object.entries(data)) {
-            if (key === 'yield_mode') continue; // Legacy field, skip
-            const el = form.elements[key];
-            if (el) { el.value = val; }
-        }
-        form.dispatchEvent(new Event('input'));
-    });
+    const ctx = document.getElementById('timeline-chart');
+    if (timelineChart) timelineChart.destroy();
+    timelineChart = new Chart(ctx, timelineChartConfig(calendar, results));
+
+    const flaggedCount = calendar.entries.filter(e => e.flagged).length;
+    const rows = calendar.entries.map(e => `
+        <tr class="${e.flagged ? 'calendar-flagged' : ''}">
+            <td>${escapeHtml(e.name)}</td>
+            <td>${e.vine_cutting_date ? fDate(e.vine_cutting_date) : '—'}</td>
+            <td>${fDate(e.planting_date)}</td>
+            <td>${fDate(e.harvest_date)}</td>
+            <td>${Math.round(e.rainy_share * 100)}%</td>
+            <td>${e.flagged ? 'Dry season, not fully irrigated' : (e.dry_season ? 'Dry season (irrigated)' : '')}</td>
+        </tr>`).join('');
+    document.getElementById('timeline-details').innerHTML = `
+        ${flaggedCount > 0 ? `<p class="farmos-error">${flaggedCount} generation${flaggedCount === 1 ? '' : 's'} would grow mostly in the dry season without full irrigation, and lose yield for it. Add irrigation spending or move the start date.</p>` : ''}
+        <table class="sensitivity-table calendar-table">
+            <thead><tr><th>Generation</th><th>Vine Cuttings Taken</th><th>Planting</th><th>Harvest</th><th>Growing Days in Rainy Season</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
 
-    document.getElementById('btn-delete-scenario').addEventListener('click', () => {
+// --- Daily Food Balance ---
+
+let foodBalanceChart = null;
+
+/**
+ * Stock on hand and the days it would last, day by day from the start date,
+ * with hungry-gap days marked along the bottom of the chart.
+ */
+function renderFoodBalance(inputs, results) {
+    const section = document.getElementById('food-balance-section');
+    section.style.display = 'block';
+
+    const balance = simulateFoodBalance(inputs, results);
+    const calendar = buildCalendar(inputs, results);
+    const startMs = Date.parse(calendar.start_date);
+    const fTick = (day) => new Date(startMs + day * 86400000).toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' });
+    const fDay = (day) => new Date(startMs + day * 86400000).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+    const fNum = (num, dec = 1) => Number.isFinite(num) ? num.toLocaleString(undefined, { minimumFractionDigits: dec, maximumFractionDigits: dec }) : '0';
+
+    const ctx = document.getElementById('food-balance-chart');
+    if (foodBalanceChart) foodBalanceChart.destroy();
+    foodBalanceChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: 'Stock on hand (t)',
+                    data: balance.curve.map(d => ({ x: d.day, y: d.stock_tons })),
+                    borderColor: '#006400',
+                    backgroundColor: '#00640033',
+                    fill: true,
+                    pointRadius: 0,
+                    borderWidth: 2,
+                    yAxisID: 'y',
+                },
+                {
+                    label: 'Days covered by stock',
+                    data: balance.curve.map(d => ({ x: d.day, y: d.days_of_stock })),
+                    borderColor: '#ff8c00',
+                    pointRadius: 0,
+                    borderWidth: 2,
+                    yAxisID: 'y1',
+                },
+                {
+                    type: 'scatter',
+                    label: 'Hungry-gap day',
+                    data: balance.curve
+                        .filter(d => d.hungry && d.day >= balance.first_harvest_day && d.day <= balance.last_harvest_day)
+                        .map(d => ({ x: d.day, y: 0 })),
+                    backgroundColor: '#d32f2f',
+                    pointRadius: 2,
+                    yAxisID: 'y',
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            interaction: { mode: 'nearest', axis: 'x', intersect: false },
+            plugins: {
+                title: { display: true, text: 'Food stock and days covered', font: { size: 16 } },
+                tooltip: {
+                    callbacks: {
+                        title: (items) => fDay(items[0].parsed.x),
+                    },
+                },
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    max: balance.curve.length - 1,
+                    ticks: { stepSize: 30, callback: (value) => fTick(value) },
+                },
+                y: { beginAtZero: true, position: 'left', title: { display: true, text: 'Tons in store' } },
+                y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'Days of need' } },
+            },
+        },
+    });
+
+    const eaten = balance.curve.reduce((sum, d) => sum + d.eaten_tons, 0);
+    document.getElementById('food-balance-details').innerHTML = `
+        <table class="sensitivity-table">
+            <tbody>
+                <tr><td>Daily need</td><td>${fNum(balance.need_tons_per_day, 2)} t</td></tr>
+                <tr><td>Food harvested (after replanting tubers)</td><td>${fNum(balance.food_tons)} t</td></tr>
+                <tr><td>Eaten</td><td>${fNum(eaten)} t</td></tr>
+                <tr><td>Lost in storage (${fNum(balance.decay_per_day * 100, 2)}% a day)</td><td>${fNum(balance.storage_loss_tons)} t</td></tr>
+                <tr><td>Peak stock</td><td>${fNum(balance.peak_stock_tons)} t</td></tr>
+                <tr><td>Days covered (full-need equivalent)</td><td>${fNum(balance.days_covered)}</td></tr>
+                <tr><td>Days fully covered</td><td>${balance.fully_covered_days}</td></tr>
+                <tr><td>Hungry-gap days (${fDay(balance.first_harvest_day)} – ${fDay(balance.last_harvest_day)})</td><td>${balance.hungry_gap_days}</td></tr>
+            </tbody>
+        </table>
+    `;
+}
+
+// --- Beneficiaries ---
+
+/**
+ * Shows the inputs for the selected way of describing beneficiaries and hides the other's.
+ */
+function showBeneficiaryMode() {
+    const mode = document.getElementById('beneficiary_mode').value;
+    document.querySelectorAll('[data-beneficiary-mode]').forEach(el => {
+        el.hidden = el.dataset.beneficiaryMode !== mode;
+    });
+    syncNutrientShares();
+}
+
+/**
+ * In households mode the engine takes the children and adults shares from the
+ * age/sex shares (nutrientGroupShares), so show those values and lock the
+ * inputs rather than let them disagree.
+ */
+function syncNutrientShares() {
+    const form = document.getElementById('calc-form');
+    const householdsMode = form.elements['beneficiary_mode'].value === 'households';
+    const derived = ['population_share_children_under_5', 'population_share_adults'];
+    derived.forEach(id => { form.elements[id].readOnly = householdsMode; });
+    if (!householdsMode) return;
+    const shares = nutrientGroupShares({
+        beneficiary_mode: 'households',
+        composition_children_0_4: parseFloat(form.elements['composition_children_0_4'].value),
+        population_share_pregnant_lactating: parseFloat(form.elements['population_share_pregnant_lactating'].value),
+    });
+    derived.forEach(id => {
+        const share = shares[id.replace('population_share_', '')];
+        if (Number.isFinite(share)) form.elements[id].value = Math.round(share * 1000) / 1000;
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    const form = document.getElementById('calc-form');
+    showBeneficiaryMode();
+    // Loading a scenario or preset fires input on the form, so this also follows those
+    form.addEventListener('input', showBeneficiaryMode);
+    form.addEventListener('change', showBeneficiaryMode);
+  } catch (initErr) {
+    console.error('Beneficiaries initialization error:', initErr);
+  }
+});
+
+let beneficiaryChart = null;
+
+/**
+ * Share of a year's need met, shared across everyone and if targeted at each
+ * group alone, for calories and vitamin A.
+ */
+function renderBeneficiaries(results) {
+    const section = document.getElementById('beneficiaries-section');
+    section.style.display = 'block';
+
+    const coverage = results.beneficiaries;
+    const fInt = (num) => Number.isFinite(num) ? num.toLocaleString(undefined, { maximumFractionDigits: 0 }) : '0';
+    const fPct = (share) => `${(share * 100).toFixed(1)}%`;
+
+    const ctx = document.getElementById('beneficiary-chart');
+    if (beneficiaryChart) beneficiaryChart.destroy();
+    beneficiaryChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: ['Whole population (shared)', ...coverage.groups.map(g => `${g.label} (targeted)`)],
+            datasets: [
+                {
+                    label: 'Calorie need met',
+                    data: [coverage.calorie_share_met, ...coverage.groups.map(g => g.calorie_share_met)].map(v => v * 100),
+                    backgroundColor: '#ff8c00',
+                },
+                {
+                    label: 'Vitamin A need met',
+                    data: [coverage.vitamin_a_share_met, ...coverage.groups.map(g => g.vitamin_a_share_met)].map(v => v * 100),
+                    backgroundColor: '#006400',
+                },
+            ],
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            plugins: {
+                title: { display: true, text: 'Share of annual need met', font: { size: 16 } },
+                tooltip: { callbacks: { label: (item) => `${item.dataset.label}: ${item.parsed.x.toFixed(1)}%` } },
+            },
+            scales: {
+                x: { beginAtZero: true, max: 100, title: { display: true, text: '% of need' } },
+            },
+        },
+    });
+
+    const rows = coverage.groups.map(g => `
+        <tr>
+            <td>${escapeHtml(g.label)}</td>
+            <td>${fInt(g.people)}</td>
+            <td>${fInt(g.calories_per_person)}</td>
+            <td>${fInt(g.vitamin_a_per_person)}</td>
+            <td>${fInt(g.calorie_people_covered)} (${fPct(g.calorie_share_met)})</td>
+            <td>${fInt(g.vitamin_a_people_covered)} (${fPct(g.vitamin_a_share_met)})</td>
+        </tr>`).join('');
+
+    document.getElementById('beneficiary-details').innerHTML = `
+        <table class="sensitivity-table">
+            <thead><tr><th>Group</th><th>People</th><th>OFSP kcal / person / day</th><th>VA need (mcg RAE / day)</th><th>Calorie need met if targeted</th><th>VA need met if targeted</th></tr></thead>
+            <tbody>
+                ${rows}
+                <tr>
+                    <td><strong>Whole population (shared)</strong></td>
+                    <td>${fInt(coverage.people)}</td>
+                    <td>${fInt(coverage.calories_per_day / coverage.people)}</td>
+                    <td>${fInt(coverage.vitamin_a_per_day / coverage.people)}</td>
+                    <td>${fPct(coverage.calorie_share_met)}</td>
+                    <td>${fPct(coverage.vitamin_a_share_met)}</td>
+                </tr>
+            </tbody>
+        </table>
+    `;
+}
+
+// --- Nutrition ---
+
+let nutritionChart = null;
+
+/**
+ * Days of the population's need met for each nutrient, with totals by
+ * population group and a per-generation breakdown.
+ */
+function renderNutrition(results) {
+    const section = document.getElementById('nutrition-section');
+    section.style.display = 'block';
+
+    const fNum = (num, dec = 1) => Number.isFinite(num) ? num.toLocaleString(undefined, { minimumFractionDigits: dec, maximumFractionDigits: dec }) : '0';
+    // Supplies run to tonnes of fibre but grams of zinc, so show them all in kilograms
+    const toKg = (amount, unit) => amount / (unit === 'mg' ? 1e6 : 1e3);
+    const totals = results.total_nutrients;
+
+    const ctx = document.getElementById('nutrition-chart');
+    if (nutritionChart) nutritionChart.destroy();
+    nutritionChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: results.all_gens.map(g => g.name),
+            datasets: NUTRIENTS.map((nutrient, i) => ({
+                label: nutrient.label,
+                data: results.all_gens.map(g => g.nutrients[nutrient.key].days_covered),
+                backgroundColor: ['#006400', '#8b4513', '#607d8b', '#ff8c00', '#9c27b0'][i % 5],
+            })),
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                title: { display: true, text: 'Population days covered per generation', font: { size: 16 } },
+            },
+            scales: {
+                y: { beginAtZero: true, title: { display: true, text: 'Days of need' } },
+            },
+        },
+    });
+
+    const groupHeaders = POPULATION_GROUPS.map(g => `<th>Person-Days: ${escapeHtml(g.label)}</th>`).join('');
+    const totalRows = NUTRIENTS.map(nutrient => {
+        const total = totals[nutrient.key];
+        const groupCells = POPULATION_GROUPS.map(g => `<td>${fNum(total.person_days[g.key], 0)}</td>`).join('');
+        return `<tr><td>${nutrient.label}</td><td>${fNum(toKg(total.supplied, nutrient.unit), 2)}</td><td>${fNum(total.days_covered)}</td>${groupCells}</tr>`;
+    }).join('');
+    const genRows = results.all_gens.map(gen =>
+        `<tr><td>${escapeHtml(gen.name)}</td>${NUTRIENTS.map(n => `<td>${fNum(gen.nutrients[n.key].days_covered)}</td>`).join('')}</tr>`
+    ).join('');
+
+    document.getElementById('nutrition-details').innerHTML = `
+        <table class="sensitivity-table">
+            <thead><tr><th>Nutrient</th><th>Supplied (kg)</th><th>Days Covered</th>${groupHeaders}</tr></thead>
+            <tbody>${totalRows}</tbody>
+        </table>
+        <table class="sensitivity-table">
+            <thead><tr><th>Generation</th>${NUTRIENTS.map(n => `<th>${n.label} Days</th>`).join('')}</tr></thead>
+            <tbody>${genRows}</tbody>
+        </table>
+    `;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    loadScenarioLibrary()
+        .then(renamed => {
+            if (renamed.length > 0) {
+                setScenarioMessage(`Moved earlier saved scenarios into the library under new names: ${renamed.map(r => `${r.from} → ${r.to}`).join(', ')}.`);
+            }
+        })
+        .catch(err => console.error('Scenario library load error:', err))
+        .then(populateScenarioDropdowns);
+
+    document.getElementById('btn-save-scenario').addEventListener('click', async () => {
+        const name = document.getElementById('scenario-name').value.trim();
+        if (!name) { alert('Enter a scenario name.'); return; }
+        const existing = scenarioLibrary[name];
+        if (existing && !confirm(`"${name}" is already saved. Save the form as revision ${existing.revisions.length + 1}? Earlier revisions are kept.`)) return;
+        const noteInput = document.getElementById('scenario-note');
+        let record;
+        try {
+            record = await saveScenario(name, getInputs(), { note: noteInput.value });
+        } catch (err) {
+            console.error('Scenario save error:', err);
+            setScenarioMessage('The scenario could not be stored in this browser.', true);
+            return;
+        }
+        document.getElementById('scenario-name').value = '';
+        noteInput.value = '';
+        populateScenarioDropdowns();
+        selectLibraryScenario(name);
+        setScenarioMessage(existing ? `Saved revision ${record.revisions.length} of "${name}".` : `Saved "${name}".`);
+    });
+
+    document.getElementById('scenario-select').addEventListener('change', (e) => {
+        if (e.target.value) selectLibraryScenario(e.target.value);
+    });
+
+    document.getElementById('btn-load-scenario').addEventListener('click', () => {
         const name = document.getElementById('scenario-select').value;
-        if (!name) { alert('Select a scenario to delete.'); return; }
-        if (!confirm(`Delete scenario "${name}"?`)) return;
+        if (!name) { alert('Select a scenario to load.'); return; }
         const scenarios = getSavedScenarios();
-        delete scenarios[name];
-        saveScenarios(scenarios);
+        const data = scenarios[name];
+        if (!data) return;
+        loadScenarioIntoForm(data);
+    });
+
+    document.getElementById('btn-delete-scenario').addEventListener('click', async () => {
+        const name = document.getElementById('scenario-select').value;
+        if (!name) { alert('Select a scenario to delete.'); return; }
+        const count = scenarioLibrary[name].revisions.length;
+        if (!confirm(`Delete scenario "${name}" and its ${count} revision${count === 1 ? '' : 's'}?`)) return;
+        try {
+            await deleteScenarioRecord(name);
+            setScenarioMessage(`Deleted "${name}" and its ${count} revision${count === 1 ? '' : 's'}.`);
+        } catch (err) {
+            console.error('Scenario delete error:', err);
+            setScenarioMessage(`"${name}" could not be deleted from this browser's storage.`, true);
+        }
         populateScenarioDropdowns();
     });
 
+    document.getElementById('btn-export-scenario').addEventListener('click', () => {
+        const name = document.getElementById('scenario-select').value;
+        if (!name) { alert('Select a scenario to export.'); return; }
+        exportScenarios([name], name);
+    });
+
+    document.getElementById('btn-export-all-scenarios').addEventListener('click', () => {
+        const names = Object.keys(getSavedScenarios()).sort();
+        if (names.length === 0) { alert('There are no saved scenarios to export.'); return; }
+        exportScenarios(names, 'saved scenarios');
+    });
+
+    document.getElementById('btn-import-scenarios').addEventListener('click', () => {
+        document.getElementById('scenario-import-file').click();
+    });
+    document.getElementById('scenario-import-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        file.text().then(importScenarioFile);
+        e.target.value = '';
+    });
+    document.getElementById('btn-export-all-results').addEventListener('click', () => {
+        exportAllResults(document.getElementById('all-results-format').value);
+    });
+    document.getElementById('btn-import-xlsx').addEventListener('click', () => {
+        document.getElementById('xlsx-import-file').click();
+    });
+    document.getElementById('xlsx-import-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        importWorkbook(file);
+        e.target.value = '';
+    });
+
+    document.getElementById('btn-share-link').addEventListener('click', () => {
+        if (!validateForm()) { alert('Fix the highlighted inputs before sharing.'); return; }
+        const field = document.getElementById('share-link');
+        field.value = buildShareUrl(getInputs());
+        field.select();
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(field.value)
+                .then(() => setScenarioMessage('Share link copied. Anyone opening it gets these inputs and results.'))
+                .catch(() => setScenarioMessage('Copy the selected link to share these inputs.'));
+        } else {
+            setScenarioMessage('Copy the selected link to share these inputs.');
+        }
+    });
+
+    // Open a share link on page load, and when one is pasted into this tab
+    loadSharedScenario();
+    window.addEventListener('hashchange', loadSharedScenario);
+
     document.getElementById('btn-compare').addEventListener('click', () => {
-        const nameA = document.getElementById('compare-a').value;
-        const nameB = document.getElementById('compare-b').value;
-        const nameC = document.getElementById('compare-c').value;
-        if (!nameA || !nameB) { alert('Select at least two scenarios to compare.'); return; }
-        const selected = [nameA, nameB];
-        if (nameC) selected.push(nameC);
-        const uniqueNames = [...new Set(selected)];
-        if (uniqueNames.length < 2) { alert('Select at least two different scenarios.'); return; }
+        const names = [...document.querySelectorAll('#compare-scenarios input:checked')].map(box => box.value);
+        // A baseline that is not ticked is compared too
+        const baseline = document.getElementById('compare-baseline').value || names[0];
+        if (baseline && !names.includes(baseline)) names.unshift(baseline);
+        if (names.length < 2) { alert('Select at least two scenarios to compare.'); return; }
         const savedScenarios = getSavedScenarios();
-        const scenarioList = uniqueNames.map(name => ({ name, data: savedScenarios[name] }));
+        const scenarioList = names.map(name => ({ name, data: savedScenarios[name] }));
         if (scenarioList.some(s => !s.data)) { alert('One or more selected scenarios not found.'); return; }
-        showComparison(scenarioList);
+        showComparison(scenarioList, names.indexOf(baseline));
+    });
+
+    const comparisonContainer = document.getElementById('comparison-container');
+    comparisonContainer.addEventListener('change', (e) => {
+        if (e.target.id === 'compare-gen-metric') renderComparisonGenerations();
+    });
+    comparisonContainer.addEventListener('click', (e) => {
+        if (e.target.id === 'btn-compare-export' && lastComparison) {
+            downloadCSV(comparisonToRows(lastComparison, currencyInputs), 'ofsp_scenario_comparison.csv');
+        }
     });
   } catch (initErr) {
     console.error('Scenario panel initialization error:', initErr);
@@ -1076,23 +2506,1278 @@ document.addEventListener('click', (e) => {
     if (lastResults) renderChart(lastResults);
 });
 
-// --- Country Presets ---
-const COUNTRY_PRESETS = {
-    haiti:       { tons_per_hectare: 10, planting_density: 33000 },
-    nigeria:     { tons_per_hectare: 8,  planting_density: 33000 },
-    malawi:      { tons_per_hectare: 7,  planting_density: 30000 },
-    india:       { tons_per_hectare: 18, planting_density: 35000 },
-    ethiopia:    { tons_per_hectare: 9,  planting_density: 33000 },
-    philippines: { tons_per_hectare: 12, planting_density: 33000 },
-};
+// --- Scenario Library ---
 
-function applyCountryPreset(presetKey) {
-    const preset = COUNTRY_PRESETS[presetKey];
-    if (!preset) return; // 'custom' — do nothing
-    const form = document.getElementById('calc-form');
-    for (const [key, val] of Object.entries(preset)) {
-        const el = form.elements[key];
-        if (el) el.value = val;
+function setLibraryMessage(message, isError) {
+    const el = document.getElementById('library-message');
+    el.textContent = message;
+    el.className = isError ? 'farmos-error' : 'sensitivity-description';
+}
+
+function formatSavedTime(iso) {
+    return iso ? new Date(iso).toLocaleString() : 'before the library';
+}
+
+function formatSnapshotValue(metric, snapshot) {
+    const val = snapshot ? snapshot[metric.key] : null;
+    if (!Number.isFinite(val)) return '—';
+    if (metric.money) return formatMoney(val, metric.key === 'cost_per_person_per_day' ? 4 : 0);
+    return val.toLocaleString(undefined, { maximumFractionDigits: 1 });
+}
+
+/**
+ * Fills the library dropdown with the saved scenarios whose name, tags or
+ * description contain the filter text, keeping the selection when it still
+ * matches.
+ */
+function populateLibrarySelect() {
+    const select = document.getElementById('library-scenario-select');
+    if (!select) return;
+    const filter = document.getElementById('library-filter').value.trim().toLowerCase();
+    const matches = Object.values(scenarioLibrary)
+        .filter(r => !filter || [r.name, r.description, ...r.tags].some(text => text.toLowerCase().includes(filter)))
+        .map(r => r.name)
+        .sort();
+    const current = select.value;
+    select.innerHTML = matches.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`).join('');
+    if (matches.includes(current)) select.value = current;
+    renderScenarioLibrary();
+}
+
+function selectLibraryScenario(name) {
+    const filter = document.getElementById('library-filter');
+    filter.value = '';
+    populateLibrarySelect();
+    document.getElementById('library-scenario-select').value = name;
+    setLibraryMessage('');
+    renderScenarioLibrary();
+}
+
+/**
+ * Details of the selected scenario: editable description, tags and author,
+ * its revisions with their result snapshots, and a revision diff.
+ */
+function renderScenarioLibrary() {
+    const details = document.getElementById('library-details');
+    if (!details) return;
+    const record = scenarioLibrary[document.getElementById('library-scenario-select').value];
+    if (!record) {
+        details.innerHTML = Object.keys(scenarioLibrary).length === 0
+            ? '<p class="sensitivity-description">No saved scenarios yet. Save the form from the Scenarios panel to start the library.</p>'
+            : '<p class="sensitivity-description">No saved scenario matches.</p>';
+        return;
+    }
+    const latest = record.revisions.length;
+    const meta = [
+        `Created ${formatSavedTime(record.created)}`,
+        `modified ${formatSavedTime(record.modified)}`,
+        record.preset ? `started from ${record.preset.name} (v${record.preset.version})` : 'not started from a preset',
+        `${latest} revision${latest === 1 ? '' : 's'}`,
+    ].join(' · ');
+
+    const revisionRows = [...record.revisions].reverse().map(r => `<tr>
+        <td>${r.revision}</td>
+        <td>${escapeHtml(formatSavedTime(r.saved))}</td>
+        <td>${escapeHtml(r.author)}</td>
+        <td>${escapeHtml(r.note)}</td>
+        ${SNAPSHOT_METRICS.map(m => `<td>${formatSnapshotValue(m, r.snapshot)}</td>`).join('')}
+        <td>${r.revision === latest ? 'Latest' : `<button type="button" class="revision-restore" data-revision="${r.revision}">Restore</button>`}</td>
+    </tr>`).join('');
+    const revisionOptions = record.revisions.map(r => `<option value="${r.revision}">Revision ${r.revision}</option>`).reverse().join('');
+
+    details.innerHTML = `
+        <div class="scenario-meta-grid">
+            <label for="library-description">Description</label>
+            <textarea id="library-description" rows="2">${escapeHtml(record.description)}</textarea>
+            <label for="library-tags">Tags</label>
+            <input type="text" id="library-tags" value="${escapeHtml(record.tags.join(', '))}" placeholder="Comma-separated, e.g. pilot, irrigated">
+            <label for="library-author">Author</label>
+            <input type="text" id="library-author" value="${escapeHtml(record.author)}">
+        </div>
+        <p class="sensitivity-description preset-meta">${escapeHtml(meta)}</p>
+        <div class="sensitivity-controls preset-controls">
+            <button type="button" id="btn-library-save-details">Save Details</button>
+            <button type="button" id="btn-library-load">Load Latest into Form</button>
+        </div>
+        <div class="preset-table-wrap">
+            <table class="sensitivity-table revision-table">
+                <thead><tr><th>Rev</th><th>Saved</th><th>Author</th><th>Note</th>${SNAPSHOT_METRICS.map(m => `<th>${m.label}</th>`).join('')}<th></th></tr></thead>
+                <tbody>${revisionRows}</tbody>
+            </table>
+        </div>
+        <div class="sensitivity-controls preset-controls">
+            <label for="library-diff-from">Compare</label>
+            <select id="library-diff-from">${revisionOptions}</select>
+            <label for="library-diff-to">with</label>
+            <select id="library-diff-to"><option value="form">Current form</option>${revisionOptions}</select>
+            <button type="button" id="btn-library-diff">Show Differences</button>
+        </div>
+        <div id="library-diff"></div>
+    `;
+    // Start on the latest revision against the form: what has changed since the last save
+    document.getElementById('library-diff-from').value = String(latest);
+}
+
+async function saveLibraryDetails() {
+    const record = scenarioLibrary[document.getElementById('library-scenario-select').value];
+    if (!record) return;
+    const updated = {
+        ...record,
+        description: document.getElementById('library-description').value.trim(),
+        tags: parseTags(document.getElementById('library-tags').value),
+        author: document.getElementById('library-author').value.trim(),
+        modified: new Date().toISOString(),
+    };
+    try {
+        await putScenarioRecord(updated);
+    } catch (err) {
+        console.error('Scenario save error:', err);
+        setLibraryMessage('The details could not be stored in this browser.', true);
+        return;
+    }
+    populateLibrarySelect();
+    setLibraryMessage(`Saved the details of "${record.name}".`);
+}
+
+/**
+ * Saves an earlier revision again as the newest one and loads it into the
+ * form; the revisions in between stay in the history.
+ */
+async function restoreRevision(revision) {
+    const record = scenarioLibrary[document.getElementById('library-scenario-select').value];
+    const source = record && record.revisions[revision - 1];
+    if (!source) return;
+    if (!confirm(`Restore revision ${revision} of "${record.name}"? It is saved as revision ${record.revisions.length + 1} and loaded into the form.`)) return;
+    try {
+        await saveScenario(record.name, source.inputs, { note: `Restored revision ${revision}` });
+    } catch (err) {
+        console.error('Scenario save error:', err);
+        setLibraryMessage('The revision could not be stored in this browser.', true);
+        return;
+    }
+    loadScenarioIntoForm(source.inputs);
+    renderScenarioLibrary();
+    setLibraryMessage(`Restored revision ${revision} of "${record.name}" as revision ${record.revisions.length + 1}.`);
+}
+
+/**
+ * Lists the inputs and result snapshot values that differ between two
+ * revisions, or between a revision and the current form.
+ */
+function renderRevisionDiff() {
+    const record = scenarioLibrary[document.getElementById('library-scenario-select').value];
+    if (!record) return;
+    const fromRev = record.revisions[Number(document.getElementById('library-diff-from').value) - 1];
+    const toValue = document.getElementById('library-diff-to').value;
+    const toRev = toValue === 'form' ? null : record.revisions[Number(toValue) - 1];
+    const toInputs = toRev ? toRev.inputs : getInputs();
+    const toSnapshot = toRev ? toRev.snapshot : scenarioSnapshot(toInputs);
+    const fromLabel = `Revision ${fromRev.revision}`;
+    const toLabel = toRev ? `Revision ${toRev.revision}` : 'Current form';
+    const container = document.getElementById('library-diff');
+
+    const changes = diffScenarioInputs(fromRev.inputs, toInputs);
+    if (changes.length === 0) {
+        container.innerHTML = `<p class="sensitivity-description">${fromLabel} and ${toLabel.toLowerCase()} have the same inputs.</p>`;
+        return;
+    }
+    const labels = getInputFieldLabels();
+    const inputRows = changes.map(c => `<tr class="changed">
+        <td>${escapeHtml(String(scenarioFieldLabel(labels, c.field)))}</td>
+        <td>${escapeHtml(formatScenarioValue(c.field, c.from))}</td>
+        <td>${escapeHtml(formatScenarioValue(c.field, c.to))}</td>
+    </tr>`).join('');
+    const resultRows = SNAPSHOT_METRICS.map(m => `<tr>
+        <td>${m.label}</td>
+        <td>${formatSnapshotValue(m, fromRev.snapshot)}</td>
+        <td>${formatSnapshotValue(m, toSnapshot)}</td>
+    </tr>`).join('');
+    container.innerHTML = `
+        <table class="comparison-table">
+            <thead><tr><th>Input</th><th>${fromLabel}</th><th>${escapeHtml(toLabel)}</th></tr></thead>
+            <tbody>${inputRows}</tbody>
+        </table>
+        <table class="comparison-table">
+            <thead><tr><th>Result</th><th>${fromLabel}</th><th>${escapeHtml(toLabel)}</th></tr></thead>
+            <tbody>${resultRows}</tbody>
+        </table>
+    `;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    document.getElementById('library-filter').addEventListener('input', populateLibrarySelect);
+    document.getElementById('library-scenario-select').addEventListener('change', () => {
+        setLibraryMessage('');
+        renderScenarioLibrary();
+    });
+    const details = document.getElementById('library-details');
+    details.addEventListener('click', (e) => {
+        if (e.target.id === 'btn-library-save-details') {
+            saveLibraryDetails();
+        } else if (e.target.id === 'btn-library-load') {
+            const record = scenarioLibrary[document.getElementById('library-scenario-select').value];
+            if (record) loadScenarioIntoForm(latestRevision(record).inputs);
+        } else if (e.target.id === 'btn-library-diff') {
+            renderRevisionDiff();
+        } else if (e.target.matches('.revision-restore')) {
+            restoreRevision(Number(e.target.dataset.revision));
+        }
+    });
+  } catch (initErr) {
+    console.error('Scenario library initialization error:', initErr);
+  }
+});
+
+// --- Presets ---
+
+const CUSTOM_PRESETS_KEY = 'ofsp_custom_presets';
+
+// Preset the form was last filled from ({ id, name, version }), saved with each scenario; null when none
+let appliedPreset = null;
+
+/**
+ * User presets by name, in the versioned preset format (see normalizePreset).
+ */
+function getCustomPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CUSTOM_PRESETS_KEY)) || {};
+        return Object.fromEntries(Object.entries(stored).map(([name, raw]) => [name, normalizePreset(raw, name)]));
+    } catch {
+        return {};
+    }
+}
+
+function saveCustomPresets(presets) {
+    localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(presets));
+}
+
+/**
+ * A preset by its select value: a built-in id, 'saved:<name>' for a user
+ * preset, or a country key (haiti, nigeria, ...) for that country's first
+ * zone. Returns it with its select value as id, or null.
+ */
+function findPreset(presetKey) {
+    if (presetKey.startsWith('saved:')) {
+        const preset = getCustomPresets()[presetKey.slice('saved:'.length)];
+        return preset ? { ...preset, id: presetKey } : null;
+    }
+    if (PRESET_COUNTRIES[presetKey]) {
+        return resolvePreset(BUILTIN_PRESETS.find(p => p.country === presetKey).id);
+    }
+    return resolvePreset(presetKey);
+}
+
+/**
+ * Options for every preset: built-ins grouped by country, then saved presets.
+ */
+function presetOptionsHtml() {
+    const builtIn = Object.entries(PRESET_COUNTRIES).map(([country, info]) => {
+        const options = BUILTIN_PRESETS.filter(p => p.country === country).map(p => {
+            const preset = resolvePreset(p.id);
+            return `<option value="${p.id}">${escapeHtml(preset.zone)} — ${preset.values.tons_per_hectare} t/ha, ${preset.values.planting_density.toLocaleString('en-US')}/ha</option>`;
+        }).join('');
+        return `<optgroup label="${escapeHtml(info.label)}">${options}</optgroup>`;
+    }).join('');
+    const names = Object.keys(getCustomPresets()).sort();
+    const saved = names.length > 0
+        ? `<optgroup label="Saved presets" data-custom-presets>${names.map(n => `<option value="saved:${escapeHtml(n)}">${escapeHtml(n)}</option>`).join('')}</optgroup>`
+        : '';
+    return builtIn + saved;
+}
+
+/**
+ * Fills the form's preset dropdown and the preset library's, keeping each selection.
+ */
+function populateCustomPresets() {
+    const formSelect = document.getElementById('country_preset');
+    const librarySelect = document.getElementById('preset-library-select');
+    const options = presetOptionsHtml();
+    const formValue = appliedPreset ? appliedPreset.id : formSelect.value;
+    formSelect.innerHTML = `${options}<option value="custom">Custom</option>`;
+    formSelect.value = findPreset(formValue) ? formValue : 'custom';
+    if (librarySelect) {
+        const libraryValue = librarySelect.value;
+        librarySelect.innerHTML = options;
+        if (findPreset(libraryValue)) librarySelect.value = libraryValue;
     }
-    form.dispatchEvent(new Event('input'));
 }
+
+/**
+ * Records which preset the form came from and shows it in the preset dropdown.
+ */
+function setAppliedPreset(preset) {
+    appliedPreset = preset ? { id: preset.id, name: preset.name, version: preset.version } : null;
+    const select = document.getElementById('country_preset');
+    select.value = appliedPreset && findPreset(appliedPreset.id) ? appliedPreset.id : 'custom';
+    renderPresetStatus();
+}
+
+function applyCountryPreset(presetKey) {
+    const preset = findPreset(presetKey);
+    if (!preset) return; // 'custom' — do nothing
+    const form = document.getElementById('calc-form');
+    for (const [key, val] of Object.entries(preset.values)) {
+        const el = form.elements[key];
+        if (el) el.value = Array.isArray(val) ? val.join(', ') : val;
+    }
+    setAppliedPreset(preset);
+    form.dispatchEvent(new Event('input'));
+}
+
+// --- Preset Library ---
+
+function setPresetMessage(message, isError) {
+    const el = document.getElementById('preset-message');
+    el.textContent = message;
+    el.className = isError ? 'farmos-error' : 'sensitivity-description';
+}
+
+/**
+ * Which preset the form came from, flagging a scenario built from an older
+ * version than the library now has.
+ */
+function renderPresetStatus() {
+    const el = document.getElementById('preset-status');
+    if (!el) return;
+    if (!appliedPreset) {
+        el.textContent = 'The form is not based on a preset.';
+        return;
+    }
+    const current = findPreset(appliedPreset.id);
+    let note = '';
+    if (!current) note = ' That preset is no longer in the library.';
+    else if (current.version !== appliedPreset.version) note = ` The library now has version ${current.version}.`;
+    el.textContent = `The form is based on ${appliedPreset.name} (version ${appliedPreset.version}).${note}`;
+}
+
+/**
+ * Values and sources of the preset selected in the library. Saved presets
+ * can be edited in place; saving bumps their version.
+ */
+function renderPresetDetails() {
+    const container = document.getElementById('preset-details');
+    const key = document.getElementById('preset-library-select').value;
+    const preset = key ? findPreset(key) : null;
+    document.getElementById('btn-preset-delete').disabled = !key.startsWith('saved:');
+    if (!preset) {
+        container.innerHTML = '';
+        return;
+    }
+    const editable = key.startsWith('saved:');
+    const labels = getInputFieldLabels();
+    const formatValue = (val) => (Array.isArray(val) ? val.join(', ') : String(val));
+    const rows = Object.entries(preset.values).map(([field, val]) => `
+        <tr>
+            <td title="${escapeHtml(field)}">${escapeHtml(labels[field] || field)}</td>
+            <td>${editable
+                ? `<input type="text" class="preset-value" data-field="${escapeHtml(field)}" value="${escapeHtml(formatValue(val))}" aria-label="Value">`
+                : escapeHtml(formatValue(val))}</td>
+            <td>${editable
+                ? `<input type="text" class="preset-source" data-field="${escapeHtml(field)}" value="${escapeHtml(preset.sources[field] || '')}" placeholder="Source" aria-label="Source">`
+                : escapeHtml(preset.sources[field] || '')}</td>
+        </tr>`).join('');
+    const basedOn = preset.based_on ? ` · based on ${escapeHtml(preset.based_on.id)} v${preset.based_on.version}` : '';
+    const updated = preset.updated ? ` · updated ${escapeHtml(preset.updated.slice(0, 10))}` : '';
+
+    container.innerHTML = `
+        <p class="preset-meta"><strong>${escapeHtml(preset.name)}</strong> · version ${preset.version}${basedOn}${updated} · ${Object.keys(preset.values).length} fields</p>
+        ${editable ? '<button type="button" id="btn-preset-save-edits">Save Changes</button>' : ''}
+        <div class="preset-table-wrap">
+            <table class="sensitivity-table preset-table">
+                <thead><tr><th>Input</th><th>Value</th><th>Source</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+    if (editable) {
+        document.getElementById('btn-preset-save-edits').addEventListener('click', () => savePresetEdits(key.slice('saved:'.length)));
+    }
+}
+
+/**
+ * Stores edits to a saved preset as its next version, rejecting values that
+ * fail validation.
+ */
+function savePresetEdits(name) {
+    const presets = getCustomPresets();
+    const preset = presets[name];
+    if (!preset) return;
+    const values = {};
+    const sources = {};
+    document.querySelectorAll('#preset-details .preset-value').forEach(input => {
+        values[input.dataset.field] = input.value;
+    });
+    document.querySelectorAll('#preset-details .preset-source').forEach(input => {
+        sources[input.dataset.field] = input.value;
+    });
+    const edited = normalizePreset({ ...preset, values, sources }, name);
+    const errors = validateInputs({ ...DEFAULT_INPUTS, ...edited.values }).filter(e => e.field in edited.values);
+    if (errors.length > 0) {
+        setPresetMessage(errors.map(e => `${e.field}: ${e.message}`).join('; '), true);
+        return;
+    }
+    presets[name] = { ...edited, version: preset.version + 1, updated: new Date().toISOString() };
+    saveCustomPresets(presets);
+    populateCustomPresets();
+    renderPresetDetails();
+    renderPresetStatus();
+    setPresetMessage(`Saved ${name} as version ${preset.version + 1}.`);
+}
+
+/**
+ * Saves the current form as a new user preset. Values that match the preset
+ * the form came from (or the defaults, without one) keep their sources.
+ */
+function saveFormAsPreset() {
+    const name = document.getElementById('preset-new-name').value.trim();
+    if (!name) { alert('Enter a preset name.'); return; }
+    const presets = getCustomPresets();
+    if (presets[name] && !confirm(`Replace preset "${name}"?`)) return;
+    const inputs = getInputs();
+    const base = appliedPreset ? findPreset(appliedPreset.id) : null;
+    const values = Object.fromEntries(Object.keys(DEFAULT_INPUTS).map(field => [field, inputs[field]]));
+    const sources = Object.fromEntries(Object.keys(values).map(field => [field, inputSource(field, values, base)]));
+    presets[name] = {
+        name,
+        version: presets[name] ? presets[name].version + 1 : 1,
+        country: base ? base.country || '' : '',
+        zone: base ? base.zone || '' : '',
+        based_on: appliedPreset ? { id: appliedPreset.id, version: appliedPreset.version } : null,
+        values,
+        sources,
+        updated: new Date().toISOString(),
+    };
+    saveCustomPresets(presets);
+    document.getElementById('preset-new-name').value = '';
+    setAppliedPreset({ id: `saved:${name}`, name, version: presets[name].version });
+    populateCustomPresets();
+    document.getElementById('preset-library-select').value = `saved:${name}`;
+    renderPresetDetails();
+    setPresetMessage(`Saved the form as ${name}.`);
+}
+
+/**
+ * Copies the selected preset into a new saved preset that can be edited.
+ */
+function duplicatePreset() {
+    const key = document.getElementById('preset-library-select').value;
+    const preset = findPreset(key);
+    if (!preset) return;
+    const presets = getCustomPresets();
+    let name = `${preset.name} (copy)`;
+    for (let n = 2; presets[name]; n++) name = `${preset.name} (copy ${n})`;
+    const { id, ...copy } = preset;
+    presets[name] = {
+        ...copy,
+        name,
+        version: 1,
+        based_on: key.startsWith('saved:') ? preset.based_on : { id, version: preset.version },
+        updated: new Date().toISOString(),
+    };
+    saveCustomPresets(presets);
+    populateCustomPresets();
+    document.getElementById('preset-library-select').value = `saved:${name}`;
+    renderPresetDetails();
+    setPresetMessage(`Created ${name}. Edit its values and sources below.`);
+}
+
+function presetFileName(label) {
+    return `${label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'presets'}.ofsp-presets.json`;
+}
+
+function exportPresets(presets, label) {
+    downloadFile(JSON.stringify(buildPresetFile(presets), null, 2), presetFileName(label), 'application/json');
+}
+
+/**
+ * Adds the presets in a preset file to the saved presets. A preset replaces a
+ * saved one of the same name only when its version is newer.
+ */
+function importPresetFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        setPresetMessage('That file is not valid JSON.', true);
+        return;
+    }
+    const { presets: imported, errors } = parsePresetFile(data);
+    const presets = getCustomPresets();
+    const added = [];
+    const kept = [];
+    for (const preset of imported) {
+        const existing = presets[preset.name];
+        if (existing && existing.version >= preset.version) {
+            kept.push(`${preset.name} (have v${existing.version})`);
+            continue;
+        }
+        presets[preset.name] = { ...preset, updated: preset.updated || new Date().toISOString() };
+        added.push(`${preset.name} v${preset.version}`);
+    }
+    saveCustomPresets(presets);
+    populateCustomPresets();
+    renderPresetStatus();
+    const parts = [];
+    if (added.length > 0) parts.push(`Imported ${added.join(', ')}.`);
+    if (kept.length > 0) parts.push(`Kept newer or equal saved versions of ${kept.join(', ')}.`);
+    if (errors.length > 0) parts.push(`Problems: ${errors.join('; ')}.`);
+    setPresetMessage(parts.join(' ') || 'No presets found in that file.', added.length === 0);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    populateCustomPresets();
+    renderPresetStatus();
+    renderPresetDetails();
+
+    document.getElementById('preset-library-select').addEventListener('change', () => {
+        setPresetMessage('');
+        renderPresetDetails();
+    });
+    document.getElementById('btn-preset-apply').addEventListener('click', () => {
+        applyCountryPreset(document.getElementById('preset-library-select').value);
+    });
+    document.getElementById('btn-preset-duplicate').addEventListener('click', duplicatePreset);
+    document.getElementById('btn-preset-delete').addEventListener('click', () => {
+        const key = document.getElementById('preset-library-select').value;
+        if (!key.startsWith('saved:')) return;
+        const name = key.slice('saved:'.length);
+        if (!confirm(`Delete preset "${name}"?`)) return;
+        const presets = getCustomPresets();
+        delete presets[name];
+        saveCustomPresets(presets);
+        populateCustomPresets();
+        renderPresetDetails();
+        renderPresetStatus();
+    });
+    document.getElementById('btn-preset-export').addEventListener('click', () => {
+        const preset = findPreset(document.getElementById('preset-library-select').value);
+        if (preset) exportPresets([preset], preset.name);
+    });
+    document.getElementById('btn-preset-export-all').addEventListener('click', () => {
+        const saved = Object.values(getCustomPresets());
+        if (saved.length === 0) { alert('There are no saved presets to export.'); return; }
+        exportPresets(saved, 'saved presets');
+    });
+    document.getElementById('btn-preset-save-form').addEventListener('click', saveFormAsPreset);
+    document.getElementById('btn-preset-import').addEventListener('click', () => {
+        document.getElementById('preset-import-file').click();
+    });
+    document.getElementById('preset-import-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        file.text().then(importPresetFile);
+        e.target.value = '';
+    });
+  } catch (initErr) {
+    console.error('Preset initialization error:', initErr);
+  }
+});
+
+// --- Monte Carlo Uncertainty ---
+
+const DISTRIBUTION_TYPES = [
+    { id: 'uniform', label: 'Uniform' },
+    { id: 'triangular', label: 'Triangular' },
+    { id: 'normal', label: 'Normal (truncated)' },
+];
+
+/**
+ * Returns the list of inputs that can be given a distribution in Monte Carlo mode:
+ * every sensitivity input plus the per-acre cost inputs.
+ */
+function getUncertaintyInputOptions() {
+    return getSensitivityInputOptions().concat([
+        { id: 'cost_land_clearing_per_acre', label: 'Labor: Land Clearing' },
+        { id: 'cost_forking_per_acre', label: 'Labor: Forking' },
+        { id: 'cost_planting_per_acre', label: 'Labor: Planting' },
+        { id: 'cost_weeding_per_acre', label: 'Labor: Weeding' },
+        { id: 'cost_fertilizer_app_per_acre', label: 'Labor: Fertilizer App' },
+        { id: 'cost_harvesting_per_acre', label: 'Labor: Harvesting' },
+        { id: 'cost_herbicide_per_acre', label: 'Supplies: Herbicide' },
+        { id: 'cost_fertilizer_per_acre', label: 'Supplies: Fertilizer' },
+        { id: 'cost_tools_per_acre', label: 'Supplies: Tools' },
+        { id: 'cost_other_per_acre', label: 'Supplies: Other' },
+        { id: 'cost_transport_per_acre', label: 'Supplies: Transport' },
+    ]);
+}
+
+let monteCarloResult = null;
+let histogramChart = null;
+// The run in progress, if any ({ cancelled }), and how many runs go between pauses
+let monteCarloRun = null;
+const MONTE_CARLO_CHUNK = 50;
+
+/**
+ * Builds a distribution row for the Monte Carlo table. Min/max default to
+ * +/-20% of the current form value (rates are capped at 1).
+ */
+function buildDistributionRow(inputId, type, min, max) {
+    const base = getInputs()[inputId] || 0;
+    const isRate = /_rate$|_percent$/.test(inputId);
+    if (min === undefined) min = base * 0.8;
+    if (max === undefined) max = isRate ? Math.min(base * 1.2, 1) : base * 1.2;
+
+    const inputOptions = getUncertaintyInputOptions().map(opt =>
+        `<option value="${opt.id}"${opt.id === inputId ? ' selected' : ''}>${opt.label}</option>`
+    ).join('');
+    const typeOptions = DISTRIBUTION_TYPES.map(t =>
+        `<option value="${t.id}"${t.id === type ? ' selected' : ''}>${t.label}</option>`
+    ).join('');
+    const round = (num) => Number(num.toPrecision(6));
+
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+        <td><select class="mc-input">${inputOptions}</select></td>
+        <td><select class="mc-type">${typeOptions}</select></td>
+        <td><input type="number" class="mc-min" step="any" value="${round(min)}"></td>
+        <td class="mc-base">${round(base)}</td>
+        <td><input type="number" class="mc-max" step="any" value="${round(max)}"></td>
+        <td><button type="button" class="mc-remove" title="Remove">&times;</button></td>
+    `;
+    // Switching input resets min/max around the new input's value
+    tr.querySelector('.mc-input').addEventListener('change', (e) => {
+        tr.replaceWith(buildDistributionRow(e.target.value, tr.querySelector('.mc-type').value));
+    });
+    tr.querySelector('.mc-remove').addEventListener('click', () => tr.remove());
+    return tr;
+}
+
+function addDistributionRow(inputId, type) {
+    document.getElementById('mc-dist-rows').appendChild(buildDistributionRow(inputId, type));
+}
+
+/**
+ * Reads the distribution table. Returns { distributions, error }.
+ */
+function getDistributionSpecs() {
+    const rows = document.querySelectorAll('#mc-dist-rows tr');
+    const labels = Object.fromEntries(getUncertaintyInputOptions().map(opt => [opt.id, opt.label]));
+    const seen = new Set();
+    const distributions = [];
+
+    for (const row of rows) {
+        const id = row.querySelector('.mc-input').value;
+        const type = row.querySelector('.mc-type').value;
+        const min = parseFloat(row.querySelector('.mc-min').value);
+        const max = parseFloat(row.querySelector('.mc-max').value);
+        if (seen.has(id)) return { distributions, error: `${labels[id]} is listed more than once.` };
+        if (!Number.isFinite(min) || !Number.isFinite(max)) return { distributions, error: `${labels[id]}: min and max must be numbers.` };
+        if (min > max) return { distributions, error: `${labels[id]}: min must not exceed max.` };
+        if (min < 0) return { distributions, error: `${labels[id]}: values cannot be negative.` };
+        if (/_rate$|_percent$/.test(id) && max > 1) return { distributions, error: `${labels[id]}: rates cannot exceed 1.` };
+        seen.add(id);
+        distributions.push({ id, type, min, max });
+    }
+    return { distributions, error: null };
+}
+
+function runUncertaintyAnalysis() {
+    const status = document.getElementById('mc-status');
+    if (!validateForm()) {
+        status.textContent = 'Fix the highlighted inputs before running.';
+        return;
+    }
+    const { distributions, error } = getDistributionSpecs();
+    if (error) { status.textContent = error; return; }
+    if (distributions.length === 0) { status.textContent = 'Add at least one uncertain input.'; return; }
+
+    const iterations = Math.min(Math.max(parseInt(document.getElementById('mc-iterations').value, 10) || 0, 100), 20000);
+    const inputs = getInputs();
+    const runButton = document.getElementById('btn-mc-run');
+    const cancelButton = document.getElementById('btn-mc-cancel');
+    const rng = createRng(Date.now());
+    const samples = Object.fromEntries(MONTE_CARLO_METRICS.map(m => [m.key, []]));
+    const run = { cancelled: false };
+    monteCarloRun = run;
+    runButton.disabled = true;
+    cancelButton.hidden = false;
+    const finish = () => {
+        monteCarloRun = null;
+        runButton.disabled = false;
+        cancelButton.hidden = true;
+    };
+
+    // Runs in chunks, yielding to the browser between them so the page stays usable and Cancel works
+    const started = performance.now();
+    let done = 0;
+    const step = () => {
+        if (run.cancelled) {
+            finish();
+            status.textContent = `Cancelled after ${done.toLocaleString()} of ${iterations.toLocaleString()} runs.`;
+            return;
+        }
+        const count = Math.min(MONTE_CARLO_CHUNK, iterations - done);
+        runMonteCarloTrials(inputs, distributions, count, rng, samples);
+        done += count;
+        if (done < iterations) {
+            status.textContent = `Running… ${done.toLocaleString()} of ${iterations.toLocaleString()} runs.`;
+            setTimeout(step, 0);
+            return;
+        }
+        finish();
+        monteCarloResult = { iterations, samples, stats: summarizeMonteCarlo(samples), base: calculateSimulation(inputs) };
+        const elapsed = Math.round(performance.now() - started);
+        status.textContent = `${iterations.toLocaleString()} runs in ${elapsed} ms, based on the form inputs at the time of the run.`;
+        renderMonteCarloResults(monteCarloResult);
+    };
+    status.textContent = `Running… 0 of ${iterations.toLocaleString()} runs.`;
+    setTimeout(step, 0);
+}
+
+function renderMonteCarloResults(mc) {
+    const fNum = (num) => Number.isFinite(num) ? num.toLocaleString(undefined, { maximumFractionDigits: Math.abs(num) >= 100 ? 0 : 1 }) : '0';
+    const fDol = (num) => formatMoney(num);
+
+    const rows = MONTE_CARLO_METRICS.map(m => {
+        const f = m.money ? fDol : fNum;
+        const s = mc.stats[m.key];
+        return `<tr>
+            <td><strong>${m.label}</strong></td>
+            <td>${f(mc.base[m.key])}</td>
+            <td>${f(s.p10)}</td>
+            <td class="mc-p50">${f(s.p50)}</td>
+            <td>${f(s.p90)}</td>
+            <td>${f(s.mean)}</td>
+        </tr>`;
+    }).join('');
+
+    document.getElementById('mc-results').innerHTML = `
+        <table class="sensitivity-table">
+            <thead>
+                <tr>
+                    <th>Metric</th>
+                    <th>Point Estimate</th>
+                    <th>P10</th>
+                    <th>P50</th>
+                    <th>P90</th>
+                    <th>Mean</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+
+    renderHistogram(mc, document.getElementById('mc-histogram-metric').value);
+}
+
+function renderHistogram(mc, metricKey) {
+    const pane = document.getElementById('mc-histogram-pane');
+    pane.style.display = 'block';
+    const metric = MONTE_CARLO_METRICS.find(m => m.key === metricKey) || MONTE_CARLO_METRICS[0];
+    const stats = mc.stats[metric.key];
+    const bins = buildHistogram(mc.samples[metric.key], 30);
+    const fmt = (num) => metric.money
+        ? formatMoney(num, 0, { notation: 'compact', maximumFractionDigits: 1 })
+        : num.toLocaleString(undefined, { notation: 'compact', maximumFractionDigits: 1 });
+
+    const labels = bins.map(b => fmt((b.from + b.to) / 2));
+    const data = bins.map(b => b.count);
+    // Bins inside the P10-P90 band are drawn solid, the tails faded
+    const colors = bins.map(b => (b.to >= stats.p10 && b.from <= stats.p90) ? '#ff8c00cc' : '#ff8c0055');
+    const title = `${metric.label}: P10 ${fmt(stats.p10)} · P50 ${fmt(stats.p50)} · P90 ${fmt(stats.p90)}`;
+
+    if (histogramChart) {
+        histogramChart.data.labels = labels;
+        histogramChart.data.datasets[0].data = data;
+        histogramChart.data.datasets[0].backgroundColor = colors;
+        histogramChart.options.plugins.title.text = title;
+        histogramChart.update();
+        return;
+    }
+
+    histogramChart = new Chart(document.getElementById('mc-histogram'), {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [{
+                label: 'Runs',
+                data,
+                backgroundColor: colors,
+                borderColor: '#ff8c00',
+                borderWidth: 1,
+                barPercentage: 1,
+                categoryPercentage: 1,
+            }],
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                title: { display: true, text: title, font: { size: 16 } },
+                legend: { display: false },
+            },
+            scales: {
+                y: { beginAtZero: true, title: { display: true, text: 'Runs' } },
+            },
+        },
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    const metricSelect = document.getElementById('mc-histogram-metric');
+    metricSelect.innerHTML = MONTE_CARLO_METRICS.map(m =>
+        `<option value="${m.key}">${m.label}</option>`
+    ).join('');
+    metricSelect.addEventListener('change', () => {
+        if (monteCarloResult) renderHistogram(monteCarloResult, metricSelect.value);
+    });
+
+    // Starting set: the yield and survival assumptions donors ask about most
+    ['tons_per_hectare', 'slip_survival_rate', 'crop_survival_rate', 'storage_survival_rate', 'vine_cuttings_per_plant']
+        .forEach(id => addDistributionRow(id, 'triangular'));
+
+    document.getElementById('btn-mc-add').addEventListener('click', () => addDistributionRow('initial_slips', 'uniform'));
+    document.getElementById('btn-mc-run').addEventListener('click', runUncertaintyAnalysis);
+    document.getElementById('btn-mc-cancel').addEventListener('click', () => {
+        if (monteCarloRun) monteCarloRun.cancelled = true;
+    });
+  } catch (initErr) {
+    console.error('Uncertainty panel initialization error:', initErr);
+  }
+});
+
+// --- Goal Seek ---
+
+const GOAL_SEEK_TARGETS = [
+    { key: 'annual_days_fed', label: 'Annual days fed at least', metricLabel: 'Annual days fed', direction: 'atLeast', defaultTarget: 365 },
+    { key: 'total_days_fed', label: 'Days fed (chain total) at least', metricLabel: 'Days fed', direction: 'atLeast', defaultTarget: 365 },
+    { key: 'children_annual_va_met', label: 'Children with annual VA need met at least', metricLabel: 'Children with annual VA need met', direction: 'atLeast', defaultTarget: 100000 },
+    { key: 'total_cost', label: 'Total cost at most (budget)', metricLabel: 'Total cost', direction: 'atMost', defaultTarget: 1000000, money: true },
+    { key: 'annual_cost', label: 'Annual cost at most (budget)', metricLabel: 'Annual cost', direction: 'atMost', defaultTarget: 1000000, money: true },
+];
+
+/**
+ * Inputs the solver can vary: every sensitivity input plus initial hectares,
+ * which is not a form field but maps onto initial_slips via planting density.
+ */
+function getGoalSeekVariables() {
+    return [
+        { id: 'initial_hectares', label: 'Initial Hectares' },
+        ...getSensitivityInputOptions(),
+    ];
+}
+
+let lastGoalSeek = null;
+
+function runGoalSeek() {
+    const resultsEl = document.getElementById('goal-seek-results');
+    if (!validateForm()) {
+        resultsEl.innerHTML = '<p class="farmos-error">Fix the highlighted inputs before solving.</p>';
+        return;
+    }
+    const target = GOAL_SEEK_TARGETS.find(t => t.key === document.getElementById('goal-seek-metric').value);
+    const targetValue = parseFloat(document.getElementById('goal-seek-target').value);
+    const variable = getGoalSeekVariables().find(v => v.id === document.getElementById('goal-seek-variable').value);
+    if (!Number.isFinite(targetValue) || targetValue < 0) {
+        resultsEl.innerHTML = '<p class="farmos-error">Enter a target value of zero or more.</p>';
+        return;
+    }
+
+    const inputs = getInputs();
+    const baseResults = calculateSimulation(inputs);
+    // Budget targets are typed in the display currency
+    const solution = goalSeek(inputs, variable.id, target.key, target.direction, target.money ? toModelAmount(targetValue, inputs) : targetValue);
+    lastGoalSeek = { variable, solution };
+
+    const fNum = (num) => {
+        if (!Number.isFinite(num)) return '—';
+        if (Math.abs(num) >= 1000) return num.toLocaleString(undefined, { maximumFractionDigits: 0 });
+        return num.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+    };
+    const fDol = (num) => Number.isFinite(num) ? formatMoney(num) : '—';
+    const fTarget = (num) => target.money ? fDol(num) : fNum(num);
+
+    if (solution.status === 'no_solution') {
+        resultsEl.innerHTML = `
+            <p class="farmos-error">No value of ${escapeHtml(variable.label)} reaches this target.</p>
+            <p class="sensitivity-description">${target.metricLabel} only ranges from ${fTarget(solution.range.min)} to ${fTarget(solution.range.max)} across the values searched. Try another input or a different target.</p>
+        `;
+        return;
+    }
+
+    const current = getGoalSeekValue(inputs, variable.id);
+    const change = current > 0 ? ((solution.value - current) / current) * 100 : null;
+    const summaryRows = [
+        ['Total Cost', fDol(baseResults.total_cost), fDol(solution.results.total_cost)],
+        ['Annual Cost', fDol(baseResults.annual_cost), fDol(solution.results.annual_cost)],
+        ['Annual Days Fed', fNum(baseResults.annual_days_fed), fNum(solution.results.annual_days_fed)],
+        ['Children Annual VA Need Met', fNum(baseResults.children_annual_va_met), fNum(solution.results.children_annual_va_met)],
+        ['Total Area Planted (ha)', fNum(baseResults.total_hectares), fNum(solution.results.total_hectares)],
+    ].map(([label, a, b]) => `<tr><td>${label}</td><td>${a}</td><td>${b}</td></tr>`).join('');
+
+    resultsEl.innerHTML = `
+        <table class="sensitivity-table">
+            <thead>
+                <tr><th></th><th>Current</th><th>Solved</th></tr>
+            </thead>
+            <tbody>
+                <tr class="sensitivity-base-row">
+                    <td>${escapeHtml(variable.label)}</td>
+                    <td>${fNum(current)}</td>
+                    <td>${fNum(solution.value)}${change !== null ? ` <span class="sensitivity-delta">(${change >= 0 ? '+' : ''}${change.toFixed(1)}%)</span>` : ''}</td>
+                </tr>
+                ${summaryRows}
+            </tbody>
+        </table>
+        <button type="button" id="btn-goal-seek-apply">Apply solved value to form</button>
+    `;
+    document.getElementById('btn-goal-seek-apply').addEventListener('click', applyGoalSeekSolution);
+}
+
+function applyGoalSeekSolution() {
+    if (!lastGoalSeek || lastGoalSeek.solution.status !== 'solved') return;
+    const form = document.getElementById('calc-form');
+    const { variable, solution } = lastGoalSeek;
+    const applied = withGoalSeekValue(getInputs(), variable.id, solution.value);
+    const fieldId = variable.id === 'initial_hectares' ? 'initial_slips' : variable.id;
+    const value = applied[fieldId];
+    // Whole numbers go in as they are: rounding to significant figures could land below the solution and miss the target
+    const whole = inputLimits(fieldId).integer || Number.isInteger(value);
+    form.elements[fieldId].value = whole ? Math.ceil(value) : Number(value.toPrecision(8));
+    form.dispatchEvent(new Event('input'));
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    const metricSelect = document.getElementById('goal-seek-metric');
+    const targetInput = document.getElementById('goal-seek-target');
+    metricSelect.innerHTML = optionsFor(GOAL_SEEK_TARGETS, 'key', 'annual_days_fed');
+    document.getElementById('goal-seek-variable').innerHTML = optionsFor(getGoalSeekVariables(), 'id', 'initial_slips');
+    targetInput.value = GOAL_SEEK_TARGETS[0].defaultTarget;
+    metricSelect.addEventListener('change', () => {
+        targetInput.value = GOAL_SEEK_TARGETS.find(t => t.key === metricSelect.value).defaultTarget;
+    });
+    document.getElementById('btn-goal-seek').addEventListener('click', runGoalSeek);
+  } catch (initErr) {
+    console.error('Goal seek panel initialization error:', initErr);
+  }
+});
+
+// --- Budget Optimizer ---
+
+const OPTIMIZER_OBJECTIVES = [
+    { key: 'total_days_fed', label: 'Days fed (chain total)' },
+    { key: 'annual_days_fed', label: 'Annual days fed' },
+    { key: 'total_vitamin_a_child_days', label: 'VA child-days' },
+];
+
+const OPTIMIZER_COST_METRICS = [
+    { key: 'total_cost', label: 'Total cost' },
+    { key: 'annual_cost', label: 'Annual cost' },
+];
+
+/**
+ * Decision variables and their default bounds relative to the current inputs.
+ */
+function getOptimizerVariables(inputs) {
+    return [
+        { id: 'initial_slips', label: 'Initial Slips', min: Math.round(inputs.initial_slips * 0.25), max: Math.round(inputs.initial_slips * 4), integer: true },
+        { id: 'replant_percent', label: 'Tuber Replant %', min: 0.01, max: 0.5 },
+        { id: 'vine_cuttings_per_plant', label: 'Vine Cuttings per Plant', min: 1, max: 10 },
+        { id: 'cost_irrigation_per_acre', label: `Irrigation (${inputs.cost_irrigation_per_acre_currency || 'USD'} / Acre)`, min: 0, max: Math.max(100, inputs.cost_irrigation_per_acre * 2) },
+    ];
+}
+
+let optimizerChart = null;
+
+function renderOptimizerVariables() {
+    const inputs = getInputs();
+    const fmt = (num) => Number(num.toPrecision(6));
+    document.getElementById('optimizer-vars').innerHTML = getOptimizerVariables(inputs).map(v => `
+        <tr data-var="${v.id}">
+            <td><label><input type="checkbox" class="opt-include" checked> ${v.label}</label></td>
+            <td class="mc-base">${fmt(inputs[v.id])}</td>
+            <td><input type="number" class="opt-min" step="any" min="0" value="${fmt(v.min)}"></td>
+            <td><input type="number" class="opt-max" step="any" min="0" value="${fmt(v.max)}"></td>
+        </tr>
+    `).join('');
+}
+
+function runOptimizer() {
+    const resultsEl = document.getElementById('optimizer-results');
+    const showError = (msg) => { resultsEl.innerHTML = `<p class="farmos-error">${msg}</p>`; };
+    if (!validateForm()) { showError('Fix the highlighted inputs before optimizing.'); return; }
+
+    const inputs = getInputs();
+    const defaults = Object.fromEntries(getOptimizerVariables(inputs).map(v => [v.id, v]));
+    const variables = [];
+    for (const row of document.querySelectorAll('#optimizer-vars tr')) {
+        if (!row.querySelector('.opt-include').checked) continue;
+        const def = defaults[row.dataset.var];
+        const min = parseFloat(row.querySelector('.opt-min').value);
+        const max = parseFloat(row.querySelector('.opt-max').value);
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || min > max) {
+            showError(`${def.label}: enter bounds with 0 &le; min &le; max.`);
+            return;
+        }
+        if (/_percent$/.test(def.id) && max > 1) { showError(`${def.label}: max cannot exceed 1.`); return; }
+        variables.push({ id: def.id, label: def.label, min, max, integer: def.integer });
+    }
+    if (variables.length === 0) { showError('Select at least one decision variable.'); return; }
+
+    const budget = parseFloat(document.getElementById('optimizer-budget').value);
+    if (!Number.isFinite(budget) || budget <= 0) { showError('Enter a budget greater than zero.'); return; }
+    const objective = OPTIMIZER_OBJECTIVES.find(o => o.key === document.getElementById('optimizer-objective').value);
+    const costMetric = OPTIMIZER_COST_METRICS.find(c => c.key === document.getElementById('optimizer-cost-metric').value);
+
+    // The budget is typed in the display currency; the model works in US dollars
+    const optimization = optimizeBudget(inputs, { variables, objective: objective.key, costMetric: costMetric.key, budget: toModelAmount(budget, inputs), samples: 1500 });
+    renderOptimizerResults(inputs, variables, objective, costMetric, toModelAmount(budget, inputs), optimization);
+}
+
+function renderOptimizerResults(inputs, variables, objective, costMetric, budget, optimization) {
+    const resultsEl = document.getElementById('optimizer-results');
+    const fNum = (num) => {
+        if (!Number.isFinite(num)) return '—';
+        if (Math.abs(num) >= 1000) return num.toLocaleString(undefined, { maximumFractionDigits: 0 });
+        return num.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+    };
+    const fDol = (num) => Number.isFinite(num) ? formatMoney(num) : '—';
+    const base = calculateSimulation(inputs);
+
+    if (!optimization.best) {
+        const cheapest = Math.min(...optimization.evaluated.map(p => p.cost));
+        resultsEl.innerHTML = `<p class="farmos-error">No combination within the bounds fits a ${costMetric.label.toLowerCase()} of ${fDol(budget)}. The cheapest combination tried costs ${fDol(cheapest)}; raise the budget or lower the bounds.</p>`;
+    } else {
+        const best = optimization.best;
+        const varRows = variables.map(v => `<tr><td>${v.label}</td><td>${fNum(inputs[v.id])}</td><td class="highlight">${fNum(best.values[v.id])}</td></tr>`).join('');
+        resultsEl.innerHTML = `
+            <table class="sensitivity-table">
+                <thead><tr><th>Best combination found</th><th>Current</th><th>Optimized</th></tr></thead>
+                <tbody>
+                    ${varRows}
+                    <tr class="sensitivity-base-row"><td>${objective.label}</td><td>${fNum(base[objective.key])}</td><td>${fNum(best.results[objective.key])}</td></tr>
+                    <tr class="sensitivity-base-row"><td>${costMetric.label} (budget ${fDol(budget)})</td><td>${fDol(base[costMetric.key])}</td><td>${fDol(best.results[costMetric.key])}</td></tr>
+                </tbody>
+            </table>
+            <p class="sensitivity-description">${optimization.evaluated.length.toLocaleString()} combinations evaluated; ${optimization.frontier.length} on the cost/impact Pareto frontier.</p>
+            <button type="button" id="btn-optimizer-apply">Apply best combination to form</button>
+        `;
+        document.getElementById('btn-optimizer-apply').addEventListener('click', () => {
+            const form = document.getElementById('calc-form');
+            Object.entries(best.values).forEach(([id, val]) => { form.elements[id].value = Number(val.toPrecision(8)); });
+            form.dispatchEvent(new Event('input'));
+        });
+    }
+
+    const toPoint = (p) => ({ x: fromModelCurrency(p.cost, inputs), y: p.impact });
+    const datasets = [
+        { label: 'Pareto frontier', type: 'line', data: optimization.frontier.map(toPoint), borderColor: '#ff8c00', backgroundColor: '#ff8c00', pointRadius: 3, showLine: true, order: 0 },
+        { label: 'Combinations tried', data: optimization.evaluated.map(toPoint), backgroundColor: '#00640033', pointRadius: 2, order: 1 },
+    ];
+    if (optimization.best) {
+        datasets.unshift({ label: 'Best within budget', data: [toPoint({ cost: optimization.best.results[costMetric.key], impact: optimization.best.results[objective.key] })], backgroundColor: '#8b0000', pointRadius: 7, pointStyle: 'rectRot', order: -1 });
+    }
+
+    if (optimizerChart) optimizerChart.destroy();
+    document.getElementById('optimizer-chart-pane').style.display = 'block';
+    optimizerChart = new Chart(document.getElementById('optimizer-chart'), {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+            responsive: true,
+            plugins: {
+                title: { display: true, text: `${objective.label} vs ${costMetric.label} (budget ${fDol(budget)})`, font: { size: 16 } },
+                legend: { display: true },
+            },
+            scales: {
+                x: { title: { display: true, text: `${costMetric.label} (${displayCurrency(inputs)})` }, beginAtZero: true },
+                y: { title: { display: true, text: objective.label }, beginAtZero: true },
+            },
+        },
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    document.getElementById('optimizer-objective').innerHTML = optionsFor(OPTIMIZER_OBJECTIVES, 'key', 'total_days_fed');
+    document.getElementById('optimizer-cost-metric').innerHTML = optionsFor(OPTIMIZER_COST_METRICS, 'key', 'total_cost');
+    document.getElementById('optimizer-budget').value = Math.round(fromModelCurrency(calculateSimulation(getInputs()).total_cost, getInputs()));
+    renderOptimizerVariables();
+    document.getElementById('btn-optimizer-reset').addEventListener('click', renderOptimizerVariables);
+    document.getElementById('btn-optimizer-run').addEventListener('click', runOptimizer);
+  } catch (initErr) {
+    console.error('Optimizer panel initialization error:', initErr);
+  }
+});
+
+// --- Calibration ---
+
+/**
+ * Lists the seasons calibration can fit against: the current form's actuals
+ * and every saved scenario with actuals recorded.
+ */
+function renderCalibrationSeasons() {
+    const container = document.getElementById('calibration-seasons');
+    if (!container) return;
+    const scenarios = getSavedScenarios();
+    const names = Object.keys(scenarios)
+        .filter(n => scenarios[n].actuals && Object.keys(scenarios[n].actuals).length > 0)
+        .sort();
+    container.innerHTML = '<label><input type="checkbox" value="" checked> Current form</label>' +
+        names.map(n => `<label><input type="checkbox" value="${escapeHtml(n)}" checked> ${escapeHtml(n)}</label>`).join('');
+}
+
+/**
+ * Form inputs with the fitted values applied, rounded for display and storage.
+ */
+function getCalibratedInputs(calibration) {
+    const rounded = Object.fromEntries(Object.entries(calibration.values).map(([id, v]) => [id, Number(v.toPrecision(4))]));
+    return withCalibrationValues(getInputs(), rounded);
+}
+
+function runCalibration() {
+    const resultsEl = document.getElementById('calibration-results');
+    const showError = (msg) => { resultsEl.innerHTML = `<p class="farmos-error">${msg}</p>`; };
+    if (!validateForm()) { showError('Fix the highlighted inputs before calibrating.'); return; }
+
+    const inputs = getInputs();
+    const scenarios = getSavedScenarios();
+    const seasons = [...document.querySelectorAll('#calibration-seasons input:checked')].map(box => (
+        box.value === ''
+            ? { name: 'Current form', inputs: normalizeInputs(inputs) }
+            : { name: box.value, inputs: normalizeInputs(scenarios[box.value]) }
+    ));
+    if (seasons.length === 0) { showError('Select at least one season.'); return; }
+
+    const calibration = calibrateModel(inputs, seasons);
+    if (!calibration) {
+        showError('The selected seasons have no usable field actuals. Record tons harvested, plants established or vine-cutting slips planted against the generation table first.');
+        return;
+    }
+    renderCalibrationResults(calibration);
+}
+
+function renderCalibrationResults(calibration) {
+    const resultsEl = document.getElementById('calibration-results');
+    const fVal = (num) => {
+        if (!Number.isFinite(num)) return '—';
+        if (Math.abs(num) >= 1000) return num.toLocaleString(undefined, { maximumFractionDigits: 0 });
+        return num.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+    };
+    const fPct = (num) => Number.isFinite(num) ? num.toFixed(1) + '%' : '—';
+    const fR2 = (num) => num === null ? 'n/a' : num.toFixed(3);
+    const metricLabels = Object.fromEntries(CALIBRATION_METRICS.map(m => [m.key, m.label]));
+    const { before, after } = calibration.fit;
+
+    const paramRows = calibration.parameters.map(p => {
+        if (!p.identified) {
+            return `<tr><td>${p.label}</td><td>${fVal(p.default)}</td><td>${fVal(p.start)}</td><td colspan="2"><em>Not identified by these records</em></td></tr>`;
+        }
+        const change = p.default !== 0 ? (p.fitted - p.default) / p.default : 0;
+        return `<tr>
+            <td>${p.label}</td>
+            <td>${fVal(p.default)}</td>
+            <td>${fVal(p.start)}</td>
+            <td class="highlight">${fVal(p.fitted)}</td>
+            <td><span class="sensitivity-delta ${change >= 0 ? 'positive' : 'negative'}">${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)}%</span></td>
+        </tr>`;
+    }).join('');
+
+    const obsRows = calibration.observations.map(o => `
+        <tr>
+            <td>${escapeHtml(o.season)}</td>
+            <td>${escapeHtml(o.genName)}</td>
+            <td>${metricLabels[o.metric]}</td>
+            <td>${fVal(o.observed)}</td>
+            <td>${fVal(o.before)}</td>
+            <td class="highlight">${fVal(o.after)}</td>
+        </tr>`).join('');
+
+    resultsEl.innerHTML = `
+        <table class="sensitivity-table">
+            <thead><tr><th>Goodness of fit (${calibration.observations.length} records)</th><th>Current values</th><th>Fitted</th></tr></thead>
+            <tbody>
+                <tr><td>RMS error</td><td>${fPct(before.rmse_pct)}</td><td class="highlight">${fPct(after.rmse_pct)}</td></tr>
+                <tr><td>Mean absolute error</td><td>${fPct(before.mape_pct)}</td><td class="highlight">${fPct(after.mape_pct)}</td></tr>
+                <tr><td>R² (harvests)</td><td>${fR2(before.r_squared)}</td><td class="highlight">${fR2(after.r_squared)}</td></tr>
+            </tbody>
+        </table>
+        <table class="sensitivity-table">
+            <thead><tr><th>Parameter</th><th>Default</th><th>Current</th><th>Fitted</th><th>vs Default</th></tr></thead>
+            <tbody>${paramRows}</tbody>
+        </table>
+        <div class="sensitivity-controls calibration-controls">
+            <button type="button" id="btn-calibration-apply">Apply fitted values to form</button>
+            <input type="text" id="calibration-save-name" placeholder="Name">
+            <button type="button" id="btn-calibration-save-scenario">Save as Scenario</button>
+            <button type="button" id="btn-calibration-save-preset">Save as Preset</button>
+        </div>
+        <p id="calibration-message" class="sensitivity-description"></p>
+        <details class="calibration-records">
+            <summary>Recorded vs predicted</summary>
+            <table class="sensitivity-table">
+                <thead><tr><th>Season</th><th>Generation</th><th>Record</th><th>Observed</th><th>Predicted (current)</th><th>Predicted (fitted)</th></tr></thead>
+                <tbody>${obsRows}</tbody>
+            </table>
+        </details>
+    `;
+
+    const fittedKeys = [...new Set(Object.keys(calibration.values).map(id => id.split('.')[0]))];
+    const saveName = () => {
+        const name = document.getElementById('calibration-save-name').value.trim();
+        if (!name) alert('Enter a name to save under.');
+        return name;
+    };
+    const setMessage = (message, isError) => {
+        const el = document.getElementById('calibration-message');
+        el.textContent = message;
+        el.className = isError ? 'farmos-error' : 'sensitivity-description';
+    };
+    document.getElementById('btn-calibration-apply').addEventListener('click', () => {
+        const calibrated = getCalibratedInputs(calibration);
+        const form = document.getElementById('calc-form');
+        fittedKeys.forEach(key => {
+            const val = calibrated[key];
+            form.elements[key].value = Array.isArray(val) ? val.join(', ') : val;
+        });
+        form.dispatchEvent(new Event('input'));
+    });
+    document.getElementById('btn-calibration-save-scenario').addEventListener('click', async () => {
+        const name = saveName();
+        if (!name) return;
+        const existing = scenarioLibrary[name];
+        if (existing && !confirm(`"${name}" is already saved. Save the calibrated inputs as revision ${existing.revisions.length + 1}? Earlier revisions are kept.`)) return;
+        let record;
+        try {
+            record = await saveScenario(name, getCalibratedInputs(calibration), { note: 'Calibrated from field records' });
+        } catch (err) {
+            console.error('Scenario save error:', err);
+            setMessage('The scenario could not be stored in this browser.', true);
+            return;
+        }
+        populateScenarioDropdowns();
+        setMessage(existing ? `Saved the calibrated inputs as revision ${record.revisions.length} of scenario "${name}".` : `Saved the calibrated inputs as scenario "${name}".`);
+    });
+    document.getElementById('btn-calibration-save-preset').addEventListener('click', () => {
+        const name = saveName();
+        if (!name) return;
+        const calibrated = getCalibratedInputs(calibration);
+        const presets = getCustomPresets();
+        const seasons = new Set(calibration.observations.map(o => o.season)).size;
+        presets[name] = {
+            name,
+            version: presets[name] ? presets[name].version + 1 : 1,
+            country: '',
+            zone: '',
+            based_on: appliedPreset ? { id: appliedPreset.id, version: appliedPreset.version } : null,
+            values: Object.fromEntries(fittedKeys.map(key => [key, calibrated[key]])),
+            sources: Object.fromEntries(fittedKeys.map(key => [key, `Calibrated from field records (${seasons} season${seasons === 1 ? '' : 's'})`])),
+            updated: new Date().toISOString(),
+        };
+        saveCustomPresets(presets);
+        populateCustomPresets();
+        setMessage(`Saved the fitted values as preset "${name}" (version ${presets[name].version}).`);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    renderCalibrationSeasons();
+    document.getElementById('btn-calibrate').addEventListener('click', runCalibration);
+  } catch (initErr) {
+    console.error('Calibration panel initialization error:', initErr);
+  }
+});
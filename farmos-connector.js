@@ -294,7 +294,8 @@ class FarmOSConnector {
      */
     async syncSimulation(results, inputs, config, onProgress) {
         const allGens = results.all_gens;
-        const totalSteps = 3 + allGens.length * 4;
+        const mainGenCount = allGens.filter(gen => !gen.is_sub_gen).length;
+        const totalSteps = 3 + allGens.length * 3 + mainGenCount * 2;
         let step = 0;
 
         const progress = (msg) => {
@@ -317,7 +318,7 @@ class FarmOSConnector {
         const seasonId = await this.getOrCreateTerm(
             'season',
             config.seasonName || 'OFSP Program',
-            `OFSP regeneration program — ${allGens.length} generations.`
+            `OFSP regeneration program — ${mainGenCount} main generations, ${allGens.length} harvests.`
         );
         summary.terms++;
 
@@ -331,28 +332,23 @@ class FarmOSConnector {
 
         // 2. Sync each generation
         let currentLandId = null;
-        const isMainGen = (i) => i % 4 === 0;
+        const isMainGen = (gen) => !gen.is_sub_gen;
 
-        const startDate = inputs.start_date
-            ? new Date(inputs.start_date)
-            : new Date();
-        const daysToHarvest = inputs.days_to_harvest || 120;
+        // Planting and harvest dates come from the same calendar the page shows
+        const calendar = buildCalendar(inputs, results);
+        // Costs are logged in the display currency, like the results on the page
+        const currency = displayCurrency(inputs);
+        const money = (amount) => `${currency} ${fromModelCurrency(amount, inputs).toFixed(2)}`;
 
         for (let i = 0; i < allGens.length; i++) {
             const gen = allGens[i];
-            const mainGenNum = Math.floor(i / 4) + 1;
-
-            // Compute planting date offset
-            const mainGenOffset = Math.floor(i / 4) * daysToHarvest;
-            const subGenOffset = isMainGen(i) ? 0 : (i % 4) * Math.round(daysToHarvest * 0.4);
-            const plantingDate = new Date(startDate);
-            plantingDate.setDate(plantingDate.getDate() + mainGenOffset + subGenOffset);
-
-            const harvestDate = new Date(plantingDate);
-            harvestDate.setDate(harvestDate.getDate() + daysToHarvest);
+            const mainGenNum = gen.generation;
+            const dates = calendar.entries[i];
+            const plantingDate = new Date(dates.planting_date + 'T00:00:00Z');
+            const harvestDate = new Date(dates.harvest_date + 'T00:00:00Z');
 
             // Create land asset for main gens only
-            if (isMainGen(i)) {
+            if (isMainGen(gen)) {
                 progress(`Creating land: OFSP Gen ${mainGenNum}...`);
                 currentLandId = await this.createLandAsset(
                     `OFSP Gen ${mainGenNum} — ${gen.hectares.toFixed(1)} ha`,
@@ -368,7 +364,7 @@ class FarmOSConnector {
                 `Slips planted: ${Math.round(gen.slips_planted).toLocaleString()}`,
                 `Tons harvested: ${gen.tons_harvested.toFixed(2)} t`,
                 `Days fed: ${gen.days_fed.toFixed(1)}`,
-                `Cost: $${gen.cost.toFixed(2)}`,
+                `Cost: ${money(gen.cost)}`,
             ];
             if (gen.vitamin_a_child_days > 0) {
                 plantNotes.push(`VA child-days: ${Math.round(gen.vitamin_a_child_days).toLocaleString()}`);
@@ -376,6 +372,9 @@ class FarmOSConnector {
             if (gen.fresh_slip_refresh) {
                 plantNotes.push('** Fresh clean slips purchased (yield reset) **');
             }
+            if (dates.flagged) {
+                plantNotes.push('** Dry-season planting without full irrigation **');
+            }
 
             const plantId = await this.createPlantAsset(
                 `OFSP ${gen.name}`,
@@ -402,7 +401,7 @@ class FarmOSConnector {
             const harvestNotes = [
                 `Harvested ${gen.tons_harvested.toFixed(2)} metric tons.`,
                 `Potatoes: ${Math.round(gen.potatoes_harvested).toLocaleString()}`,
-                `Feeds ${inputs.people_to_feed.toLocaleString()} people for ${gen.days_fed.toFixed(1)} days.`,
+                `Feeds ${beneficiaryNeeds(inputs).people.toLocaleString()} people for ${gen.days_fed.toFixed(1)} days.`,
             ].join('\n');
             await this.createHarvestLog(
                 `Harvest ${gen.name}`,
@@ -414,12 +413,12 @@ class FarmOSConnector {
             summary.harvests++;
 
             // Create input log for costs (main gens only)
-            if (isMainGen(i)) {
+            if (isMainGen(gen)) {
                 progress(`Cost log: ${gen.name}...`);
                 const costNotes = [
-                    `Total cost: $${gen.cost.toFixed(2)}`,
+                    `Total cost: ${money(gen.cost)}`,
                     `Hectares: ${gen.hectares.toFixed(1)}`,
-                    `Cost/ha: $${(gen.cost / gen.hectares).toFixed(2)}`,
+                    `Cost/ha: ${money(gen.cost / gen.hectares)}`,
                 ].join('\n');
                 await this.createInputLog(
                     `Costs ${gen.name}`,
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * OFSP Calculator command-line tool
+ *
+ * Runs scenarios through the simulation engine without a browser and prints
+ * the results as JSON, CSV or a plain-text table.
+ *
+ *   node ofsp-cli.js scenarios.json
+ *   node ofsp-cli.js scenarios.json --scenario "Haiti pilot" --format table
+ *   node ofsp-cli.js - --format csv --set initial_slips=500000 < scenario.json
+ *
+ * The file may be a scenario file exported from the page, the name -> inputs
+ * map older versions saved under ofsp_scenarios in the browser, or a single
+ * inputs object. Missing inputs take the Haiti defaults.
+ */
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { SCENARIO_FILE_FORMAT, normalizeInputs, validateInputs, calculateSimulation, resultsToRows, rowsToCSV, displayCurrency, fromModelCurrency } = require('./ofsp-engine.js');
+
+const USAGE = `Usage: node ofsp-cli.js <scenario.json | -> [options]
+
+Options:
+  --scenario <name>     Run only this scenario from a saved-scenarios file (repeatable)
+  --format <fmt>        json (default), csv or table
+  --set <key=value>     Override an input for every scenario (repeatable)
+  -h, --help            Show this help`;
+
+const FORMATS = ['json', 'csv', 'table'];
+
+/**
+ * A saved-scenarios map has only plain-object values; an inputs object has numbers.
+ */
+function isScenarioMap(data) {
+    const values = Object.values(data);
+    return values.length > 0 && values.every(v => v && typeof v === 'object' && !Array.isArray(v));
+}
+
+function loadScenarios(file) {
+    const text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${file === '-' ? 'stdin' : file} is not valid JSON: ${err.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Expected a JSON object of inputs or of saved scenarios');
+    }
+    if (data.format === SCENARIO_FILE_FORMAT && Array.isArray(data.scenarios)) {
+        return Object.fromEntries(data.scenarios.map((s, i) => [s.name || `Scenario ${i + 1}`, s.inputs || {}]));
+    }
+    return isScenarioMap(data) ? data : { Scenario: data };
+}
+
+function parseOverrides(pairs) {
+    const overrides = {};
+    for (const pair of pairs) {
+        const eq = pair.indexOf('=');
+        if (eq <= 0) throw new Error(`--set expects key=value, got "${pair}"`);
+        overrides[pair.slice(0, eq)] = pair.slice(eq + 1);
+    }
+    return overrides;
+}
+
+function formatTable(name, results, inputs) {
+    const num = (v, dec) => Number(v).toLocaleString('en-US', { minimumFractionDigits: dec, maximumFractionDigits: dec });
+    const code = displayCurrency(inputs);
+    const money = (v, dec) => num(fromModelCurrency(v, inputs), dec);
+    const header = ['Generation', 'Slips Planted', 'Area (ha)', 'Tons', 'Days Fed', 'VA Child-Days', `Cost (${code})`];
+    const body = results.all_gens.map(g => [
+        g.fresh_slip_refresh ? `${g.name} *` : g.name, num(g.slips_planted, 0), num(g.hectares, 2), num(g.tons_harvested, 2),
+        num(g.days_fed, 1), num(g.vitamin_a_child_days, 0), money(g.cost, 0),
+    ]);
+    body.push(['Total', '', num(results.total_hectares, 2), num(results.total_tons, 2),
+        num(results.harvest_days_fed, 1), num(results.total_vitamin_a_child_days, 0), money(results.total_cost, 0)]);
+
+    const widths = header.map((h, i) => Math.max(h.length, ...body.map(r => r[i].length)));
+    const line = (cells) => cells.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ');
+    const rule = widths.map(w => '-'.repeat(w)).join('  ');
+
+    return [
+        name,
+        '',
+        line(header),
+        rule,
+        ...body.slice(0, -1).map(line),
+        rule,
+        line(body[body.length - 1]),
+        '',
+        `Days fed (daily food balance): ${num(results.total_days_fed, 0)}, with ${num(results.hungry_gap_days, 0)} hungry-gap days`,
+        `Annual projection (${num(results.annual_scale_factor, 2)}x): ${num(results.annual_tons, 1)} t, ${num(results.annual_days_fed, 1)} days fed, ${code} ${money(results.annual_cost, 0)}`,
+        `Cost per person per day: ${code} ${money(results.cost_per_person_per_day, 4)}`,
+        `Children annual VA need met: ${num(results.children_annual_va_met, 0)}`,
+        ...(results.all_gens.some(g => g.fresh_slip_refresh) ? ['* fresh clean slips purchased'] : []),
+    ].join('\n');
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                scenario: { type: 'string', multiple: true },
+                format: { type: 'string', default: 'json' },
+                set: { type: 'string', multiple: true },
+                help: { type: 'boolean', short: 'h' },
+            },
+        });
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values, positionals } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1 || !FORMATS.includes(values.format)) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    try {
+        let scenarios = loadScenarios(positionals[0]);
+        if (values.scenario) {
+            const missing = values.scenario.filter(name => !(name in scenarios));
+            if (missing.length) throw new Error(`Scenario not found: ${missing.join(', ')}. Available: ${Object.keys(scenarios).join(', ')}`);
+            scenarios = Object.fromEntries(values.scenario.map(name => [name, scenarios[name]]));
+        }
+        const overrides = parseOverrides(values.set || []);
+
+        const runs = Object.entries(scenarios).map(([name, data]) => {
+            const inputs = normalizeInputs({ ...data, ...overrides });
+            const errors = validateInputs(inputs);
+            if (errors.length) {
+                throw new Error(`Scenario "${name}" has invalid inputs:\n` + errors.map(e => `  ${e.field}: ${e.message}`).join('\n'));
+            }
+            return { scenario: name, inputs, results: calculateSimulation(inputs) };
+        });
+
+        let output;
+        if (values.format === 'json') {
+            output = JSON.stringify(runs, null, 2);
+        } else if (values.format === 'csv') {
+            output = runs.map(run => {
+                const rows = resultsToRows(run.results, run.inputs);
+                return rowsToCSV(runs.length > 1 ? [['Scenario', run.scenario], ...rows] : rows);
+            }).join('\n\n');
+        } else {
+            output = runs.map(run => formatTable(run.scenario, run.results, run.inputs)).join('\n\n');
+        }
+        process.stdout.write(output + '\n');
+        return 0;
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
@@ -0,0 +1,3377 @@
+/**
+ * OFSP Simulation Engine
+ *
+ * The generation model and the analyses built on it (sensitivity, Monte
+ * Carlo, goal seek, budget optimizer), with no DOM dependency. In the browser
+ * it is loaded as a plain script ahead of app.js and its functions are
+ * globals; in Node it is a CommonJS module:
+ *
+ *   const { calculateSimulation, normalizeInputs } = require('./ofsp-engine.js');
+ *   const results = calculateSimulation(normalizeInputs({ initial_slips: 500000 }));
+ */
+
+// Version of the simulation model, written into result exports so that a file
+// can be traced to the model that produced it. Bump it, as well as the golden
+// outputs in test/golden.json, whenever a change moves the results.
+const MODEL_VERSION = '1.3.0';
+
+// --- Inputs ---
+
+/**
+ * Default inputs: northern Haiti rainfed conditions, matching the form defaults
+ * in index.html. Scenarios missing a key fall back to these values.
+ */
+const DEFAULT_INPUTS = {
+    initial_slips: 1200000,
+    planting_density: 33000,
+    tons_per_hectare: 10,
+    tons_harvest_percent: 0.90,
+    cycles_per_year: 2,
+    days_to_harvest: 120,
+    num_generations: 3,
+    num_sub_generations: 3,
+    sub_gen_yields: [0.40, 0.25, 0.15],
+    yield_decline_rate: 0,
+    fresh_slip_interval: 0,
+    land_available_ha: 0,
+    land_expansion_ha: [],
+    excess_slip_rule: 'discard',
+    potatoes_per_plant: 5,
+    vine_cuttings_per_plant: 5,
+    replant_percent: 0.10,
+    slips_from_replant: 30,
+    slip_survival_rate: 0.70,
+    crop_survival_rate: 0.70,
+    storage_survival_rate: 0.65,
+    storage_period_days: 90,
+    people_to_feed: 1000000,
+    calorie_target_per_person: 600,
+    calories_per_potato_with_leaves: 150,
+    grams_per_potato: 175,
+    grams_per_ton: 1000000,
+    vitamin_a_per_100g: 700,
+    daily_vitamin_a_need: 400,
+    acres_per_hectare: 2.47105,
+    cost_irrigation_per_acre: 0,
+    cost_irrigation_full_per_acre: 20,
+    cost_slip_per_unit: 0.05,
+    cost_land_clearing_per_acre: 40,
+    cost_forking_per_acre: 60,
+    cost_planting_per_acre: 45,
+    cost_weeding_per_acre: 90,
+    cost_fertilizer_app_per_acre: 15,
+    cost_harvesting_per_acre: 45,
+    cost_herbicide_per_acre: 30,
+    cost_fertilizer_per_acre: 50,
+    cost_tools_per_acre: 40,
+    cost_other_per_acre: 20,
+    cost_transport_per_acre: 35,
+    rainy_seasons: 'Apr-Jun, Sep-Nov',
+    dry_season_yield_loss: 0.30,
+    price_root_per_ton: 250,
+    price_vine_per_cutting: 0.05,
+    share_sold: 0,
+    discount_rate: 0.10,
+    economic_horizon_years: 10,
+    currency: 'USD',
+};
+
+// --- Nutrition Inputs ---
+
+/**
+ * Nutrients tracked beyond calories and vitamin A. Each has editable inputs
+ * for its content per 100 g of fresh roots and of leaves
+ * (<key>_root_per_100g, <key>_leaf_per_100g), the share that survives
+ * cooking (<key>_root_retention, <key>_leaf_retention) and a daily need for
+ * every population group (<key>_need_<group>).
+ *
+ * Defaults: USDA FoodData Central (sweet potato and sweet potato leaves,
+ * raw), USDA boiling retention factors, and WHO/FAO and IOM reference intakes.
+ */
+const NUTRIENTS = [
+    { key: 'protein', label: 'Protein', unit: 'g', root: 1.6, leaf: 2.5, rootRetention: 1, leafRetention: 1, needs: { children_under_5: 13, pregnant_lactating: 71, adults: 50 } },
+    { key: 'iron', label: 'Iron', unit: 'mg', root: 0.6, leaf: 1.0, rootRetention: 0.9, leafRetention: 0.9, needs: { children_under_5: 7, pregnant_lactating: 27, adults: 13 } },
+    { key: 'zinc', label: 'Zinc', unit: 'mg', root: 0.3, leaf: 0.3, rootRetention: 0.9, leafRetention: 0.9, needs: { children_under_5: 3, pregnant_lactating: 12, adults: 10 } },
+    { key: 'vitamin_c', label: 'Vitamin C', unit: 'mg', root: 2.4, leaf: 11, rootRetention: 0.75, leafRetention: 0.5, needs: { children_under_5: 15, pregnant_lactating: 100, adults: 80 } },
+    { key: 'fibre', label: 'Fibre', unit: 'g', root: 3.0, leaf: 2.0, rootRetention: 1, leafRetention: 1, needs: { children_under_5: 19, pregnant_lactating: 29, adults: 30 } },
+];
+
+/**
+ * Groups the target population is split into (population_share_<key>,
+ * fractions that add up to 1). Default split: northern Haiti, roughly 12%
+ * under-fives and 6% pregnant or breastfeeding women.
+ */
+const POPULATION_GROUPS = [
+    { key: 'children_under_5', label: 'Children under 5', share: 0.12 },
+    { key: 'pregnant_lactating', label: 'Pregnant & lactating women', share: 0.06 },
+    { key: 'adults', label: 'Adults', share: 0.82 },
+];
+
+// Edible leaf tips picked per ton of roots harvested (CIP: 1-4 t/ha of tips against ~10 t/ha of roots)
+DEFAULT_INPUTS.leaf_tons_per_root_ton = 0.15;
+for (const nutrient of NUTRIENTS) {
+    DEFAULT_INPUTS[`${nutrient.key}_root_per_100g`] = nutrient.root;
+    DEFAULT_INPUTS[`${nutrient.key}_leaf_per_100g`] = nutrient.leaf;
+    DEFAULT_INPUTS[`${nutrient.key}_root_retention`] = nutrient.rootRetention;
+    DEFAULT_INPUTS[`${nutrient.key}_leaf_retention`] = nutrient.leafRetention;
+    for (const group of POPULATION_GROUPS) {
+        DEFAULT_INPUTS[`${nutrient.key}_need_${group.key}`] = nutrient.needs[group.key];
+    }
+}
+for (const group of POPULATION_GROUPS) {
+    DEFAULT_INPUTS[`population_share_${group.key}`] = group.share;
+}
+
+// --- Beneficiary Inputs ---
+
+/**
+ * How the people to feed are described. 'people' is one headcount
+ * (people_to_feed) at one calorie target and one child's vitamin A need;
+ * 'households' builds the population from households x household_size,
+ * split into DEMOGRAPHIC_GROUPS, each with its own requirements.
+ */
+const BENEFICIARY_MODES = ['people', 'households'];
+
+/**
+ * Age/sex groups for household mode. Each has editable inputs for its share
+ * of the population (composition_<key>), its daily energy requirement
+ * (energy_need_<key>, kcal) and its vitamin A requirement
+ * (vitamin_a_need_<key>, mcg RAE). OFSP is asked to cover ofsp_energy_share
+ * of each group's energy requirement and all of its vitamin A.
+ *
+ * Defaults: FAO/WHO/UNU (2004) energy requirements at moderate activity,
+ * WHO/FAO (2004) vitamin A recommended safe intakes, and the age structure of
+ * a young rural population.
+ */
+const DEMOGRAPHIC_GROUPS = [
+    { key: 'children_0_4', label: 'Children 0-4', share: 0.15, energy: 1000, vitaminA: 400 },
+    { key: 'children_5_9', label: 'Children 5-9', share: 0.13, energy: 1600, vitaminA: 500 },
+    { key: 'girls_10_19', label: 'Girls 10-19', share: 0.11, energy: 2150, vitaminA: 600 },
+    { key: 'boys_10_19', label: 'Boys 10-19', share: 0.11, energy: 2500, vitaminA: 600 },
+    { key: 'women_20_59', label: 'Women 20-59', share: 0.21, energy: 2100, vitaminA: 500 },
+    { key: 'men_20_59', label: 'Men 20-59', share: 0.21, energy: 2550, vitaminA: 600 },
+    { key: 'adults_60_plus', label: 'Adults 60+', share: 0.08, energy: 1950, vitaminA: 600 },
+];
+
+Object.assign(DEFAULT_INPUTS, {
+    beneficiary_mode: 'people',
+    households: 200000,
+    household_size: 5,
+    population_growth_rate: 0,
+    ofsp_energy_share: 0.30,
+});
+for (const group of DEMOGRAPHIC_GROUPS) {
+    DEFAULT_INPUTS[`composition_${group.key}`] = group.share;
+    DEFAULT_INPUTS[`energy_need_${group.key}`] = group.energy;
+    DEFAULT_INPUTS[`vitamin_a_need_${group.key}`] = group.vitaminA;
+}
+
+// --- Currency ---
+
+/**
+ * Currencies budgets can be written in, with default exchange rates in units
+ * per US dollar (editable as the fx_<code> inputs, e.g. fx_htg).
+ *
+ * The model itself works in US dollars. Each money input carries a
+ * <field>_currency tag naming the currency it was entered in and is converted
+ * from it before simulating; results are converted to inputs.currency for
+ * display and export.
+ */
+const CURRENCIES = [
+    { code: 'USD', name: 'US dollar', rate: 1 },
+    { code: 'HTG', name: 'Haitian gourde', rate: 131 },
+    { code: 'NGN', name: 'Nigerian naira', rate: 1530 },
+    { code: 'MWK', name: 'Malawian kwacha', rate: 1735 },
+    { code: 'INR', name: 'Indian rupee', rate: 88 },
+    { code: 'ETB', name: 'Ethiopian birr', rate: 145 },
+    { code: 'PHP', name: 'Philippine peso', rate: 58 },
+];
+
+// Inputs that are amounts of money, each with its own currency tag
+const MONEY_INPUT_FIELDS = Object.keys(DEFAULT_INPUTS).filter(key => key.startsWith('cost_') || key.startsWith('price_'));
+
+function currencyTagField(field) {
+    return `${field}_currency`;
+}
+
+function exchangeRateField(code) {
+    return `fx_${code.toLowerCase()}`;
+}
+
+for (const currency of CURRENCIES) {
+    if (currency.code !== 'USD') DEFAULT_INPUTS[exchangeRateField(currency.code)] = currency.rate;
+}
+for (const field of MONEY_INPUT_FIELDS) {
+    DEFAULT_INPUTS[currencyTagField(field)] = 'USD';
+}
+
+/**
+ * Units of a currency per US dollar: the scenario's own rate when it has
+ * one, otherwise the default. Unknown codes count as dollars.
+ */
+function exchangeRate(inputs, code) {
+    const currency = CURRENCIES.find(c => c.code === code);
+    if (!currency || code === 'USD') return 1;
+    const rate = inputs[exchangeRateField(code)];
+    return Number.isFinite(rate) && rate > 0 ? rate : currency.rate;
+}
+
+/**
+ * The currency results are shown in (US dollars for older scenarios).
+ */
+function displayCurrency(inputs) {
+    return CURRENCIES.some(c => c.code === inputs.currency) ? inputs.currency : 'USD';
+}
+
+/**
+ * Converts a model amount (US dollars) to the display currency.
+ */
+function fromModelCurrency(amount, inputs) {
+    return amount * exchangeRate(inputs, displayCurrency(inputs));
+}
+
+/**
+ * Converts a display-currency amount (e.g. a budget typed by the user) to US dollars.
+ */
+function toModelAmount(amount, inputs) {
+    return amount / exchangeRate(inputs, displayCurrency(inputs));
+}
+
+/**
+ * Copy of inputs with every money input converted from its tagged currency to
+ * US dollars (and re-tagged as such). Inputs without tags are already dollars.
+ */
+function toModelCurrency(inputs) {
+    const converted = { ...inputs };
+    for (const field of MONEY_INPUT_FIELDS) {
+        const tag = inputs[currencyTagField(field)];
+        if (tag && tag !== 'USD' && Number.isFinite(inputs[field])) {
+            converted[field] = inputs[field] / exchangeRate(inputs, tag);
+            converted[currencyTagField(field)] = 'USD';
+        }
+    }
+    return converted;
+}
+
+// --- Preset Library ---
+
+/**
+ * Where each default in DEFAULT_INPUTS comes from. A preset cites these for
+ * every value it does not set itself (see defaultInputSource).
+ */
+const DEFAULT_INPUT_SOURCES = {
+    initial_slips: 'Mid-scale project starting point',
+    planting_density: 'Rows 1 m apart, plants 30 cm apart (CIP OFSP guide)',
+    tons_per_hectare: 'Improved varieties, rainfed, northern Haiti (CIP; range 5-20 t/ha)',
+    tons_harvest_percent: 'Standard harvest efficiency',
+    cycles_per_year: 'April-August and September-January seasons',
+    days_to_harvest: 'OFSP matures in 90-150 days (CIP)',
+    num_generations: 'Model setting',
+    num_sub_generations: 'Model setting',
+    sub_gen_yields: 'Declining ratoon harvests from the same land',
+    yield_decline_rate: 'No seed degeneration unless set',
+    fresh_slip_interval: 'No clean-slip refresh unless set',
+    land_available_ha: 'Unlimited land unless set',
+    land_expansion_ha: 'No land expansion unless set',
+    excess_slip_rule: 'Model setting',
+    potatoes_per_plant: 'Tropical average 4-8 tubers per plant',
+    vine_cuttings_per_plant: 'CIP data: 5-8 cuttings per harvest',
+    replant_percent: 'Fraction of harvest reserved for the next generation',
+    slips_from_replant: 'Research: 20-50 slips per sprouted tuber',
+    slip_survival_rate: 'Storms, drought and transplant shock, northern Haiti',
+    crop_survival_rate: 'Weevil damage and weather events, northern Haiti',
+    storage_survival_rate: 'No cold chain: ~35% post-harvest loss',
+    storage_period_days: 'Typical ambient storage period',
+    people_to_feed: 'Northern Haiti food-insecure population',
+    calorie_target_per_person: 'IPC Phase 3+ daily calorie gap',
+    calories_per_potato_with_leaves: '86 kcal/100 g x 175 g average tuber (USDA FoodData Central)',
+    grams_per_potato: 'OFSP average 130-250 g in the tropics',
+    grams_per_ton: 'Unit conversion',
+    vitamin_a_per_100g: 'Typical improved OFSP variety (range 250-1300 mcg RAE; HarvestPlus)',
+    daily_vitamin_a_need: 'WHO recommended intake for children aged 1-3',
+    acres_per_hectare: 'Unit conversion',
+    cost_irrigation_per_acre: 'Rainfed: no irrigation',
+    cost_irrigation_full_per_acre: 'Estimate: pump or watering-can irrigation for one dry-season crop',
+    cost_slip_per_unit: 'Locally produced vine cuttings, northern Haiti',
+    rainy_seasons: 'Northern Haiti spring and autumn rains',
+    dry_season_yield_loss: 'Estimate: drought stress at root initiation and bulking',
+    price_root_per_ton: 'Haiti fresh OFSP roots ~$0.20-0.30/kg farm-gate',
+    share_sold: 'Everything is eaten unless a share is sold',
+    discount_rate: 'Typical development-project discount rate',
+    economic_horizon_years: 'Typical project appraisal horizon',
+    currency: 'Model currency',
+    leaf_tons_per_root_ton: 'CIP: 1-4 t/ha of leaf tips against ~10 t/ha of roots',
+    beneficiary_mode: 'Model setting',
+    households: '1,000,000 people at 5 per household',
+    household_size: 'Rural household size, Haiti and sub-Saharan Africa (DHS)',
+    population_growth_rate: 'Constant population unless set',
+    ofsp_energy_share: '~600 kcal of a ~2,000 kcal average requirement',
+};
+
+/**
+ * Citation for a DEFAULT_INPUTS value: its DEFAULT_INPUT_SOURCES entry, or
+ * the shared source of its family of inputs (costs, exchange rates, nutrient
+ * table, population groups).
+ */
+function defaultInputSource(field) {
+    if (DEFAULT_INPUT_SOURCES[field]) return DEFAULT_INPUT_SOURCES[field];
+    if (field.endsWith('_currency')) return 'Entered in USD';
+    if (field.startsWith('fx_')) return 'Approximate market rate per US dollar; set to the rate your budget uses';
+    if (field.startsWith('cost_')) return 'Northern Haiti field budget, labour at $3-5/day';
+    if (field.endsWith('_per_100g')) return 'USDA FoodData Central (sweet potato and sweet potato leaves, raw)';
+    if (field.endsWith('_retention')) return 'USDA table of nutrient retention factors (boiled)';
+    if (field.startsWith('population_share_') || field.startsWith('composition_')) return 'Age structure of a young rural population';
+    if (field.startsWith('energy_need_')) return 'FAO/WHO/UNU (2004) energy requirements, moderate activity';
+    if (field.startsWith('vitamin_a_need_')) return 'WHO/FAO (2004) vitamin A recommended safe intakes';
+    if (NUTRIENTS.some(n => field.startsWith(`${n.key}_need_`))) return 'WHO/FAO and IOM reference intakes';
+    return 'Model default';
+}
+
+/**
+ * Source of the value inputs hold for field. base is the preset the inputs
+ * came from ({ values, sources }), or null for DEFAULT_INPUTS: while the value
+ * matches the base its citation stands, otherwise it is 'Entered by user'.
+ * Currency tags name the currency selected.
+ */
+function inputSource(field, inputs, base = null) {
+    if (field.endsWith('_currency') && field !== 'currency') return `Entered in ${inputs[field] || 'USD'}`;
+    const fromBase = Boolean(base) && field in base.values;
+    const expected = fromBase ? base.values[field] : DEFAULT_INPUTS[field];
+    if (JSON.stringify(expected) !== JSON.stringify(inputs[field])) return 'Entered by user';
+    return (fromBase && base.sources[field]) || defaultInputSource(field);
+}
+
+// Unit of each plain-number input; inputUnit covers the families (money,
+// nutrients, population groups, exchange rates) and lists
+const INPUT_UNITS = {
+    initial_slips: 'slips',
+    planting_density: 'plants/ha',
+    tons_per_hectare: 't/ha',
+    tons_harvest_percent: 'share (0-1)',
+    cycles_per_year: 'cycles/year',
+    days_to_harvest: 'days',
+    num_generations: 'generations',
+    num_sub_generations: 'per main generation',
+    sub_gen_yields: 'share of main yield, each',
+    yield_decline_rate: 'share per generation',
+    dry_season_yield_loss: 'share of yield',
+    fresh_slip_interval: 'generations (0 = never)',
+    land_available_ha: 'ha (0 = unlimited)',
+    land_expansion_ha: 'ha per main generation',
+    potatoes_per_plant: 'roots/plant',
+    vine_cuttings_per_plant: 'cuttings/plant',
+    replant_percent: 'share (0-1)',
+    slips_from_replant: 'slips/tuber',
+    slip_survival_rate: 'share (0-1)',
+    crop_survival_rate: 'share (0-1)',
+    storage_survival_rate: 'share (0-1)',
+    storage_period_days: 'days',
+    people_to_feed: 'people',
+    calorie_target_per_person: 'kcal/person/day',
+    calories_per_potato_with_leaves: 'kcal/root',
+    grams_per_potato: 'g/root',
+    grams_per_ton: 'g/t',
+    vitamin_a_per_100g: 'mcg RAE/100 g',
+    daily_vitamin_a_need: 'mcg RAE/day',
+    acres_per_hectare: 'acres/ha',
+    rainy_seasons: 'months',
+    share_sold: 'share (0-1)',
+    discount_rate: 'per year',
+    economic_horizon_years: 'years',
+    leaf_tons_per_root_ton: 't leaves/t roots',
+    households: 'households',
+    household_size: 'people/household',
+    population_growth_rate: 'per year',
+    ofsp_energy_share: 'share (0-1)',
+};
+
+/**
+ * Unit of an input for reports, e.g. 't/ha' or 'HTG/acre'. Money inputs are
+ * in their own currency tag; fields without a unit (choices, the display
+ * currency) give ''.
+ */
+function inputUnit(field, inputs = DEFAULT_INPUTS) {
+    if (INPUT_UNITS[field]) return INPUT_UNITS[field];
+    if (field.endsWith('_currency')) return '';
+    if (MONEY_INPUT_FIELDS.includes(field)) {
+        const code = inputs[currencyTagField(field)] || 'USD';
+        if (field.endsWith('_per_acre')) return `${code}/acre`;
+        if (field === 'cost_slip_per_unit') return `${code}/slip`;
+        if (field === 'price_root_per_ton') return `${code}/t`;
+        if (field === 'price_vine_per_cutting') return `${code}/cutting`;
+        return code;
+    }
+    if (field.startsWith('fx_')) return `${field.slice(3).toUpperCase()} per USD`;
+    const nutrient = NUTRIENTS.find(n => field.startsWith(`${n.key}_`));
+    if (nutrient) {
+        if (field.endsWith('_per_100g')) return `${nutrient.unit}/100 g`;
+        if (field.endsWith('_retention')) return 'share kept after cooking';
+        return `${nutrient.unit}/person/day`;
+    }
+    if (field.startsWith('population_share_') || field.startsWith('composition_')) return 'share of people';
+    if (field.startsWith('energy_need_')) return 'kcal/person/day';
+    if (field.startsWith('vitamin_a_need_')) return 'mcg RAE/person/day';
+    return '';
+}
+
+// Field labour in the northern Haiti budget, scaled by a country's relative rural wage
+function scaledLabourCosts(factor) {
+    const labour = ['cost_land_clearing_per_acre', 'cost_forking_per_acre', 'cost_planting_per_acre', 'cost_weeding_per_acre', 'cost_fertilizer_app_per_acre', 'cost_harvesting_per_acre'];
+    return Object.fromEntries(labour.map(field => [field, Math.round(DEFAULT_INPUTS[field] * factor)]));
+}
+
+function labourCostSources(citation) {
+    return Object.fromEntries(Object.keys(scaledLabourCosts(1)).map(field => [field, citation]));
+}
+
+/**
+ * Country-wide preset values shared by all of a country's zones: the local
+ * display currency, field labour costs and household size.
+ */
+const PRESET_COUNTRIES = {
+    haiti: {
+        label: 'Haiti',
+        values: { currency: 'HTG' },
+        sources: { currency: 'Local currency', household_size: 'Haiti DHS 2016-17: ~4.3 per household (rounded up for rural areas)' },
+    },
+    nigeria: {
+        label: 'Nigeria',
+        values: { currency: 'NGN', household_size: 4.9, ...scaledLabourCosts(0.7) },
+        sources: { currency: 'Local currency', household_size: 'Nigeria DHS 2018: ~4.9 per household', ...labourCostSources('Estimate: Haiti labour budget scaled to lower rural wages; replace with a local budget') },
+    },
+    malawi: {
+        label: 'Malawi',
+        values: { currency: 'MWK', household_size: 4.4, ...scaledLabourCosts(0.5) },
+        sources: { currency: 'Local currency', household_size: 'Malawi DHS 2015-16: ~4.4 per household', ...labourCostSources('Estimate: Haiti labour budget scaled to ganyu day rates; replace with a local budget') },
+    },
+    india: {
+        label: 'India',
+        values: { currency: 'INR', household_size: 4.4, ...scaledLabourCosts(0.8) },
+        sources: { currency: 'Local currency', household_size: 'NFHS-5 (2019-21): ~4.4 per household', ...labourCostSources('Estimate: Haiti labour budget scaled to MGNREGA-level wages; replace with a local budget') },
+    },
+    ethiopia: {
+        label: 'Ethiopia',
+        values: { currency: 'ETB', household_size: 4.6, ...scaledLabourCosts(0.5) },
+        sources: { currency: 'Local currency', household_size: 'Ethiopia DHS 2016: ~4.6 per household', ...labourCostSources('Estimate: Haiti labour budget scaled to lower rural wages; replace with a local budget') },
+    },
+    philippines: {
+        label: 'Philippines',
+        values: { currency: 'PHP', household_size: 4.1, ...scaledLabourCosts(1.5) },
+        sources: { currency: 'Local currency', household_size: 'PSA 2020 census: ~4.1 per household', ...labourCostSources('Estimate: Haiti labour budget scaled to regional farm wage rates; replace with a local budget') },
+    },
+};
+
+/**
+ * Built-in presets, one per agro-ecological zone. Each applies its country's
+ * values and then its own on top of DEFAULT_INPUTS, so a resolved preset sets
+ * every form field (see resolvePreset). Bump a preset's version whenever its
+ * values change; scenarios record the id and version they were built from.
+ */
+const BUILTIN_PRESETS = [
+    {
+        id: 'haiti-north-rainfed', version: 1, country: 'haiti', zone: 'Northern lowland, rainfed',
+        values: {},
+        sources: {},
+    },
+    {
+        id: 'haiti-artibonite-irrigated', version: 1, country: 'haiti', zone: 'Artibonite valley, irrigated',
+        values: { tons_per_hectare: 15, cycles_per_year: 3, days_to_harvest: 110, slip_survival_rate: 0.80, crop_survival_rate: 0.80, cost_irrigation_per_acre: 60 },
+        sources: {
+            tons_per_hectare: 'Irrigated tropics 15-25 t/ha (CIP); low end for smallholder plots',
+            cycles_per_year: 'Year-round planting with canal water',
+            days_to_harvest: 'Early-maturing varieties under irrigation',
+            slip_survival_rate: 'Less drought stress after transplanting',
+            crop_survival_rate: 'Less drought stress through the season',
+            cost_irrigation_per_acre: 'Estimate: canal water fees and pump fuel',
+        },
+    },
+    {
+        id: 'haiti-plateau-highland', version: 1, country: 'haiti', zone: 'Central Plateau highland, rainfed',
+        values: { tons_per_hectare: 8, days_to_harvest: 150, crop_survival_rate: 0.65 },
+        sources: {
+            tons_per_hectare: 'Cooler, less fertile uplands yield below the lowlands',
+            days_to_harvest: 'Cooler highlands slow maturity to 135-165 days',
+            crop_survival_rate: 'Erosion and dry spells on slopes',
+        },
+    },
+    {
+        id: 'nigeria-middle-belt-rainfed', version: 1, country: 'nigeria', zone: 'Middle Belt, rainfed',
+        values: { tons_per_hectare: 8, planting_density: 33000, rainy_seasons: 'Apr-Oct' },
+        sources: {
+            tons_per_hectare: 'Improved OFSP on farmers\' fields, Kwara and Benue (CIP/SASHA)',
+            planting_density: 'Ridges 1 m apart, plants 30 cm apart',
+            rainy_seasons: 'Single long rainy season',
+        },
+    },
+    {
+        id: 'nigeria-north-fadama-irrigated', version: 1, country: 'nigeria', zone: 'Northern fadama, irrigated dry season',
+        values: { tons_per_hectare: 12, rainy_seasons: 'Jun-Sep', crop_survival_rate: 0.75, cost_irrigation_per_acre: 40 },
+        sources: {
+            tons_per_hectare: 'Dry-season fadama plots with small pumps',
+            rainy_seasons: 'Short Sahelian rainy season',
+            crop_survival_rate: 'Irrigated, but weevil pressure in the dry season',
+            cost_irrigation_per_acre: 'Estimate: petrol pump hire and fuel',
+        },
+    },
+    {
+        id: 'malawi-lowland-rainfed', version: 1, country: 'malawi', zone: 'Lowland, rainfed',
+        values: { tons_per_hectare: 7, planting_density: 30000, rainy_seasons: 'Nov-Apr' },
+        sources: {
+            tons_per_hectare: 'OFSP on smallholder ridges (CIP Malawi)',
+            planting_density: 'Ridges 90 cm apart, plants 30-40 cm apart',
+            rainy_seasons: 'Single rainy season, November to April',
+        },
+    },
+    {
+        id: 'malawi-dimba-wetland', version: 1, country: 'malawi', zone: 'Dimba wetland, dry season',
+        values: { tons_per_hectare: 9, planting_density: 30000, rainy_seasons: 'Nov-Apr', slip_survival_rate: 0.80, cost_irrigation_per_acre: 20 },
+        sources: {
+            tons_per_hectare: 'Residual moisture and hand watering in dambo wetlands',
+            planting_density: 'Ridges 90 cm apart, plants 30-40 cm apart',
+            rainy_seasons: 'Single rainy season, November to April',
+            slip_survival_rate: 'Dimba vine multiplication keeps planting material alive through the dry season',
+            cost_irrigation_per_acre: 'Estimate: watering cans and treadle pumps',
+        },
+    },
+    {
+        id: 'india-odisha-kharif-rainfed', version: 1, country: 'india', zone: 'Odisha, kharif rainfed',
+        values: { tons_per_hectare: 12, planting_density: 35000, rainy_seasons: 'Jun-Sep' },
+        sources: {
+            tons_per_hectare: 'Rainfed kharif OFSP, eastern India (CIP/ICAR-CTCRI)',
+            planting_density: 'Ridges 60 cm apart at 20-30 cm',
+            rainy_seasons: 'Southwest monsoon',
+        },
+    },
+    {
+        id: 'india-odisha-rabi-irrigated', version: 1, country: 'india', zone: 'Odisha, rabi irrigated',
+        values: { tons_per_hectare: 18, planting_density: 35000, rainy_seasons: 'Jun-Sep', crop_survival_rate: 0.80, cost_irrigation_per_acre: 45 },
+        sources: {
+            tons_per_hectare: 'Irrigated rabi OFSP, eastern India (CIP/ICAR-CTCRI)',
+            planting_density: 'Ridges 60 cm apart at 20-30 cm',
+            rainy_seasons: 'Southwest monsoon; rabi crops are irrigated',
+            crop_survival_rate: 'Cool, dry rabi season with irrigation',
+            cost_irrigation_per_acre: 'Estimate: tube-well irrigation',
+        },
+    },
+    {
+        id: 'ethiopia-snnpr-highland', version: 1, country: 'ethiopia', zone: 'SNNPR mid-highland, rainfed',
+        values: { tons_per_hectare: 9, rainy_seasons: 'Mar-Sep', days_to_harvest: 150 },
+        sources: {
+            tons_per_hectare: 'OFSP in southern mid-altitude zones (CIP/SARI)',
+            rainy_seasons: 'Belg and kiremt rains',
+            days_to_harvest: 'Mid-altitude cool season slows maturity',
+        },
+    },
+    {
+        id: 'ethiopia-rift-lowland-irrigated', version: 1, country: 'ethiopia', zone: 'Rift Valley lowland, irrigated',
+        values: { tons_per_hectare: 14, rainy_seasons: 'Mar-Sep', crop_survival_rate: 0.75, cost_irrigation_per_acre: 40 },
+        sources: {
+            tons_per_hectare: 'Irrigated lowland sweet potato, Rift Valley (EIAR)',
+            rainy_seasons: 'Belg and kiremt rains',
+            crop_survival_rate: 'Irrigated, but high weevil pressure in hot lowlands',
+            cost_irrigation_per_acre: 'Estimate: small-scale irrigation scheme fees',
+        },
+    },
+    {
+        id: 'philippines-visayas-lowland', version: 1, country: 'philippines', zone: 'Visayas lowland, rainfed',
+        values: { tons_per_hectare: 12, rainy_seasons: 'Jun-Nov' },
+        sources: {
+            tons_per_hectare: 'Improved varieties in lowland rainfed systems (PhilRootcrops)',
+            rainy_seasons: 'Southwest monsoon',
+        },
+    },
+    {
+        id: 'philippines-cordillera-highland', version: 1, country: 'philippines', zone: 'Cordillera highland, rainfed',
+        values: { tons_per_hectare: 8, rainy_seasons: 'May-Oct', days_to_harvest: 150, crop_survival_rate: 0.65 },
+        sources: {
+            tons_per_hectare: 'Terraced highland plots yield below the lowlands',
+            rainy_seasons: 'Highland wet season',
+            days_to_harvest: 'Cool highland temperatures slow maturity',
+            crop_survival_rate: 'Typhoon damage on exposed slopes',
+        },
+    },
+];
+
+/**
+ * A complete built-in preset: { id, version, name, country, zone, values,
+ * sources }, where values has every DEFAULT_INPUTS field (defaults, then the
+ * country's values, then the zone's) and sources cites each one.
+ * Returns null for an unknown id.
+ */
+function resolvePreset(id) {
+    const preset = BUILTIN_PRESETS.find(p => p.id === id);
+    if (!preset) return null;
+    const country = PRESET_COUNTRIES[preset.country];
+    const values = { ...DEFAULT_INPUTS, ...country.values, ...preset.values };
+    const sources = Object.fromEntries(Object.keys(DEFAULT_INPUTS).map(field => [
+        field,
+        preset.sources[field] || country.sources[field] || defaultInputSource(field),
+    ]));
+    return {
+        id: preset.id,
+        version: preset.version,
+        name: `${country.label} — ${preset.zone}`,
+        country: preset.country,
+        zone: preset.zone,
+        values,
+        sources,
+    };
+}
+
+/**
+ * Country presets (haiti, nigeria, ...): the full values of each country's
+ * first zone in BUILTIN_PRESETS, kept for callers that pick a preset by country.
+ */
+const COUNTRY_PRESETS = Object.fromEntries(Object.keys(PRESET_COUNTRIES).map(country => [
+    country,
+    resolvePreset(BUILTIN_PRESETS.find(p => p.country === country).id).values,
+]));
+
+// Marks a preset library file exported by this tool and the layout it uses
+const PRESET_FILE_FORMAT = 'ofsp-presets';
+const PRESET_FILE_VERSION = 1;
+
+/**
+ * Cleans a user preset into { name, version, country, zone, based_on,
+ * values, sources, updated }. values keeps only known input fields,
+ * converted as normalizeInputs would; sources keeps text citations for them.
+ * Presets saved before the library existed were a bare { field: value } map
+ * and come back as version 1 of a preset called fallbackName.
+ */
+function normalizePreset(raw, fallbackName) {
+    const legacy = !raw || typeof raw.values !== 'object' || raw.values === null;
+    const rawValues = legacy ? (raw || {}) : raw.values;
+    const known = Object.keys(rawValues).filter(key => Object.prototype.hasOwnProperty.call(DEFAULT_INPUTS, key));
+    const normalized = normalizeInputs(Object.fromEntries(known.map(key => [key, rawValues[key]])));
+    const values = Object.fromEntries(known.map(key => [key, normalized[key]]));
+    const rawSources = !legacy && raw.sources && typeof raw.sources === 'object' ? raw.sources : {};
+    const sources = Object.fromEntries(known
+        .filter(key => typeof rawSources[key] === 'string' && rawSources[key].trim() !== '')
+        .map(key => [key, rawSources[key].trim()]));
+    const version = legacy ? 1 : Math.max(1, Math.round(Number(raw.version) || 1));
+    const text = (val) => (typeof val === 'string' ? val.trim() : '');
+    return {
+        name: (!legacy && text(raw.name)) || fallbackName,
+        version,
+        country: legacy ? '' : text(raw.country),
+        zone: legacy ? '' : text(raw.zone),
+        based_on: !legacy && raw.based_on && typeof raw.based_on.id === 'string'
+            ? { id: raw.based_on.id, version: Math.round(Number(raw.based_on.version) || 1) }
+            : null,
+        values,
+        sources,
+        updated: legacy ? null : (text(raw.updated) || null),
+    };
+}
+
+/**
+ * Preset library file contents for a list of presets (built-in or user).
+ */
+function buildPresetFile(presets) {
+    return {
+        format: PRESET_FILE_FORMAT,
+        format_version: PRESET_FILE_VERSION,
+        presets: presets.map(p => ({
+            name: p.name,
+            version: p.version,
+            country: p.country || '',
+            zone: p.zone || '',
+            // A built-in preset exported as a file is based on itself
+            based_on: p.based_on || (BUILTIN_PRESETS.some(b => b.id === p.id) ? { id: p.id, version: p.version } : null),
+            values: p.values,
+            sources: p.sources,
+            updated: p.updated || null,
+        })),
+    };
+}
+
+/**
+ * Reads a preset library file (parsed JSON). A single preset object is
+ * accepted as well as a full file. Returns { presets, errors }, where
+ * presets are normalized (see normalizePreset) and errors lists, by preset
+ * name, anything that was dropped: unknown fields, invalid values and
+ * presets with nothing usable in them.
+ */
+function parsePresetFile(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') {
+        return { presets: [], errors: ['Not a preset file'] };
+    }
+    if (data.format === PRESET_FILE_FORMAT && data.format_version > PRESET_FILE_VERSION) {
+        errors.push(`File is format version ${data.format_version}; this version reads up to ${PRESET_FILE_VERSION}, newer fields are ignored`);
+    }
+    const list = Array.isArray(data.presets) ? data.presets : [data];
+    const presets = [];
+    list.forEach((raw, i) => {
+        const label = raw && typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `Preset ${i + 1}`;
+        if (!raw || typeof raw.values !== 'object' || raw.values === null) {
+            errors.push(`${label}: no values`);
+            return;
+        }
+        const unknown = Object.keys(raw.values).filter(key => !Object.prototype.hasOwnProperty.call(DEFAULT_INPUTS, key));
+        if (unknown.length > 0) errors.push(`${label}: ignored unknown fields ${unknown.join(', ')}`);
+        const preset = normalizePreset(raw, label);
+        const invalid = validateInputs({ ...DEFAULT_INPUTS, ...preset.values }).filter(e => e.field in preset.values);
+        for (const e of invalid) {
+            errors.push(`${label}: ${e.field} — ${e.message}`);
+            delete preset.values[e.field];
+            delete preset.sources[e.field];
+        }
+        if (Object.keys(preset.values).length === 0) {
+            errors.push(`${label}: nothing to import`);
+            return;
+        }
+        presets.push(preset);
+    });
+    return { presets, errors };
+}
+
+/**
+ * What happens to slips that do not fit on the land available:
+ * stored for the next main generation, sold at price_vine_per_cutting, or discarded.
+ */
+const EXCESS_SLIP_RULES = ['store', 'sell', 'discard'];
+
+// Keys older saved scenarios may carry that the engine no longer reads
+const LEGACY_INPUT_KEYS = ['yield_mode'];
+
+/**
+ * Default ratoon yield fractions for vine-cutting sub-generations a/b/c.
+ */
+const DEFAULT_SUB_GEN_YIELDS = [0.40, 0.25, 0.15];
+
+/**
+ * Values that can be recorded against a generation once it has been planted
+ * and harvested, stored per scenario under inputs.actuals[generationId].
+ */
+const ACTUAL_FIELDS = [
+    { key: 'slips_planted', label: 'Slips Planted' },
+    { key: 'plants_established', label: 'Plants Established' },
+    { key: 'hectares', label: 'Area (ha)' },
+    { key: 'tons_harvested', label: 'Tons Harvested' },
+    { key: 'cost', label: 'Spend', money: true },
+];
+
+/**
+ * Cleans a stored actuals map: numeric strings are converted, and blank or
+ * negative entries and generations with nothing recorded are dropped.
+ */
+function normalizeActuals(raw) {
+    const actuals = {};
+    for (const [id, record] of Object.entries(raw || {})) {
+        const clean = {};
+        for (const { key } of ACTUAL_FIELDS) {
+            const val = record ? record[key] : undefined;
+            if (val === undefined || val === null || val === '') continue;
+            const num = typeof val === 'number' ? val : parseFloat(val);
+            if (Number.isFinite(num) && num >= 0) clean[key] = num;
+        }
+        if (Object.keys(clean).length > 0) actuals[id] = clean;
+    }
+    return actuals;
+}
+
+/**
+ * Parses a comma-separated list of numbers ("0.40, 0.25, 0.15").
+ * Blank entries are dropped; non-numeric entries come back as NaN.
+ */
+function parseNumberList(str) {
+    return String(str).split(',')
+        .map(part => part.trim())
+        .filter(part => part !== '')
+        .map(Number);
+}
+
+/**
+ * Turns a saved scenario's inputs (a revision's inputs in the library) or any
+ * partial input object into a complete set of engine inputs.
+ *
+ * Missing keys take DEFAULT_INPUTS values, numeric strings are converted,
+ * list inputs may be arrays or comma-separated strings, field actuals are
+ * cleaned, and legacy keys are dropped. Unknown keys are kept so callers can carry extra data through.
+ */
+function normalizeInputs(raw) {
+    const inputs = { ...DEFAULT_INPUTS };
+    for (const [key, val] of Object.entries(raw || {})) {
+        if (LEGACY_INPUT_KEYS.includes(key)) continue;
+        if (key === 'actuals') {
+            inputs.actuals = normalizeActuals(val);
+        } else if (Array.isArray(DEFAULT_INPUTS[key])) {
+            const list = Array.isArray(val) ? val.map(Number) : parseNumberList(val);
+            inputs[key] = list.filter(Number.isFinite);
+        } else if (typeof DEFAULT_INPUTS[key] === 'number') {
+            const num = typeof val === 'number' ? val : parseFloat(val);
+            inputs[key] = Number.isFinite(num) ? num : 0;
+        } else if (typeof DEFAULT_INPUTS[key] === 'string') {
+            inputs[key] = String(val ?? '');
+        } else {
+            inputs[key] = val;
+        }
+    }
+    return inputs;
+}
+
+// Limits on numeric inputs: { min, max, integer }, both bounds inclusive.
+// validateInputs and the form's validateForm both check against these, and
+// the min/max attributes in index.html mirror them (a test keeps them in step).
+const INPUT_LIMITS = {
+    initial_slips: { min: 1, integer: true },
+    planting_density: { min: 20000, max: 65000 },
+    tons_per_hectare: { min: 0.1, max: 40 },
+    tons_harvest_percent: { min: 0.01, max: 1 },
+    cycles_per_year: { min: 1, max: 4 },
+    days_to_harvest: { min: 30, max: 365 },
+    num_generations: { min: 1, max: 12, integer: true },
+    num_sub_generations: { min: 0, max: 8, integer: true },
+    yield_decline_rate: { min: 0, max: 1 },
+    dry_season_yield_loss: { min: 0, max: 1 },
+    fresh_slip_interval: { min: 0, max: 12, integer: true },
+    land_available_ha: { min: 0 },
+    potatoes_per_plant: { min: 1 },
+    vine_cuttings_per_plant: { min: 1 },
+    replant_percent: { min: 0.01, max: 1 },
+    slips_from_replant: { min: 1 },
+    slip_survival_rate: { min: 0.01, max: 1 },
+    crop_survival_rate: { min: 0.01, max: 1 },
+    storage_survival_rate: { min: 0.01, max: 1 },
+    storage_period_days: { min: 1, integer: true },
+    population_growth_rate: { min: 0, max: 1 },
+    people_to_feed: { min: 1 },
+    calorie_target_per_person: { min: 1 },
+    daily_vitamin_a_need: { min: 1 },
+    households: { min: 1, integer: true },
+    household_size: { min: 0.1 },
+    ofsp_energy_share: { min: 0.01, max: 1 },
+    calories_per_potato_with_leaves: { min: 1 },
+    grams_per_potato: { min: 1 },
+    grams_per_ton: { min: 1 },
+    vitamin_a_per_100g: { min: 0 },
+    leaf_tons_per_root_ton: { min: 0 },
+    acres_per_hectare: { min: 0.01 },
+    share_sold: { min: 0, max: 1 },
+    discount_rate: { min: 0, max: 1 },
+    economic_horizon_years: { min: 1, max: 50, integer: true },
+};
+
+/**
+ * Limits for a numeric input: its INPUT_LIMITS entry, or those shared by a
+ * family of generated fields (shares, nutrient values, exchange rates and
+ * money amounts).
+ */
+function inputLimits(field) {
+    if (INPUT_LIMITS[field]) return INPUT_LIMITS[field];
+    if (field.startsWith('composition_') || field.startsWith('population_share_') || field.endsWith('_retention')) return { min: 0, max: 1 };
+    if (field.startsWith('energy_need_') || field.startsWith('vitamin_a_need_')) return { min: 1 };
+    if (field.includes('_need_')) return { min: 0.001 };
+    if (field.startsWith('fx_')) return { min: 0.0001 };
+    return { min: 0 };
+}
+
+/**
+ * Why a numeric input value breaks its limits, or null when it is within them.
+ */
+function inputValueError(field, val) {
+    if (typeof val !== 'number' || !Number.isFinite(val)) return 'Must be a valid number';
+    const { min, max, integer } = inputLimits(field);
+    if (integer && !Number.isInteger(val)) return 'Must be a whole number';
+    if (min !== undefined && val < min) return `Minimum value is ${min}`;
+    if (max !== undefined && val > max) return `Maximum value is ${max}`;
+    return null;
+}
+
+/**
+ * Checks inputs against the model's hard rules (the DOM-independent part of
+ * validateForm). Returns a list of { field, message }; empty when valid.
+ */
+function validateInputs(inputs) {
+    const errors = [];
+
+    for (const [field, defaultVal] of Object.entries(DEFAULT_INPUTS)) {
+        const val = inputs[field];
+        if (field === 'land_expansion_ha') {
+            if (!Array.isArray(val) || val.some(v => !Number.isFinite(v) || v < 0)) {
+                errors.push({ field, message: 'Must be a list of hectares, zero or more' });
+            }
+            continue;
+        }
+        if (Array.isArray(defaultVal)) {
+            if (!Array.isArray(val) || val.length === 0 || val.some(v => !Number.isFinite(v) || v < 0 || v > 1)) {
+                errors.push({ field, message: 'Must be a list of fractions between 0 and 1' });
+            }
+            continue;
+        }
+        if (field === 'rainy_seasons') {
+            if (parseSeasonWindows(val) === null) {
+                errors.push({ field, message: 'Enter month ranges such as "Apr-Jun, Sep-Nov"' });
+            }
+            continue;
+        }
+        if (field === 'currency' || field.endsWith('_currency')) {
+            if (!CURRENCIES.some(c => c.code === val)) {
+                errors.push({ field, message: `Must be one of ${CURRENCIES.map(c => c.code).join(', ')}` });
+            }
+            continue;
+        }
+        if (field === 'excess_slip_rule') {
+            if (!EXCESS_SLIP_RULES.includes(val)) {
+                errors.push({ field, message: `Must be one of ${EXCESS_SLIP_RULES.join(', ')}` });
+            }
+            continue;
+        }
+        if (field === 'beneficiary_mode') {
+            if (!BENEFICIARY_MODES.includes(val)) {
+                errors.push({ field, message: `Must be one of ${BENEFICIARY_MODES.join(', ')}` });
+            }
+            continue;
+        }
+        const message = inputValueError(field, val);
+        if (message) errors.push({ field, message });
+    }
+
+    // In households mode the age/sex shares set the population groups (nutrientGroupShares)
+    if (inputs.beneficiary_mode === 'households') {
+        const femaleShare = inputs.composition_girls_10_19 + inputs.composition_women_20_59;
+        if (Number.isFinite(femaleShare) && inputs.population_share_pregnant_lactating > femaleShare + 0.001) {
+            errors.push({ field: 'population_share_pregnant_lactating', message: `Cannot exceed the girls 10-19 and women 20-59 shares (now ${Math.round(femaleShare * 1000) / 1000})` });
+        }
+    } else {
+        const shareTotal = POPULATION_GROUPS.reduce((sum, g) => sum + inputs[`population_share_${g.key}`], 0);
+        if (Number.isFinite(shareTotal) && Math.abs(shareTotal - 1) > 0.001) {
+            errors.push({ field: `population_share_${POPULATION_GROUPS[0].key}`, message: `Population shares must add up to 1 (now ${Math.round(shareTotal * 1000) / 1000})` });
+        }
+    }
+
+    const compositionTotal = DEMOGRAPHIC_GROUPS.reduce((sum, g) => sum + inputs[`composition_${g.key}`], 0);
+    if (Number.isFinite(compositionTotal) && Math.abs(compositionTotal - 1) > 0.001) {
+        errors.push({ field: `composition_${DEMOGRAPHIC_GROUPS[0].key}`, message: `Age/sex shares must add up to 1 (now ${Math.round(compositionTotal * 1000) / 1000})` });
+    }
+
+    if (inputs.start_date !== undefined && inputs.start_date !== '' && parseISODate(inputs.start_date) === null) {
+        errors.push({ field: 'start_date', message: 'Enter a date as YYYY-MM-DD' });
+    }
+    return errors;
+}
+
+// --- Scenario Files ---
+
+// Marks a scenario file exported by this tool and the layout it uses
+const SCENARIO_FILE_FORMAT = 'ofsp-scenarios';
+const SCENARIO_FILE_VERSION = 1;
+
+// Saved scenario keys that are not in DEFAULT_INPUTS but belong to the scenario
+const SCENARIO_EXTRA_KEYS = ['actuals', 'preset', 'start_date'];
+
+/**
+ * What an imported scenario does when one of the same name is already saved:
+ * saved under a new name ("Name (2)"), replace the saved one, or be left out.
+ */
+const SCENARIO_CONFLICT_RULES = ['rename', 'overwrite', 'skip'];
+
+// URL hash (or query string) parameter that carries a share link's inputs
+const SHARE_LINK_PARAM = 'scenario';
+
+/**
+ * Cleans one scenario's inputs from a file or share link. Returns
+ * { inputs, notes }: inputs is a complete input set (see normalizeInputs)
+ * with legacy and unknown keys dropped, and notes says, in plain words, what
+ * was dropped, which fields were missing and which values fail validation.
+ * Invalid values are kept so the form can flag them once loaded.
+ */
+function cleanScenarioInputs(raw) {
+    const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+    const isKnown = (key) => Object.prototype.hasOwnProperty.call(DEFAULT_INPUTS, key) || SCENARIO_EXTRA_KEYS.includes(key);
+    const legacy = Object.keys(source).filter(key => LEGACY_INPUT_KEYS.includes(key));
+    const unknown = Object.keys(source).filter(key => !isKnown(key) && !LEGACY_INPUT_KEYS.includes(key));
+    const missing = Object.keys(DEFAULT_INPUTS).filter(key => !(key in source));
+
+    const inputs = normalizeInputs(Object.fromEntries(Object.entries(source).filter(([key]) => isKnown(key))));
+    if (typeof inputs.start_date !== 'string' || inputs.start_date.trim() === '') {
+        delete inputs.start_date;
+    }
+    const preset = inputs.preset;
+    if (preset && typeof preset === 'object' && typeof preset.id === 'string') {
+        inputs.preset = {
+            id: preset.id,
+            name: typeof preset.name === 'string' ? preset.name : preset.id,
+            version: Math.max(1, Math.round(Number(preset.version) || 1)),
+        };
+    } else {
+        delete inputs.preset;
+    }
+
+    const notes = [];
+    if (legacy.length > 0) notes.push(`dropped legacy fields ${legacy.join(', ')}`);
+    if (unknown.length > 0) notes.push(`ignored unknown fields ${unknown.join(', ')}`);
+    if (missing.length > 0) notes.push(`${missing.length} field${missing.length === 1 ? '' : 's'} missing, defaults used`);
+    for (const e of validateInputs(inputs)) notes.push(`${e.field} — ${e.message}`);
+    return { inputs, notes };
+}
+
+/**
+ * Scenario file contents for a list of { name, inputs } with, optionally, the
+ * library's description, tags and author.
+ */
+function buildScenarioFile(scenarios) {
+    return {
+        format: SCENARIO_FILE_FORMAT,
+        format_version: SCENARIO_FILE_VERSION,
+        scenarios: scenarios.map(s => ({
+            name: s.name,
+            description: s.description || '',
+            tags: s.tags || [],
+            author: s.author || '',
+            inputs: s.inputs,
+        })),
+    };
+}
+
+/**
+ * Reads a scenario file (parsed JSON). Besides a full file this accepts a
+ * single { name, inputs } object, a bare input set, and the { name: inputs }
+ * map older versions kept saved scenarios in. Returns { scenarios, errors },
+ * where scenarios are { name, description, tags, author, inputs } with inputs
+ * cleaned (see cleanScenarioInputs) and errors lists the cleaning notes by
+ * scenario name.
+ */
+function parseScenarioFile(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { scenarios: [], errors: ['Not a scenario file'] };
+    }
+    if (data.format === SCENARIO_FILE_FORMAT && data.format_version > SCENARIO_FILE_VERSION) {
+        errors.push(`File is format version ${data.format_version}; this version reads up to ${SCENARIO_FILE_VERSION}, newer fields are ignored`);
+    }
+    let list;
+    if (Array.isArray(data.scenarios)) {
+        list = data.scenarios;
+    } else if (data.inputs && typeof data.inputs === 'object') {
+        list = [data];
+    } else if (Object.keys(data).some(key => Object.prototype.hasOwnProperty.call(DEFAULT_INPUTS, key))) {
+        list = [{ inputs: data }];
+    } else {
+        list = Object.entries(data).map(([name, inputs]) => ({ name, inputs }));
+    }
+
+    const scenarios = [];
+    list.forEach((raw, i) => {
+        const label = raw && typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `Imported scenario ${i + 1}`;
+        if (!raw || !raw.inputs || typeof raw.inputs !== 'object' || Array.isArray(raw.inputs)) {
+            errors.push(`${label}: no inputs`);
+            return;
+        }
+        const { inputs, notes } = cleanScenarioInputs(raw.inputs);
+        for (const note of notes) errors.push(`${label}: ${note}`);
+        const text = (val) => (typeof val === 'string' ? val.trim() : '');
+        scenarios.push({ name: label, description: text(raw.description), tags: parseTags(raw.tags), author: text(raw.author), inputs });
+    });
+    return { scenarios, errors };
+}
+
+/**
+ * Adds imported { name, inputs } scenarios to a saved { name: inputs } map,
+ * resolving name clashes with one of SCENARIO_CONFLICT_RULES. Returns
+ * { scenarios, added, renamed, overwritten, skipped }: the new map (saved is
+ * not changed), the names added as-is, { from, to } pairs for renamed
+ * scenarios, and the names replaced or left out.
+ */
+function mergeScenarios(saved, imported, rule) {
+    const scenarios = { ...saved };
+    const result = { scenarios, added: [], renamed: [], overwritten: [], skipped: [] };
+    const taken = (name) => Object.prototype.hasOwnProperty.call(scenarios, name);
+    for (const { name, inputs } of imported) {
+        if (!taken(name)) {
+            scenarios[name] = inputs;
+            result.added.push(name);
+        } else if (rule === 'overwrite') {
+            scenarios[name] = inputs;
+            result.overwritten.push(name);
+        } else if (rule === 'rename') {
+            let n = 2;
+            while (taken(`${name} (${n})`)) n++;
+            scenarios[`${name} (${n})`] = inputs;
+            result.renamed.push({ from: name, to: `${name} (${n})` });
+        } else {
+            result.skipped.push(name);
+        }
+    }
+    return result;
+}
+
+/**
+ * Encodes an input set for a share link: UTF-8 JSON as URL-safe base64, so
+ * text inputs and preset names survive any character.
+ */
+function encodeShareLink(inputs) {
+    const bytes = new TextEncoder().encode(JSON.stringify(inputs));
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Reverses encodeShareLink. Returns the raw input object, or null when the
+ * text is not a share link; pass the result through cleanScenarioInputs.
+ */
+function decodeShareLink(text) {
+    try {
+        const base64 = String(text).replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+    } catch {
+        return null;
+    }
+}
+
+// --- Scenario Library ---
+
+/**
+ * Results kept with every saved revision, so the library can be browsed and
+ * revisions compared without re-running them. Money is in the model currency.
+ */
+const SNAPSHOT_METRICS = [
+    { key: 'total_tons', label: 'Tons Harvested', money: false },
+    { key: 'total_days_fed', label: 'Days Fed', money: false },
+    { key: 'total_cost', label: 'Total Cost', money: true },
+    { key: 'cost_per_person_per_day', label: 'Cost per Person per Day', money: true },
+    { key: 'npv', label: 'NPV', money: true },
+];
+
+/**
+ * Runs a scenario and keeps its SNAPSHOT_METRICS values, or returns null
+ * when the inputs fail validation.
+ */
+function scenarioSnapshot(inputs) {
+    const clean = normalizeInputs(inputs);
+    if (validateInputs(clean).length > 0) return null;
+    const results = calculateSimulation(clean);
+    return Object.fromEntries(SNAPSHOT_METRICS.map(m => [m.key, results[m.key]]));
+}
+
+/**
+ * Splits a comma-separated tag list (or cleans an array of tags), dropping
+ * blanks and repeats.
+ */
+function parseTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim()).filter(tag => tag !== ''))];
+}
+
+/**
+ * Cleans a stored scenario library record into
+ * { name, description, tags, author, created, modified, preset, revisions },
+ * with revisions oldest first as { revision, saved, author, note, inputs,
+ * snapshot }. preset is the preset the scenario started from. A bare inputs
+ * object (a scenario saved before the library existed) becomes a record with
+ * one undated revision.
+ */
+function normalizeScenarioRecord(raw, name) {
+    const text = (val) => (typeof val === 'string' ? val.trim() : '');
+    const legacy = !raw || !Array.isArray(raw.revisions);
+    const rawRevisions = legacy ? [{ inputs: raw || {} }] : raw.revisions.filter(r => r && r.inputs && typeof r.inputs === 'object');
+    const revisions = rawRevisions.map((r, i) => ({
+        revision: i + 1,
+        saved: text(r.saved) || null,
+        author: text(r.author),
+        note: text(r.note),
+        inputs: r.inputs,
+        snapshot: r.snapshot && typeof r.snapshot === 'object' ? r.snapshot : scenarioSnapshot(r.inputs),
+    }));
+    if (revisions.length === 0) {
+        revisions.push({ revision: 1, saved: null, author: '', note: '', inputs: {}, snapshot: scenarioSnapshot({}) });
+    }
+    const preset = !legacy && raw.preset ? raw.preset : (revisions[0].inputs.preset || null);
+    return {
+        name: (!legacy && text(raw.name)) || name,
+        description: legacy ? '' : text(raw.description),
+        tags: legacy ? [] : parseTags(raw.tags),
+        author: legacy ? '' : text(raw.author),
+        created: legacy ? null : (text(raw.created) || revisions[0].saved),
+        modified: legacy ? null : (text(raw.modified) || revisions[revisions.length - 1].saved),
+        preset: preset && typeof preset.id === 'string' ? { id: preset.id, name: preset.name || preset.id, version: preset.version || 1 } : null,
+        revisions,
+    };
+}
+
+/**
+ * A record's newest revision.
+ */
+function latestRevision(record) {
+    return record.revisions[record.revisions.length - 1];
+}
+
+/**
+ * Saves inputs as the next revision of record, or as revision 1 of a new
+ * record called name when record is null. details may set the record's
+ * description, tags and author, and note says why the revision was saved.
+ * Returns a new record; the one passed in is not changed.
+ */
+function addScenarioRevision(record, name, inputs, details = {}, now = new Date().toISOString()) {
+    const base = record || {
+        name, description: '', tags: [], author: '', created: now, modified: now,
+        preset: inputs.preset ? { ...inputs.preset } : null, revisions: [],
+    };
+    const author = details.author !== undefined ? String(details.author).trim() : base.author;
+    return {
+        ...base,
+        description: details.description !== undefined ? String(details.description).trim() : base.description,
+        tags: details.tags !== undefined ? parseTags(details.tags) : base.tags,
+        author,
+        modified: now,
+        preset: base.preset || (inputs.preset ? { ...inputs.preset } : null),
+        revisions: [...base.revisions, {
+            revision: base.revisions.length + 1,
+            saved: now,
+            author,
+            note: String(details.note ?? '').trim(),
+            inputs,
+            snapshot: scenarioSnapshot(inputs),
+        }],
+    };
+}
+
+/**
+ * Lists the inputs that differ between two input sets as { field, from, to },
+ * in DEFAULT_INPUTS order followed by the start date, actuals and preset.
+ * Missing fields count as their defaults; blank and empty values as unset.
+ */
+function diffScenarioInputs(a, b) {
+    const from = normalizeInputs(a);
+    const to = normalizeInputs(b);
+    const unset = (val) => val === undefined || val === null || val === ''
+        || (typeof val === 'object' && !Array.isArray(val) && Object.keys(val).length === 0);
+    const comparable = (val) => (unset(val) ? null : val);
+    return [...Object.keys(DEFAULT_INPUTS), ...SCENARIO_EXTRA_KEYS]
+        .filter(field => JSON.stringify(comparable(from[field])) !== JSON.stringify(comparable(to[field])))
+        .map(field => ({ field, from: comparable(from[field]), to: comparable(to[field]) }));
+}
+
+// --- Simulation ---
+
+/**
+ * Calculates a single generation's harvest and cost.
+ *
+ * Area is derived from slips / planting density (not manually specified).
+ * Yield formula: tons = (slips / density) * yield_per_ha * harvest% * yieldFraction
+ *
+ * isSubGen: true for vine-cutting sub-generations (1a/1b/1c etc.)
+ *   Sub-gens yield a reduced fraction (yieldFraction) and only incur
+ *   maintenance costs (no land clearing, forking, herbicide, slip purchase).
+ *
+ * actual: optional field record for this generation (see ACTUAL_FIELDS).
+ *   Each recorded value replaces the modelled one, and the remaining figures
+ *   are derived from it - e.g. days fed follow the actual harvest tonnage.
+ *
+ * share_sold of the harvest goes to market at price_root_per_ton
+ * (tons_sold, root_revenue); days fed and vitamin A count only the rest.
+ * Days fed are against the whole population's daily calorie need and VA
+ * child-days against one young child's vitamin A need (see beneficiaryNeeds).
+ * Other nutrients are in gen.nutrients (see calcNutrients).
+ */
+function calcGeneration(name, slipsPlanted, inputs, costPerHectareNoSlips, maintenanceCostPerHectare, includeSlipCost, isSubGen, yieldFraction, actual) {
+    isSubGen = isSubGen || false;
+    // A configured sub-gen fraction of 0 is legitimate, so only default when omitted
+    yieldFraction = yieldFraction === undefined ? 1.0 : yieldFraction;
+    actual = actual || {};
+    const recorded = (key) => Number.isFinite(actual[key]);
+    if (recorded('slips_planted')) slipsPlanted = actual.slips_planted;
+
+    // Derive area from slips and planting density
+    const plantingDensity = inputs.planting_density || 33000;
+    const hectares = recorded('hectares')
+        ? actual.hectares
+        : (plantingDensity > 0 ? slipsPlanted / plantingDensity : 0);
+
+    // Area-based yield: tons = area * yield_per_ha * harvest% * yieldFraction
+    const tonsHarvested = recorded('tons_harvested')
+        ? actual.tons_harvested
+        : hectares * inputs.tons_per_hectare * inputs.tons_harvest_percent * yieldFraction;
+    const potatoesHarvested = inputs.grams_per_potato > 0
+        ? (tonsHarvested * inputs.grams_per_ton) / inputs.grams_per_potato
+        : 0;
+
+    const caloriesPerTon = inputs.grams_per_ton > 0 && inputs.grams_per_potato > 0
+        ? (inputs.grams_per_ton / inputs.grams_per_potato) * inputs.calories_per_potato_with_leaves
+        : 0;
+    // Roots sold leave the target population's supply (older scenarios predate share_sold)
+    const tonsSold = tonsHarvested * (inputs.share_sold || 0);
+    const tonsKept = tonsHarvested - tonsSold;
+    const needs = beneficiaryNeeds(inputs);
+    const calories = tonsKept * caloriesPerTon;
+    const daysFed = needs.calories_per_day > 0
+        ? calories / needs.calories_per_day
+        : 0;
+
+    let cost;
+    if (recorded('cost')) {
+        cost = actual.cost;
+    } else if (isSubGen) {
+        cost = maintenanceCostPerHectare * hectares;
+    } else {
+        const slipCost = includeSlipCost ? slipsPlanted * inputs.cost_slip_per_unit : 0;
+        cost = (costPerHectareNoSlips * hectares) + slipCost;
+    }
+
+    // Vitamin A: mcg RAE produced = tons * grams_per_ton / 100 * vitamin_a_per_100g
+    const vitaminAMcg = (inputs.vitamin_a_per_100g > 0)
+        ? tonsKept * inputs.grams_per_ton / 100 * inputs.vitamin_a_per_100g
+        : 0;
+    const vitaminAChildDays = (needs.child_vitamin_a_need > 0)
+        ? vitaminAMcg / needs.child_vitamin_a_need
+        : 0;
+    const nutrients = calcNutrients(tonsKept, tonsHarvested, inputs);
+
+    return {
+        name,
+        hectares,
+        slips_planted: slipsPlanted,
+        // Surviving plants; recorded counts are what calibration fits slip survival against
+        plants_established: recorded('plants_established') ? actual.plants_established : slipsPlanted * inputs.slip_survival_rate,
+        potatoes_harvested: potatoesHarvested,
+        tons_harvested: tonsHarvested,
+        tons_sold: tonsSold,
+        root_revenue: tonsSold * (inputs.price_root_per_ton || 0),
+        calories,
+        days_fed: daysFed,
+        vitamin_a_mcg: vitaminAMcg,
+        vitamin_a_child_days: vitaminAChildDays,
+        nutrients,
+        cost,
+        has_actuals: ACTUAL_FIELDS.some(f => recorded(f.key)),
+    };
+}
+
+/**
+ * Letter suffix for a sub-generation index: 0 -> 'a', 1 -> 'b', ...
+ */
+function subGenLetter(index) {
+    return String.fromCharCode(97 + index);
+}
+
+/**
+ * Stable id for a generation, used to key field actuals: '1', '1a', '2c', ...
+ */
+function generationId(generation, subGeneration) {
+    return subGeneration > 0 ? `${generation}${subGenLetter(subGeneration - 1)}` : String(generation);
+}
+
+/**
+ * The main calculation engine, ported from the spreadsheet logic.
+ *
+ * The chain runs num_generations main generations (default 3). Each main
+ * generation is followed by num_sub_generations vine-cutting harvests
+ * (default 3) from the same land, yielding the fractions in sub_gen_yields
+ * (default 40%, 25%, 15%) and only incurring maintenance costs
+ * (no land prep / slip purchase).
+ *
+ * Seed degeneration: each replanted generation yields yield_decline_rate less
+ * than the one before it (virus build-up), and its vine cuttings inherit the
+ * same decline. Every fresh_slip_interval generations the stock is replaced
+ * with purchased clean slips, which resets the decline and charges
+ * cost_slip_per_unit for them (gen.fresh_slip_refresh).
+ *
+ * Dry season: a planting loses dry_season_yield_loss of its yield times the
+ * share of its growing days outside rainy_seasons (of the year, without a
+ * start_date), less the share irrigation makes up (see irrigationCoverage).
+ * gen.dry_season_factor is the yield it keeps.
+ *
+ * Land: with land_available_ha set (0 = unlimited), each planting is capped at
+ * the land available to its generation, which grows by land_expansion_ha[g - 1]
+ * hectares from main generation g. Slips that do not fit follow
+ * excess_slip_rule. Main generations reuse land cleared for earlier ones and
+ * only pay cost_land_clearing_per_acre on hectares cleared for the first time.
+ *
+ * Days fed: total_days_fed is the days on which the daily food balance (see
+ * runFoodBalance) met the whole population's need, and cost_per_person_per_day
+ * divides the cost by those person-days. Each generation's days_fed is the
+ * lump sum its harvest could feed; harvest_days_fed adds them up.
+ *
+ * The annual projection divides total output by the time the propagation
+ * chain actually takes, then scales to 365 days — instead of naively
+ * multiplying by cycles_per_year. Annual days fed stop at 365.
+ *
+ * inputs.actuals holds what was observed in the field, keyed by generation
+ * id. Recorded values replace the model's, so generations after a real
+ * harvest are re-forecast from it rather than from the modelled one.
+ *
+ * Beneficiaries: with population_growth_rate set, each generation's days fed
+ * are against the population at its harvest. results.beneficiaries has the
+ * share of the starting population's need a year of output meets, overall
+ * and by group (see calcCoverage).
+ *
+ * Money inputs are converted from their currency tags first, so every money
+ * result (and recorded actual cost) is in US dollars.
+ */
+function calculateSimulation(inputs) {
+    inputs = toModelCurrency(inputs);
+
+    // --- Cost per hectare (excluding slips) - full prep for main generations ---
+    const laborPerAcre = inputs.cost_land_clearing_per_acre + inputs.cost_forking_per_acre +
+        inputs.cost_planting_per_acre + inputs.cost_weeding_per_acre +
+        inputs.cost_fertilizer_app_per_acre + inputs.cost_harvesting_per_acre;
+
+    const suppliesPerAcre = inputs.cost_herbicide_per_acre + inputs.cost_fertilizer_per_acre +
+        inputs.cost_tools_per_acre + inputs.cost_other_per_acre +
+        inputs.cost_transport_per_acre;
+
+    const costPerHectareNoSlips = (laborPerAcre + suppliesPerAcre + inputs.cost_irrigation_per_acre) * inputs.acres_per_hectare;
+
+    // --- Maintenance-only cost for sub-gens (weeding, fertilizer app, harvesting, transport) ---
+    const maintenancePerAcre = inputs.cost_weeding_per_acre + inputs.cost_fertilizer_app_per_acre +
+        inputs.cost_harvesting_per_acre + inputs.cost_transport_per_acre;
+    const maintenanceCostPerHectare = maintenancePerAcre * inputs.acres_per_hectare;
+
+    // --- Chain shape (older scenarios predate these inputs and fall back to 3 x 3) ---
+    const numGenerations = Math.max(1, Math.round(inputs.num_generations ?? 3));
+    // Sub-generation yield fractions (declining ratoon harvests)
+    const subGenYields = Array.isArray(inputs.sub_gen_yields) && inputs.sub_gen_yields.length > 0
+        ? inputs.sub_gen_yields
+        : DEFAULT_SUB_GEN_YIELDS;
+    const numSubGenerations = Math.max(0, Math.round(inputs.num_sub_generations ?? subGenYields.length));
+
+    // Field records keyed by generation id; later generations re-forecast from them
+    const actuals = inputs.actuals || {};
+
+    // Seed degeneration (older scenarios predate these inputs: no decline, no refresh)
+    const declineRate = inputs.yield_decline_rate || 0;
+    const refreshInterval = Math.max(0, Math.round(inputs.fresh_slip_interval || 0));
+
+    // Dry-season losses (older scenarios predate these inputs: no loss). Without a start
+    // date the calendar starts on the day it is drawn, so every planting counts the dry
+    // share of a whole (non-leap) year rather than its own
+    const dryLoss = (inputs.dry_season_yield_loss || 0) * (1 - irrigationCoverage(inputs));
+    const seasonWindows = dryLoss > 0 ? parseSeasonWindows(inputs.rainy_seasons) || [] : [];
+    const seasonStart = parseISODate(inputs.start_date);
+    const seasonDays = inputs.days_to_harvest || 120;
+    const yearDryShare = seasonWindows.length > 0 && !seasonStart
+        ? 1 - rainyDayShare(seasonWindows, new Date(Date.UTC(2001, 0, 1)), 365)
+        : 0;
+    const dryFactor = (gen) => {
+        if (seasonWindows.length === 0) return 1;
+        const dry = seasonStart
+            ? 1 - rainyDayShare(seasonWindows, addDays(seasonStart, plantingDay(gen, seasonDays)), seasonDays)
+            : yearDryShare;
+        return 1 - dryLoss * dry;
+    };
+
+    // Land (older scenarios predate these inputs: unlimited land, everything is planted)
+    const landLimited = inputs.land_available_ha > 0;
+    const landExpansion = Array.isArray(inputs.land_expansion_ha) ? inputs.land_expansion_ha : [];
+    const excessRule = EXCESS_SLIP_RULES.includes(inputs.excess_slip_rule) ? inputs.excess_slip_rule : 'discard';
+    const vinePrice = inputs.price_vine_per_cutting || 0;
+    const slipsPerHectare = inputs.planting_density || 33000;
+    const clearingCostPerHectare = inputs.cost_land_clearing_per_acre * inputs.acres_per_hectare;
+    let clearedHectares = 0;
+    let slipsStored = 0;
+    let slipsSold = 0;
+    let slipsDiscarded = 0;
+    let landBindingGeneration = null;
+
+    // Caps a planting at the land available; the slips that do not fit follow the excess rule
+    const fitToLand = (slips, landHectares, name) => {
+        if (!landLimited) return { planted: slips, excess: 0 };
+        const planted = Math.min(slips, landHectares * slipsPerHectare);
+        const excess = slips - planted;
+        if (excess > 0) {
+            if (landBindingGeneration === null) landBindingGeneration = name;
+            if (excessRule === 'store') slipsStored += excess;
+            else if (excessRule === 'sell') slipsSold += excess;
+            else slipsDiscarded += excess;
+        }
+        return { planted, excess };
+    };
+    const landFields = (gen, landHectares, excess) => {
+        const vineRevenue = excessRule === 'sell' ? excess * vinePrice : 0;
+        return {
+            land_available_ha: landLimited ? landHectares : null,
+            land_utilisation: landLimited ? gen.hectares / landHectares : null,
+            slips_excess: excess,
+            vine_revenue: vineRevenue,
+            revenue: gen.root_revenue + vineRevenue,
+        };
+    };
+
+    const allGens = [];
+    let slipsPlanted = inputs.initial_slips;
+    let generationsSinceClean = 0;
+
+    for (let g = 1; g <= numGenerations; g++) {
+        // Generation 1 is purchased slips; later generations are replanted tubers from the previous one,
+        // except that every refreshInterval generations the stock is bought clean again
+        const freshSlipRefresh = g > 1 && refreshInterval > 0 && (g - 1) % refreshInterval === 0;
+        generationsSinceClean = g === 1 || freshSlipRefresh ? 0 : generationsSinceClean + 1;
+        const yieldFactor = Math.pow(1 - declineRate, generationsSinceClean);
+        const mainDryFactor = dryFactor({ generation: g, sub_generation: 0, is_sub_gen: false });
+
+        // Slips stored from the previous generation join this planting, less nursery losses
+        if (slipsStored > 0) {
+            slipsPlanted += slipsStored * inputs.slip_survival_rate;
+            slipsStored = 0;
+        }
+        const landHectares = (inputs.land_available_ha || 0) + landExpansion.slice(0, g).reduce((sum, ha) => sum + ha, 0);
+
+        const mainId = generationId(g, 0);
+        const mainName = `Generation ${g}`;
+        const mainFit = fitToLand(slipsPlanted, landHectares, mainName);
+        const mainGen = {
+            ...calcGeneration(mainName, mainFit.planted, inputs, costPerHectareNoSlips, maintenanceCostPerHectare, g === 1 || freshSlipRefresh, false, yieldFactor * mainDryFactor, actuals[mainId]),
+            id: mainId,
+            generation: g,
+            sub_generation: 0,
+            is_sub_gen: false,
+            yield_factor: yieldFactor,
+            dry_season_factor: mainDryFactor,
+            fresh_slip_refresh: freshSlipRefresh,
+        };
+        Object.assign(mainGen, landFields(mainGen, landHectares, mainFit.excess));
+
+        // Land cleared for an earlier main generation is reused without clearing it again
+        mainGen.land_reused_ha = Math.min(mainGen.hectares, clearedHectares);
+        if (!(actuals[mainId] && Number.isFinite(actuals[mainId].cost))) {
+            mainGen.cost -= clearingCostPerHectare * mainGen.land_reused_ha;
+        }
+        clearedHectares = Math.max(clearedHectares, mainGen.hectares);
+        allGens.push(mainGen);
+
+        // Vine cutting regrowth from this generation's plants
+        // Vine cutting slips use crop_survival (not slip_survival again) to avoid double-penalizing
+        const vineCuttingSlips = mainGen.potatoes_harvested > 0
+            ? (mainGen.slips_planted * inputs.crop_survival_rate) * inputs.vine_cuttings_per_plant
+            : 0;
+        for (let s = 0; s < numSubGenerations; s++) {
+            // Sub-gens beyond the supplied fractions repeat the last one
+            const yieldFraction = subGenYields[Math.min(s, subGenYields.length - 1)];
+            const subId = generationId(g, s + 1);
+            const subName = `Gen ${g}${subGenLetter(s)} (vine)`;
+            const subFit = fitToLand(vineCuttingSlips, landHectares, subName);
+            const subDryFactor = dryFactor({ generation: g, sub_generation: s + 1, is_sub_gen: true });
+            const subGen = {
+                ...calcGeneration(subName, subFit.planted, inputs, costPerHectareNoSlips, maintenanceCostPerHectare, false, true, yieldFraction * yieldFactor * subDryFactor, actuals[subId]),
+                id: subId,
+                generation: g,
+                sub_generation: s + 1,
+                is_sub_gen: true,
+                yield_factor: yieldFactor,
+                dry_season_factor: subDryFactor,
+                fresh_slip_refresh: false,
+                land_reused_ha: 0,
+            };
+            allGens.push(Object.assign(subGen, landFields(subGen, landHectares, subFit.excess)));
+        }
+
+        slipsPlanted = mainGen.potatoes_harvested * inputs.replant_percent * inputs.slips_from_replant;
+    }
+
+    // A growing population needs more each day, so later harvests feed it for fewer days
+    if (inputs.population_growth_rate > 0) {
+        const daysToHarvest = inputs.days_to_harvest || 120;
+        for (const gen of allGens) {
+            const growth = populationGrowthFactor(inputs, plantingDay(gen, daysToHarvest) + daysToHarvest);
+            gen.days_fed /= growth;
+            for (const nutrient of Object.values(gen.nutrients)) nutrient.days_covered /= growth;
+        }
+    }
+
+    const needs = beneficiaryNeeds(inputs);
+    const harvestDaysFed = allGens.reduce((sum, g) => sum + g.days_fed, 0);
+    const totalCost = allGens.reduce((sum, g) => sum + g.cost, 0);
+    const totalTons = allGens.reduce((sum, g) => sum + g.tons_harvested, 0);
+    const totalHectares = allGens.reduce((sum, g) => sum + g.hectares, 0);
+
+    // Headline days fed come from the daily food balance: days on which the
+    // stock met everyone's whole need, after replanting, sales and storage losses
+    const food = runFoodBalance(inputs, allGens, false);
+    const totalDaysFed = food.fully_covered_days;
+    const costPerPersonFullPeriod = needs.people > 0 ? totalCost / needs.people : 0;
+    const costPerPersonPerDay = (totalDaysFed > 0 && needs.people > 0)
+        ? totalCost / (totalDaysFed * needs.people)
+        : 0;
+
+    const totalVitaminAChildDays = allGens.reduce((sum, g) => sum + g.vitamin_a_child_days, 0);
+    const childrenAnnualVaMet = totalVitaminAChildDays > 0 ? Math.floor(totalVitaminAChildDays / 365) : 0;
+
+    // --- Annual projection ---
+    // Each main generation takes days_to_harvest. Sub-gens overlap (ratoon from same land).
+    // The full chain (Gen1 + subs → Gen2 + subs → ... → GenN + subs) spans N main cycles.
+    const cyclesPerYear = inputs.cycles_per_year || 1;
+    const daysPerCycle = inputs.days_to_harvest || 120;
+    // Sub-gens overlap with their parent's cycle
+    const totalChainDays = numGenerations * daysPerCycle;
+    const annualScaleFactor = Math.min(365 / totalChainDays, cyclesPerYear);
+    const annualTons = totalTons * annualScaleFactor;
+    // A year has at most 365 days to feed
+    const annualDaysFed = Math.min(365, totalDaysFed * annualScaleFactor);
+    const annualCost = totalCost * annualScaleFactor;
+    const beneficiaries = calcCoverage(
+        needs,
+        allGens.reduce((sum, g) => sum + g.calories, 0) * annualScaleFactor,
+        allGens.reduce((sum, g) => sum + g.vitamin_a_mcg, 0) * annualScaleFactor,
+    );
+
+    const economics = calcEconomics(inputs, allGens, totalCost, annualScaleFactor);
+
+    return {
+        all_gens: allGens,
+        num_generations: numGenerations,
+        num_sub_generations: numSubGenerations,
+        total_days_fed: totalDaysFed,
+        harvest_days_fed: harvestDaysFed,
+        total_cost: totalCost,
+        total_tons: totalTons,
+        total_hectares: totalHectares,
+        cost_per_person_full_period: costPerPersonFullPeriod,
+        cost_per_person_per_day: costPerPersonPerDay,
+        total_vitamin_a_child_days: totalVitaminAChildDays,
+        children_annual_va_met: childrenAnnualVaMet,
+        beneficiaries,
+        total_nutrients: sumNutrients(allGens),
+        cycles_per_year: cyclesPerYear,
+        chain_days: totalChainDays,
+        annual_scale_factor: annualScaleFactor,
+        annual_tons: annualTons,
+        annual_days_fed: annualDaysFed,
+        annual_cost: annualCost,
+        land_binding_generation: landBindingGeneration,
+        slips_stored: slipsStored,
+        slips_sold: slipsSold,
+        slip_sales: slipsSold * vinePrice,
+        slips_discarded: slipsDiscarded,
+        storage_decay_per_day: food.decay_per_day,
+        food_days_covered: food.days_covered,
+        food_fully_covered_days: food.fully_covered_days,
+        hungry_gap_days: food.hungry_gap_days,
+        peak_stock_tons: food.peak_stock_tons,
+        storage_loss_tons: food.storage_loss_tons,
+        ...economics,
+    };
+}
+
+// --- Beneficiaries ---
+
+/**
+ * Who is fed and what they need each day at the start of the chain.
+ *
+ * Returns { mode, people, households, calories_per_day, vitamin_a_per_day,
+ * child_vitamin_a_need, groups }, where groups lists each group's people and
+ * per-person daily calorie target and vitamin A need. In 'people' mode there
+ * is one group, everyone, at calorie_target_per_person and
+ * daily_vitamin_a_need. In 'households' mode each age/sex group's calorie
+ * target is ofsp_energy_share of its energy requirement, and the child
+ * vitamin A need is that of the youngest group.
+ * Scenarios saved before household mode existed are in 'people' mode.
+ */
+function beneficiaryNeeds(inputs) {
+    if (inputs.beneficiary_mode !== 'households') {
+        return {
+            mode: 'people',
+            people: inputs.people_to_feed,
+            households: null,
+            calories_per_day: inputs.people_to_feed * inputs.calorie_target_per_person,
+            vitamin_a_per_day: inputs.people_to_feed * inputs.daily_vitamin_a_need,
+            child_vitamin_a_need: inputs.daily_vitamin_a_need,
+            groups: [{
+                key: 'everyone',
+                label: 'Everyone',
+                people: inputs.people_to_feed,
+                calories_per_person: inputs.calorie_target_per_person,
+                vitamin_a_per_person: inputs.daily_vitamin_a_need,
+            }],
+        };
+    }
+
+    const people = inputs.households * inputs.household_size;
+    const groups = DEMOGRAPHIC_GROUPS.map(group => ({
+        key: group.key,
+        label: group.label,
+        people: people * inputs[`composition_${group.key}`],
+        calories_per_person: inputs[`energy_need_${group.key}`] * inputs.ofsp_energy_share,
+        vitamin_a_per_person: inputs[`vitamin_a_need_${group.key}`],
+    }));
+    return {
+        mode: 'households',
+        people,
+        households: inputs.households,
+        calories_per_day: groups.reduce((sum, g) => sum + g.people * g.calories_per_person, 0),
+        vitamin_a_per_day: groups.reduce((sum, g) => sum + g.people * g.vitamin_a_per_person, 0),
+        child_vitamin_a_need: groups[0].vitamin_a_per_person,
+        groups,
+    };
+}
+
+/**
+ * How many times larger the population is `day` days after the start,
+ * growing at population_growth_rate a year.
+ */
+function populationGrowthFactor(inputs, day) {
+    return Math.pow(1 + (inputs.population_growth_rate || 0), day / 365);
+}
+
+/**
+ * Share of need met by a year's calories and vitamin A (mcg RAE).
+ *
+ * Shared across the population in proportion to need, every group has its
+ * need met in the same share as the whole population (calorie_share_met,
+ * vitamin_a_share_met). Each group also reports what the same supply would do
+ * if it went to that group alone: the people whose need it would meet
+ * (calorie_people_covered, vitamin_a_people_covered), up to everyone in the
+ * group, and the group's own share of need met. Shares are capped at 1.
+ */
+function calcCoverage(needs, annualCalories, annualVitaminA) {
+    const share = (supplied, needed) => (needed > 0 ? Math.min(supplied / needed, 1) : 0);
+    const groups = needs.groups.map(group => {
+        const caloriePeople = group.calories_per_person > 0 ? annualCalories / (group.calories_per_person * 365) : 0;
+        const vitaminAPeople = group.vitamin_a_per_person > 0 ? annualVitaminA / (group.vitamin_a_per_person * 365) : 0;
+        return {
+            ...group,
+            calorie_people_covered: Math.min(caloriePeople, group.people),
+            calorie_share_met: share(caloriePeople, group.people),
+            vitamin_a_people_covered: Math.min(vitaminAPeople, group.people),
+            vitamin_a_share_met: share(vitaminAPeople, group.people),
+        };
+    });
+    return {
+        ...needs,
+        annual_calories: annualCalories,
+        annual_vitamin_a_mcg: annualVitaminA,
+        calorie_share_met: share(annualCalories, needs.calories_per_day * 365),
+        vitamin_a_share_met: share(annualVitaminA, needs.vitamin_a_per_day * 365),
+        groups,
+    };
+}
+
+// --- Nutrition ---
+
+/**
+ * Share of the people to feed in each POPULATION_GROUPS group, which weights
+ * their nutrient needs. In 'people' mode these are the population_share_*
+ * inputs. In 'households' mode the age/sex shares are the one source of who
+ * is fed: children under 5 are composition_children_0_4, pregnant and
+ * lactating women keep their own share (they are counted among the girls and
+ * women) and adults are everyone else.
+ */
+function nutrientGroupShares(inputs) {
+    const value = (key) => (Number.isFinite(inputs[key]) ? inputs[key] : DEFAULT_INPUTS[key]);
+    if (inputs.beneficiary_mode !== 'households') {
+        return Object.fromEntries(POPULATION_GROUPS.map(group => [group.key, value(`population_share_${group.key}`)]));
+    }
+    const children = value('composition_children_0_4');
+    const pregnant = value('population_share_pregnant_lactating');
+    return { children_under_5: children, pregnant_lactating: pregnant, adults: 1 - children - pregnant };
+}
+
+/**
+ * Nutrients supplied by one generation's roots and leaves, after cooking.
+ *
+ * Roots count only what is eaten (tonsEaten: the harvest less roots sold);
+ * leaves are picked at leaf_tons_per_root_ton of the whole harvest.
+ * Returns { <nutrient>: { supplied, person_days, days_covered } } where
+ * supplied is in the nutrient's unit, person_days maps each population group
+ * to the days of that group's need the supply would meet for one person (as
+ * VA child-days do for vitamin A) and days_covered is how many days it meets
+ * the whole population's need, weighting each group's need by its share
+ * (nutrientGroupShares).
+ * Scenarios saved before these inputs existed use the defaults.
+ */
+function calcNutrients(tonsEaten, tonsHarvested, inputs) {
+    const value = (key) => (Number.isFinite(inputs[key]) ? inputs[key] : DEFAULT_INPUTS[key]);
+    const people = beneficiaryNeeds(inputs).people;
+    const shares = nutrientGroupShares(inputs);
+    const rootHundredGrams = tonsEaten * inputs.grams_per_ton / 100;
+    const leafHundredGrams = tonsHarvested * value('leaf_tons_per_root_ton') * inputs.grams_per_ton / 100;
+
+    const nutrients = {};
+    for (const nutrient of NUTRIENTS) {
+        const supplied = rootHundredGrams * value(`${nutrient.key}_root_per_100g`) * value(`${nutrient.key}_root_retention`) +
+            leafHundredGrams * value(`${nutrient.key}_leaf_per_100g`) * value(`${nutrient.key}_leaf_retention`);
+        const personDays = {};
+        let needPerPerson = 0;
+        for (const group of POPULATION_GROUPS) {
+            const need = value(`${nutrient.key}_need_${group.key}`);
+            personDays[group.key] = need > 0 ? supplied / need : 0;
+            needPerPerson += shares[group.key] * need;
+        }
+        const populationNeed = needPerPerson * people;
+        nutrients[nutrient.key] = {
+            supplied,
+            person_days: personDays,
+            days_covered: populationNeed > 0 ? supplied / populationNeed : 0,
+        };
+    }
+    return nutrients;
+}
+
+/**
+ * Adds up calcNutrients results across generations.
+ */
+function sumNutrients(gens) {
+    const totals = {};
+    for (const nutrient of NUTRIENTS) {
+        const personDays = Object.fromEntries(POPULATION_GROUPS.map(group => [group.key, 0]));
+        let supplied = 0;
+        let daysCovered = 0;
+        for (const gen of gens) {
+            const n = gen.nutrients[nutrient.key];
+            supplied += n.supplied;
+            daysCovered += n.days_covered;
+            for (const group of POPULATION_GROUPS) personDays[group.key] += n.person_days[group.key];
+        }
+        totals[nutrient.key] = { supplied, person_days: personDays, days_covered: daysCovered };
+    }
+    return totals;
+}
+
+// --- Actuals vs Plan ---
+
+// Per-generation figures compared between the field record and the plan
+const VARIANCE_KEYS = ['tons_harvested', 'cost', 'days_fed'];
+
+/**
+ * Compares a run that includes field actuals against the original plan (the
+ * same inputs with no actuals). Returns one entry per generation of results,
+ * in order:
+ *
+ *   { id, status, planned, variance }
+ *
+ * status is 'actual' where something was recorded, 'reforecast' where the
+ * projection moved because of an earlier record, and 'plan' otherwise.
+ * variance holds actual-minus-planned for each of VARIANCE_KEYS.
+ */
+function compareToPlan(inputs, results) {
+    const plan = calculateSimulation({ ...inputs, actuals: {} });
+    const plannedById = Object.fromEntries(plan.all_gens.map(gen => [gen.id, gen]));
+
+    return results.all_gens.map(gen => {
+        const planned = plannedById[gen.id];
+        const variance = Object.fromEntries(VARIANCE_KEYS.map(key => [key, gen[key] - (planned ? planned[key] : 0)]));
+        const moved = VARIANCE_KEYS.some(key => Math.abs(variance[key]) > 1e-9 * Math.max(1, Math.abs(gen[key])));
+        const status = gen.has_actuals ? 'actual' : (moved ? 'reforecast' : 'plan');
+        return { id: gen.id, status, planned, variance };
+    });
+}
+
+// --- Cultivation Calendar ---
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Vine cuttings for sub-generation n are taken n x 40% of a cycle after the parent is planted
+const VINE_CUTTING_INTERVAL = 0.4;
+
+/**
+ * Parses rainy-season month ranges such as "Apr-Jun, Sep-Nov" or "11-4" into
+ * [{ start, end }] with months numbered 1-12. A range may wrap the year end
+ * (Nov-Apr) and a single month stands for itself. Blank text means no rainy
+ * season is configured ([]); unreadable text returns null.
+ */
+function parseSeasonWindows(str) {
+    const toMonth = (token) => {
+        const t = token.trim().toLowerCase();
+        const num = Number(t);
+        if (Number.isInteger(num) && num >= 1 && num <= 12) return num;
+        const index = MONTH_NAMES.findIndex(m => t.startsWith(m.toLowerCase()));
+        return index >= 0 && t.length >= 3 ? index + 1 : null;
+    };
+    const windows = [];
+    for (const part of String(str ?? '').split(',')) {
+        if (part.trim() === '') continue;
+        const ends = part.split(/[-–]/);
+        if (ends.length > 2) return null;
+        const start = toMonth(ends[0]);
+        const end = ends.length === 2 ? toMonth(ends[1]) : start;
+        if (start === null || end === null) return null;
+        windows.push({ start, end });
+    }
+    return windows;
+}
+
+/**
+ * Whether a month (1-12) falls inside any of the season windows.
+ */
+function isRainyMonth(windows, month) {
+    return windows.some(w => (w.start <= w.end ? month >= w.start && month <= w.end : month >= w.start || month <= w.end));
+}
+
+/**
+ * Share of the `days` days from `from` that fall in a rainy month of windows
+ * (0 with no windows).
+ */
+function rainyDayShare(windows, from, days) {
+    let rainyDays = 0;
+    for (let d = 0; d < days; d++) {
+        if (isRainyMonth(windows, addDays(from, d).getUTCMonth() + 1)) rainyDays++;
+    }
+    return days > 0 ? rainyDays / days : 0;
+}
+
+/**
+ * Share of a dry-season crop's water need met by irrigation: the spend
+ * (cost_irrigation_per_acre) against what full irrigation costs
+ * (cost_irrigation_full_per_acre), capped at 1. Any spend counts as full
+ * irrigation when no full cost is set.
+ */
+function irrigationCoverage(inputs) {
+    // The two amounts may carry different currency tags
+    const inDollars = (field) => (inputs[field] || 0) / exchangeRate(inputs, inputs[currencyTagField(field)]);
+    const spend = inDollars('cost_irrigation_per_acre');
+    if (!(spend > 0)) return 0;
+    const full = inDollars('cost_irrigation_full_per_acre');
+    return full > 0 ? Math.min(1, spend / full) : 1;
+}
+
+/**
+ * Parses 'YYYY-MM-DD' as a UTC date; null when it is not a real date.
+ */
+function parseISODate(str) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(str ?? '').trim());
+    if (!match) return null;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCMonth() === Number(match[2]) - 1 ? date : null;
+}
+
+function formatISODate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 86400000);
+}
+
+/**
+ * Days after the start that a generation is planted: main generation g one
+ * cycle after g - 1, sub-generation n of it n x VINE_CUTTING_INTERVAL of a
+ * cycle after the parent.
+ */
+function plantingDay(gen, daysToHarvest) {
+    const mainOffset = (gen.generation - 1) * daysToHarvest;
+    const subOffset = gen.is_sub_gen ? gen.sub_generation * Math.round(daysToHarvest * VINE_CUTTING_INTERVAL) : 0;
+    return mainOffset + subOffset;
+}
+
+/**
+ * Concrete dates for every generation in results.all_gens, starting from
+ * inputs.start_date (today when blank).
+ *
+ * Main generation g is planted (g - 1) cycles after the start; its vine
+ * cuttings for sub-generation n are taken and planted n x VINE_CUTTING_INTERVAL
+ * of a cycle after it. Every planting is harvested days_to_harvest later.
+ *
+ * A generation is a dry-season generation when under half of its growing
+ * days fall in inputs.rainy_seasons; it is flagged when irrigation does not
+ * also fully cover it (see irrigationCoverage). With no rainy season
+ * configured nothing is flagged.
+ *
+ * Returns { start_date, end_date, entries, rainy_windows } where entries hold
+ * { id, name, planting_date, vine_cutting_date, harvest_date, rainy_share,
+ * dry_season, flagged } (vine_cutting_date is null for main generations) and
+ * rainy_windows lists the rainy spells between start and end as
+ * { start_date, end_date }.
+ */
+function buildCalendar(inputs, results) {
+    const today = new Date();
+    const start = parseISODate(inputs.start_date) || new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+    const daysToHarvest = inputs.days_to_harvest || 120;
+    const windows = parseSeasonWindows(inputs.rainy_seasons) || [];
+    const irrigated = irrigationCoverage(inputs) >= 1;
+    const isRainyDay = (date) => isRainyMonth(windows, date.getUTCMonth() + 1);
+
+    const entries = results.all_gens.map(gen => {
+        const planting = addDays(start, plantingDay(gen, daysToHarvest));
+        const harvest = addDays(planting, daysToHarvest);
+        const rainyShare = rainyDayShare(windows, planting, daysToHarvest);
+        const drySeason = windows.length > 0 && rainyShare < 0.5;
+
+        return {
+            id: gen.id,
+            name: gen.name,
+            planting_date: formatISODate(planting),
+            vine_cutting_date: gen.is_sub_gen ? formatISODate(planting) : null,
+            harvest_date: formatISODate(harvest),
+            rainy_share: rainyShare,
+            dry_season: drySeason,
+            flagged: drySeason && !irrigated,
+        };
+    });
+
+    const end = entries.reduce((latest, e) => (e.harvest_date > latest ? e.harvest_date : latest), formatISODate(start));
+    const rainyWindows = [];
+    for (let date = start; formatISODate(date) <= end; date = addDays(date, 1)) {
+        if (!isRainyDay(date)) continue;
+        const last = rainyWindows[rainyWindows.length - 1];
+        const iso = formatISODate(date);
+        if (last && last.end_date === formatISODate(addDays(date, -1))) {
+            last.end_date = iso;
+        } else {
+            rainyWindows.push({ start_date: iso, end_date: iso });
+        }
+    }
+
+    return { start_date: formatISODate(start), end_date: end, entries, rainy_windows: rainyWindows };
+}
+
+// --- Food Balance ---
+
+// Days the stock is followed after the last harvest when it never runs out (no one to feed)
+const FOOD_BALANCE_TAIL_DAYS = 730;
+
+/**
+ * Day-by-day food stock for the chain (the shared core of calculateSimulation
+ * and simulateFoodBalance; keepCurve controls whether the daily series is kept).
+ *
+ * Each harvest arrives on its harvest day (same timing as buildCalendar), less
+ * the tubers a main generation keeps back to replant the next one and the
+ * roots sold. Each day
+ * the population eats its daily calorie need (see beneficiaryNeeds, grown by
+ * population_growth_rate) worth of
+ * roots if the stock allows, then what is left decays: storage_survival_rate
+ * of stored roots remain after storage_period_days, at a constant daily rate.
+ *
+ * Hungry-gap days are the days between the first and last harvest when the
+ * stock could not cover the full day's need; days covered adds up the share
+ * of each day's need that was met, over the whole run until the stock is gone.
+ */
+function runFoodBalance(inputs, gens, keepCurve) {
+    const daysToHarvest = inputs.days_to_harvest || 120;
+    const storageDays = inputs.storage_period_days || 90;
+    const decayPerDay = 1 - Math.pow(Math.min(Math.max(inputs.storage_survival_rate, 0), 1), 1 / storageDays);
+    const caloriesPerTon = inputs.grams_per_ton > 0 && inputs.grams_per_potato > 0
+        ? (inputs.grams_per_ton / inputs.grams_per_potato) * inputs.calories_per_potato_with_leaves
+        : 0;
+    const needTonsPerDay = caloriesPerTon > 0 ? beneficiaryNeeds(inputs).calories_per_day / caloriesPerTon : 0;
+    const lastMainGeneration = gens.reduce((max, gen) => Math.max(max, gen.generation), 0);
+
+    const arrivals = new Map();
+    let foodTons = 0;
+    for (const gen of gens) {
+        // Replanting tubers only come out of the food supply when a next generation uses them
+        const kept = !gen.is_sub_gen && gen.generation < lastMainGeneration ? inputs.replant_percent : 0;
+        const tons = Math.max(0, gen.tons_harvested * (1 - kept) - (gen.tons_sold || 0));
+        if (!(tons > 0)) continue;
+        const day = plantingDay(gen, daysToHarvest) + daysToHarvest;
+        arrivals.set(day, (arrivals.get(day) || 0) + tons);
+        foodTons += tons;
+    }
+    const harvestDays = [...arrivals.keys()];
+    const firstHarvestDay = harvestDays.length > 0 ? Math.min(...harvestDays) : 0;
+    const lastHarvestDay = harvestDays.length > 0 ? Math.max(...harvestDays) : 0;
+
+    const curve = [];
+    let stock = 0;
+    let daysCovered = 0;
+    let fullyCoveredDays = 0;
+    let hungryGapDays = 0;
+    let peakStock = 0;
+    let storageLoss = 0;
+    for (let day = 0; day <= lastHarvestDay + FOOD_BALANCE_TAIL_DAYS; day++) {
+        const arrived = arrivals.get(day) || 0;
+        stock += arrived;
+        peakStock = Math.max(peakStock, stock);
+        const dayNeed = needTonsPerDay * populationGrowthFactor(inputs, day);
+        const eaten = Math.min(stock, dayNeed);
+        stock -= eaten;
+        const lost = stock * decayPerDay;
+        stock -= lost;
+        storageLoss += lost;
+
+        const coverage = dayNeed > 0 ? eaten / dayNeed : 0;
+        daysCovered += coverage;
+        // Tolerance for floating-point residue when a stock exactly meets the need
+        const fullyCovered = coverage >= 1 - 1e-9;
+        if (fullyCovered) fullyCoveredDays++;
+        if (!fullyCovered && day >= firstHarvestDay && day <= lastHarvestDay) hungryGapDays++;
+
+        if (keepCurve) {
+            curve.push({
+                day,
+                arrivals_tons: arrived,
+                eaten_tons: eaten,
+                lost_tons: lost,
+                stock_tons: stock,
+                days_of_stock: dayNeed > 0 ? stock / dayNeed : 0,
+                coverage,
+                hungry: !fullyCovered,
+            });
+        }
+        if (day >= lastHarvestDay && stock < 1e-9) break;
+    }
+
+    return {
+        decay_per_day: decayPerDay,
+        need_tons_per_day: needTonsPerDay,
+        food_tons: foodTons,
+        first_harvest_day: firstHarvestDay,
+        last_harvest_day: lastHarvestDay,
+        days_covered: daysCovered,
+        fully_covered_days: fullyCoveredDays,
+        hungry_gap_days: hungryGapDays,
+        peak_stock_tons: peakStock,
+        storage_loss_tons: storageLoss,
+        curve: keepCurve ? curve : null,
+    };
+}
+
+/**
+ * Daily food availability for a simulation: the metrics calculateSimulation
+ * reports plus the curve, one entry per day from the chain start
+ * ({ day, arrivals_tons, eaten_tons, lost_tons, stock_tons, days_of_stock,
+ * coverage, hungry }, where days_of_stock is how long the stock on hand
+ * would last at the daily need and coverage the share of that day's need met).
+ */
+function simulateFoodBalance(inputs, results) {
+    return runFoodBalance(inputs, results.all_gens, true);
+}
+
+// --- Economics ---
+
+/**
+ * Revenue, margin and discounted returns for a simulation.
+ *
+ * Revenue is roots sold (share_sold x price_root_per_ton) plus cuttings sold
+ * under the 'sell' excess rule (price_vine_per_cutting). Gross margin is
+ * chain revenue less chain cost.
+ *
+ * For the multi-year view the chain is repeated for economic_horizon_years,
+ * a new one starting every 365 / annual_scale_factor days (the annual
+ * projection's pace). Each generation's cost falls on its planting day and
+ * its revenue on its harvest day. NPV discounts every cash flow at
+ * discount_rate a year; payback is when the undiscounted running total is
+ * back above zero (null if it never is). Break-even price is the root price
+ * at which the roots sold cover the chain's costs net of vine sales (null
+ * when nothing is sold).
+ */
+function calcEconomics(inputs, gens, totalCost, annualScaleFactor) {
+    const daysToHarvest = inputs.days_to_harvest || 120;
+    const discountRate = inputs.discount_rate || 0;
+    const horizonDays = Math.max(1, Math.round(inputs.economic_horizon_years || 10)) * 365;
+    const rootRevenue = gens.reduce((sum, g) => sum + g.root_revenue, 0);
+    const vineRevenue = gens.reduce((sum, g) => sum + g.vine_revenue, 0);
+    const tonsSold = gens.reduce((sum, g) => sum + g.tons_sold, 0);
+    const totalRevenue = rootRevenue + vineRevenue;
+
+    const chainEvents = [];
+    for (const gen of gens) {
+        const planted = plantingDay(gen, daysToHarvest);
+        chainEvents.push({ day: planted, amount: -gen.cost });
+        chainEvents.push({ day: planted + daysToHarvest, amount: gen.revenue });
+    }
+    const repeatDays = annualScaleFactor > 0 ? 365 / annualScaleFactor : horizonDays;
+    const events = [];
+    for (let chainStart = 0; chainStart < horizonDays; chainStart += repeatDays) {
+        for (const e of chainEvents) {
+            if (chainStart + e.day < horizonDays) events.push({ day: chainStart + e.day, amount: e.amount });
+        }
+    }
+    events.sort((a, b) => a.day - b.day || a.amount - b.amount);
+
+    let npv = 0;
+    let running = 0;
+    let everNegative = false;
+    let paybackDay = null;
+    for (const e of events) {
+        npv += e.amount / Math.pow(1 + discountRate, e.day / 365);
+        running += e.amount;
+        if (running < 0) {
+            everNegative = true;
+            paybackDay = null;
+        } else if (everNegative && paybackDay === null) {
+            paybackDay = e.day;
+        }
+    }
+    if (!everNegative) paybackDay = 0;
+
+    return {
+        tons_sold: tonsSold,
+        root_revenue: rootRevenue,
+        vine_revenue: vineRevenue,
+        total_revenue: totalRevenue,
+        gross_margin: totalRevenue - totalCost,
+        annual_revenue: totalRevenue * annualScaleFactor,
+        npv,
+        payback_years: paybackDay === null ? null : paybackDay / 365,
+        break_even_price_per_ton: tonsSold > 0 ? Math.max(0, totalCost - vineRevenue) / tonsSold : null,
+    };
+}
+
+// --- Results Tables ---
+
+/**
+ * Per-generation table as rows of values, header first. Money is in the
+ * display currency (inputs.currency).
+ */
+function generationRows(results, inputs) {
+    const code = displayCurrency(inputs);
+    const money = (amount) => fromModelCurrency(amount, inputs);
+    const rows = [
+        ['Generation', 'Slips Planted', 'Area (ha)', 'Potatoes Harvested', 'Tons Harvested', 'Days Fed', 'VA Child-Days', `Cost (${code})`, 'Yield Factor', 'Fresh Slips', 'Tons Sold', `Revenue (${code})`,
+            ...NUTRIENTS.map(n => `${n.label} Days Covered`)],
+    ];
+    results.all_gens.forEach(gen => {
+        rows.push([gen.name, gen.slips_planted, Number(gen.hectares.toFixed(2)), gen.potatoes_harvested, gen.tons_harvested, gen.days_fed, gen.vitamin_a_child_days, money(gen.cost), gen.yield_factor, gen.fresh_slip_refresh ? 'Yes' : 'No', gen.tons_sold, money(gen.revenue),
+            ...NUTRIENTS.map(n => gen.nutrients[n.key].days_covered)]);
+    });
+    return rows;
+}
+
+/**
+ * Summary of a run as [label, value] rows. Money is in the display currency.
+ */
+function summaryRows(results, inputs) {
+    const code = displayCurrency(inputs);
+    const money = (amount) => fromModelCurrency(amount, inputs);
+    const rows = [];
+    rows.push(['Currency', code]);
+    rows.push(['Total Tons Harvested', results.total_tons]);
+    rows.push(['Total Days People Fed', results.total_days_fed]);
+    rows.push(['Harvest Days Fed (lump sum)', results.harvest_days_fed]);
+    rows.push(['Total Cost', money(results.total_cost)]);
+    rows.push(['Cost per Person (Full Period)', money(results.cost_per_person_full_period)]);
+    rows.push(['Cost per Person per Day', money(results.cost_per_person_per_day)]);
+    rows.push(['People to Feed', results.beneficiaries.people]);
+    if (results.beneficiaries.households !== null) rows.push(['Households', results.beneficiaries.households]);
+    rows.push(['Total VA Child-Days', results.total_vitamin_a_child_days]);
+    rows.push(['Children Annual VA Need Met', results.children_annual_va_met]);
+    rows.push(['Annual Calorie Need Met (share)', results.beneficiaries.calorie_share_met]);
+    rows.push(['Annual VA Need Met (share)', results.beneficiaries.vitamin_a_share_met]);
+    for (const group of results.beneficiaries.groups) {
+        rows.push([`${group.label}: People`, group.people]);
+        rows.push([`${group.label}: Calorie Need Met if Targeted (share)`, group.calorie_share_met]);
+        rows.push([`${group.label}: VA Need Met if Targeted (share)`, group.vitamin_a_share_met]);
+    }
+    rows.push(['Main Generations', results.num_generations]);
+    rows.push(['Sub-Generations per Main', results.num_sub_generations]);
+    rows.push(['Crop Cycles per Year', results.cycles_per_year]);
+    rows.push(['Annual Tons', results.annual_tons]);
+    rows.push(['Annual Days Fed', results.annual_days_fed]);
+    rows.push(['Annual Cost', money(results.annual_cost)]);
+    rows.push(['Land Available (ha)', inputs.land_available_ha > 0 ? inputs.land_available_ha : 'Unlimited']);
+    rows.push(['Land Binding From', results.land_binding_generation || 'Never']);
+    rows.push(['Slips Stored (unplanted at end)', results.slips_stored]);
+    rows.push(['Slips Sold', results.slips_sold]);
+    rows.push(['Slip Sales', money(results.slip_sales)]);
+    rows.push(['Slips Discarded', results.slips_discarded]);
+    rows.push(['Hungry-Gap Days', results.hungry_gap_days]);
+    rows.push(['Peak Stock (tons)', results.peak_stock_tons]);
+    rows.push(['Storage Losses (tons)', results.storage_loss_tons]);
+    rows.push(['Tons Sold', results.tons_sold]);
+    rows.push(['Root Revenue', money(results.root_revenue)]);
+    rows.push(['Vine Revenue', money(results.vine_revenue)]);
+    rows.push(['Total Revenue', money(results.total_revenue)]);
+    rows.push(['Gross Margin', money(results.gross_margin)]);
+    rows.push(['Annual Revenue', money(results.annual_revenue)]);
+    rows.push([`NPV (${inputs.economic_horizon_years} yrs at ${inputs.discount_rate * 100}%)`, money(results.npv)]);
+    rows.push(['Payback (years)', results.payback_years === null ? 'Never' : results.payback_years]);
+    rows.push(['Break-even Root Price per Ton', results.break_even_price_per_ton === null ? 'n/a (nothing sold)' : money(results.break_even_price_per_ton)]);
+    for (const nutrient of NUTRIENTS) {
+        const total = results.total_nutrients[nutrient.key];
+        rows.push([`${nutrient.label} Supplied (${nutrient.unit})`, total.supplied]);
+        rows.push([`${nutrient.label} Days Covered (population)`, total.days_covered]);
+        for (const group of POPULATION_GROUPS) {
+            rows.push([`${nutrient.label} Person-Days: ${group.label}`, total.person_days[group.key]]);
+        }
+    }
+    return rows;
+}
+
+/**
+ * Per-generation table plus summary, as rows of values. Shared by the
+ * browser CSV export and the command-line tool. Money is in the display
+ * currency (inputs.currency).
+ */
+function resultsToRows(results, inputs) {
+    return [...generationRows(results, inputs), [], ['Summary'], ...summaryRows(results, inputs)];
+}
+
+/**
+ * Serialises rows (arrays of values) as CSV text. A value is quoted only when
+ * it holds a comma, quote or line break, with its quotes doubled (RFC 4180);
+ * null and undefined are written as empty fields.
+ */
+function rowsToCSV(rows) {
+    const field = (val) => {
+        const text = val === null || val === undefined ? '' : String(val);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(r => r.map(field).join(',')).join('\n');
+}
+
+// --- Result Exports ---
+
+// Identifies a results file written by buildResultsFile
+const RESULTS_FILE_FORMAT = 'ofsp-results';
+const RESULTS_FILE_VERSION = 1;
+
+/**
+ * Results file contents for a list of { name, inputs }: each scenario's inputs
+ * and full calculateSimulation results, or, when its inputs fail validation,
+ * null results and the errors. Money in results is in US dollars, the model
+ * currency; inputs.currency is the currency the form displayed.
+ */
+function buildResultsFile(scenarios, exported = new Date()) {
+    return {
+        format: RESULTS_FILE_FORMAT,
+        format_version: RESULTS_FILE_VERSION,
+        model_version: MODEL_VERSION,
+        exported: exported.toISOString(),
+        results_currency: 'USD',
+        scenarios: scenarios.map(s => {
+            const inputs = normalizeInputs(s.inputs);
+            const errors = validateInputs(inputs);
+            return { name: s.name, inputs, results: errors.length === 0 ? calculateSimulation(inputs) : null, errors };
+        }),
+    };
+}
+
+/**
+ * Rows of the full results CSV: the model version, the generation table and
+ * summary (resultsToRows), then every input with its unit and source
+ * (inputsToSheetRows, whose labels and sources arguments these are).
+ */
+function fullResultsRows(results, inputs, labels = {}, sources = {}) {
+    return [
+        ['Model Version', MODEL_VERSION],
+        [],
+        ...resultsToRows(results, inputs),
+        [],
+        ['Inputs'],
+        ...inputsToSheetRows(inputs, labels, sources),
+    ];
+}
+
+// Per-generation outputs of the tidy export, named as in the results object.
+// Money keeps the model currency so scenarios with different display
+// currencies can be stacked, and its metric names end in _usd.
+const TIDY_GEN_METRICS = ['slips_planted', 'hectares', 'potatoes_harvested', 'tons_harvested', 'days_fed', 'vitamin_a_child_days', 'cost', 'yield_factor', 'tons_sold', 'revenue'];
+const TIDY_MONEY_METRICS = ['cost', 'revenue'];
+
+/**
+ * Long-format ("tidy") rows for analysis in R or Python, header first: one
+ * row per scenario, generation and metric. runs is a list of
+ * { name, results }; generations are given by id (1, 1a, ...), and the
+ * COMPARISON_METRICS totals by the generation "total". Missing values (no
+ * payback within the horizon, say) are empty.
+ */
+function tidyRows(runs) {
+    const metricName = (key, money) => (money ? `${key}_usd` : key);
+    const value = (val) => (Number.isFinite(val) ? val : '');
+    const rows = [['scenario', 'generation', 'metric', 'value']];
+    for (const { name, results } of runs) {
+        for (const gen of results.all_gens) {
+            for (const key of TIDY_GEN_METRICS) {
+                rows.push([name, gen.id, metricName(key, TIDY_MONEY_METRICS.includes(key)), value(gen[key])]);
+            }
+            for (const n of NUTRIENTS) {
+                rows.push([name, gen.id, `${n.key}_days_covered`, value(gen.nutrients[n.key].days_covered)]);
+            }
+        }
+        for (const metric of COMPARISON_METRICS) {
+            rows.push([name, 'total', metricName(metric.key, metric.money), value(results[metric.key])]);
+        }
+    }
+    return rows;
+}
+
+// --- Scenario Comparison ---
+
+/**
+ * Output metrics compared across scenarios. higherIsBetter says which way a
+ * change is an improvement (null when neither is). missing describes a
+ * scenario with no value: one that never pays back, or sells no roots.
+ */
+const COMPARISON_METRICS = [
+    { key: 'total_tons', label: 'Total Tons Harvested', decimals: 1, money: false, higherIsBetter: true },
+    { key: 'total_hectares', label: 'Total Area Planted (ha)', decimals: 2, money: false, higherIsBetter: null },
+    { key: 'total_days_fed', label: 'Total Days Fed', decimals: 1, money: false, higherIsBetter: true },
+    { key: 'total_cost', label: 'Total Cost', decimals: 0, money: true, higherIsBetter: false },
+    { key: 'cost_per_person_full_period', label: 'Cost per Person (Full Period)', decimals: 2, money: true, higherIsBetter: false },
+    { key: 'cost_per_person_per_day', label: 'Cost per Person per Day', decimals: 4, money: true, higherIsBetter: false },
+    { key: 'total_vitamin_a_child_days', label: 'VA Child-Days', decimals: 0, money: false, higherIsBetter: true },
+    { key: 'children_annual_va_met', label: 'Children Annual VA Met', decimals: 0, money: false, higherIsBetter: true },
+    { key: 'annual_tons', label: 'Annual Tons', decimals: 1, money: false, higherIsBetter: true },
+    { key: 'annual_days_fed', label: 'Annual Days Fed', decimals: 1, money: false, higherIsBetter: true },
+    { key: 'hungry_gap_days', label: 'Hungry-Gap Days', decimals: 0, money: false, higherIsBetter: false },
+    { key: 'annual_cost', label: 'Annual Cost', decimals: 0, money: true, higherIsBetter: false },
+    { key: 'total_revenue', label: 'Revenue', decimals: 0, money: true, higherIsBetter: true },
+    { key: 'gross_margin', label: 'Gross Margin', decimals: 0, money: true, higherIsBetter: true },
+    { key: 'npv', label: 'NPV', decimals: 0, money: true, higherIsBetter: true },
+    { key: 'payback_years', label: 'Payback Period (years)', decimals: 1, money: false, higherIsBetter: false, missing: 'Not within horizon' },
+    { key: 'break_even_price_per_ton', label: 'Break-even Root Price per Ton', decimals: 0, money: true, higherIsBetter: false, missing: 'No roots sold' },
+];
+
+/**
+ * Per-generation values charted and tabled for each compared scenario.
+ */
+const COMPARISON_GEN_METRICS = [
+    { key: 'tons_harvested', label: 'Tons Harvested', decimals: 2, money: false, higherIsBetter: true },
+    { key: 'cost', label: 'Cost', decimals: 0, money: true, higherIsBetter: false },
+    { key: 'vitamin_a_child_days', label: 'VA Child-Days', decimals: 0, money: false, higherIsBetter: true },
+];
+
+/**
+ * Change from a baseline value: { delta, percent }, with percent as a
+ * fraction of the baseline's size. Either is null when it cannot be worked
+ * out (a missing value, or a zero baseline for percent).
+ */
+function changeFrom(baseValue, value) {
+    if (value === null || baseValue === null) return { delta: null, percent: null };
+    const delta = value - baseValue;
+    return { delta, percent: baseValue !== 0 ? delta / Math.abs(baseValue) : null };
+}
+
+/**
+ * Runs any number of { name, inputs } scenarios and compares them with the
+ * one at baselineIndex. Returns { baseline, scenarios, metrics, generations }:
+ *   scenarios   — { name, results, errors }; results is null when the
+ *                 inputs fail validation (errors lists why)
+ *   metrics     — COMPARISON_METRICS entries with values, deltas and
+ *                 percent_deltas, one per scenario (null where missing)
+ *   generations — every generation any scenario has, in chain order, as
+ *                 { id, name, values: { metricKey: [one per scenario] } }
+ *                 for COMPARISON_GEN_METRICS; null where a scenario lacks it
+ * Money stays in the model currency.
+ */
+function compareScenarios(scenarios, baselineIndex = 0) {
+    const runs = scenarios.map(s => {
+        const inputs = normalizeInputs(s.inputs);
+        const errors = validateInputs(inputs);
+        return { name: s.name, results: errors.length === 0 ? calculateSimulation(inputs) : null, errors };
+    });
+    const valueOf = (source, key) => (source && Number.isFinite(source[key]) ? source[key] : null);
+
+    const metrics = COMPARISON_METRICS.map(metric => {
+        const values = runs.map(run => valueOf(run.results, metric.key));
+        const changes = values.map(v => changeFrom(values[baselineIndex], v));
+        return { ...metric, values, deltas: changes.map(c => c.delta), percent_deltas: changes.map(c => c.percent) };
+    });
+
+    const byId = new Map();
+    for (const run of runs) {
+        for (const gen of run.results ? run.results.all_gens : []) {
+            if (!byId.has(gen.id)) byId.set(gen.id, { id: gen.id, name: gen.name, generation: gen.generation, sub_generation: gen.sub_generation });
+        }
+    }
+    const generations = [...byId.values()]
+        .sort((a, b) => a.generation - b.generation || a.sub_generation - b.sub_generation)
+        .map(g => ({
+            id: g.id,
+            name: g.name,
+            values: Object.fromEntries(COMPARISON_GEN_METRICS.map(metric => [metric.key, runs.map(run => {
+                const gen = run.results && run.results.all_gens.find(x => x.id === g.id);
+                return valueOf(gen, metric.key);
+            })])),
+        }));
+
+    return { baseline: baselineIndex, scenarios: runs, metrics, generations };
+}
+
+/**
+ * Table rows (for rowsToCSV) of a compareScenarios result: every output
+ * metric, then every generation, with each scenario's value, change from the
+ * baseline and percent change. Money is in the display currency of inputs.
+ */
+function comparisonToRows(comparison, inputs) {
+    const code = displayCurrency(inputs);
+    const names = comparison.scenarios.map(s => s.name);
+    const cell = (val, money) => (val === null ? '' : (money ? fromModelCurrency(val, inputs) : val));
+    const pct = (val) => (val === null ? '' : val * 100);
+    const columns = names.flatMap(n => [n, `${n} Change`, `${n} Change (%)`]);
+    const label = (metric) => (metric.money ? `${metric.label} (${code})` : metric.label);
+
+    const rows = [
+        ['Scenario Comparison'],
+        ['Baseline', names[comparison.baseline]],
+        ['Currency', code],
+    ];
+    comparison.scenarios.filter(s => !s.results).forEach(s => {
+        rows.push(['Not run (invalid inputs)', s.name, s.errors.map(e => `${e.field}: ${e.message}`).join('; ')]);
+    });
+    rows.push([]);
+    rows.push(['Metric', ...columns]);
+    for (const metric of comparison.metrics) {
+        rows.push([label(metric), ...metric.values.flatMap((v, i) => [
+            cell(v, metric.money), cell(metric.deltas[i], metric.money), pct(metric.percent_deltas[i]),
+        ])]);
+    }
+    rows.push([]);
+    rows.push(['Generation', 'Metric', ...columns]);
+    for (const gen of comparison.generations) {
+        for (const metric of COMPARISON_GEN_METRICS) {
+            const values = gen.values[metric.key];
+            rows.push([gen.name, label(metric), ...values.flatMap(v => {
+                const change = changeFrom(values[comparison.baseline], v);
+                return [cell(v, metric.money), cell(change.delta, metric.money), pct(change.percent)];
+            })]);
+        }
+    }
+    return rows;
+}
+
+// --- Workbook ---
+
+// Header of the Inputs sheet; import finds the Field and Value columns by name
+const INPUT_SHEET_HEADER = ['Field', 'Label', 'Value', 'Unit', 'Source'];
+
+/**
+ * Inputs sheet of the Excel export: one row per input with its field name,
+ * form label (labels maps field -> label), value, unit and source. sources
+ * overrides inputSource, e.g. with an applied preset's citations.
+ * Lists are written comma-separated, as the form shows them.
+ */
+function inputsToSheetRows(inputs, labels = {}, sources = {}) {
+    const fields = [...Object.keys(DEFAULT_INPUTS), 'start_date'];
+    return [
+        INPUT_SHEET_HEADER,
+        ...fields.map(field => {
+            const val = inputs[field] ?? '';
+            return [
+                field,
+                labels[field] || field,
+                Array.isArray(val) ? val.join(', ') : val,
+                field === 'start_date' ? 'date' : inputUnit(field, inputs),
+                sources[field] || (field === 'start_date' ? 'Entered' : inputSource(field, inputs)),
+            ];
+        }),
+    ];
+}
+
+/**
+ * Reads an Inputs sheet, given as rows of cell values, back into inputs. The
+ * header row is found by its Field and Value columns and each field may be
+ * named by key or by form label (case-insensitive). A blank number keeps its
+ * default. Returns { inputs, errors }: inputs is null when the sheet has no
+ * inputs, otherwise cleaned like cleanScenarioInputs, whose notes (unknown
+ * fields, missing fields, failed validation rules) become the errors.
+ */
+function parseInputSheet(rows, labels = {}) {
+    const text = (val) => String(val ?? '').trim();
+    const lower = (row) => (Array.isArray(row) ? row.map(cell => text(cell).toLowerCase()) : []);
+    const headerIndex = rows.findIndex(row => lower(row).includes('field') && lower(row).includes('value'));
+    if (headerIndex === -1) return { inputs: null, errors: ['No header row with Field and Value columns'] };
+
+    const header = lower(rows[headerIndex]);
+    const fieldCol = header.indexOf('field');
+    const valueCol = header.indexOf('value');
+    const byKey = new Map([...Object.keys(DEFAULT_INPUTS), 'start_date'].map(key => [key.toLowerCase(), key]));
+    const byLabel = new Map(Object.entries(labels).map(([key, label]) => [text(label).toLowerCase(), key]));
+
+    const raw = {};
+    const errors = [];
+    rows.slice(headerIndex + 1).forEach((row, i) => {
+        const name = text(Array.isArray(row) ? row[fieldCol] : '');
+        if (!name) return;
+        const field = byKey.get(name.toLowerCase()) || byLabel.get(name.toLowerCase()) || name;
+        const value = row[valueCol] ?? '';
+        if (field in raw) {
+            errors.push(`row ${headerIndex + i + 2}: ${field} is listed twice, first value used`);
+        } else if (!(typeof DEFAULT_INPUTS[field] === 'number' && text(value) === '')) {
+            raw[field] = value;
+        }
+    });
+    if (Object.keys(raw).length === 0) return { inputs: null, errors: ['The sheet has no input values'] };
+
+    const { inputs, notes } = cleanScenarioInputs(raw);
+    return { inputs, errors: [...errors, ...notes] };
+}
+
+// --- Report ---
+
+/**
+ * Assumptions table of the PDF report, header first: every input except the
+ * currency tags (which show in the money inputs' units) with its label, value,
+ * unit and source. labels and sources are as for inputsToSheetRows.
+ */
+function assumptionRows(inputs, labels = {}, sources = {}) {
+    const fields = Object.keys(DEFAULT_INPUTS).filter(field => !field.endsWith('_currency') || field === 'currency');
+    return [
+        ['Assumption', 'Value', 'Unit', 'Source'],
+        ...fields.map(field => {
+            const val = inputs[field] ?? '';
+            return [
+                labels[field] || field,
+                Array.isArray(val) ? val.join(', ') : val,
+                inputUnit(field, inputs),
+                sources[field] || inputSource(field, inputs),
+            ];
+        }),
+    ];
+}
+
+// --- Sensitivity ---
+
+/**
+ * Returns the list of inputs available for sensitivity analysis.
+ */
+function getSensitivityInputOptions() {
+    const options = [
+        { id: 'initial_slips', label: 'Initial Slips' },
+        { id: 'planting_density', label: 'Planting Density (slips/ha)' },
+        { id: 'tons_per_hectare', label: 'Tons per Hectare (Yield)' },
+        { id: 'tons_harvest_percent', label: 'Harvest %' },
+        { id: 'potatoes_per_plant', label: 'Potatoes per Plant' },
+        { id: 'vine_cuttings_per_plant', label: 'Vine Cuttings per Plant' },
+        { id: 'replant_percent', label: 'Tuber Replant %' },
+        { id: 'slips_from_replant', label: 'Slips from Replant' },
+        { id: 'slip_survival_rate', label: 'Slip Survival Rate' },
+        { id: 'crop_survival_rate', label: 'Crop Survival Rate' },
+        { id: 'dry_season_yield_loss', label: 'Dry-Season Yield Loss' },
+        { id: 'storage_survival_rate', label: 'Storage Survival Rate' },
+        { id: 'people_to_feed', label: 'People to Feed' },
+        { id: 'households', label: 'Households' },
+        { id: 'calorie_target_per_person', label: 'Calorie Target' },
+        { id: 'cycles_per_year', label: 'Crop Cycles per Year' },
+        { id: 'cost_irrigation_per_acre', label: 'Irrigation Cost' },
+        { id: 'cost_slip_per_unit', label: 'Cost per Slip' },
+        { id: 'vitamin_a_per_100g', label: 'Vitamin A per 100g' },
+        { id: 'daily_vitamin_a_need', label: 'Daily VA Need' },
+    ];
+    return options;
+}
+
+const TORNADO_METRICS = [
+    { key: 'total_days_fed', label: 'Days Fed', higherIsBetter: true },
+    { key: 'cost_per_person_per_day', label: 'Cost per Person per Day', higherIsBetter: false, money: true },
+    { key: 'total_vitamin_a_child_days', label: 'VA Child-Days', higherIsBetter: true },
+];
+
+const TORNADO_SWINGS = [0.10, 0.25];
+
+/**
+ * Sweeps every sensitivity input down and up by each swing in TORNADO_SWINGS,
+ * holding all other inputs at their base values.
+ *
+ * Returns { base, rows } where each row is
+ * { id, label, baseValue, swings: { 0.1: { low, high }, 0.25: { low, high } } }
+ * and low/high hold the TORNADO_METRICS values of that run.
+ */
+function runTornadoAnalysis(baseInputs) {
+    const pick = (results) => Object.fromEntries(TORNADO_METRICS.map(m => [m.key, results[m.key]]));
+    const base = pick(calculateSimulation(baseInputs));
+
+    const rows = getSensitivityInputOptions()
+        .filter(opt => baseInputs[opt.id] !== undefined)
+        .map(opt => {
+            const baseValue = baseInputs[opt.id];
+            const swings = {};
+            TORNADO_SWINGS.forEach(swing => {
+                swings[swing] = {
+                    low: pick(calculateSimulation({ ...baseInputs, [opt.id]: baseValue * (1 - swing) })),
+                    high: pick(calculateSimulation({ ...baseInputs, [opt.id]: baseValue * (1 + swing) })),
+                };
+            });
+            return { id: opt.id, label: opt.label, baseValue, swings };
+        });
+
+    return { base, rows };
+}
+
+/**
+ * Orders tornado rows by the largest absolute change in metricKey at the given swing.
+ */
+function rankTornadoRows(analysis, metricKey, swing) {
+    const effect = (row) => {
+        const { low, high } = row.swings[swing];
+        const baseVal = analysis.base[metricKey];
+        return Math.max(Math.abs(low[metricKey] - baseVal), Math.abs(high[metricKey] - baseVal));
+    };
+    return analysis.rows
+        .map(row => ({ ...row, effect: effect(row) }))
+        .sort((a, b) => b.effect - a.effect);
+}
+
+/**
+ * Table rows (for rowsToCSV) of a runTornadoAnalysis result, header first:
+ * one row per input, ranked by metricKey at swing, with the base case and
+ * every swing of every TORNADO_METRICS metric. Money is in the display
+ * currency (inputs.currency).
+ */
+function tornadoToRows(analysis, inputs, metricKey = TORNADO_METRICS[0].key, swing = TORNADO_SWINGS[0]) {
+    const header = ['Rank', 'Input', 'Base Value'];
+    TORNADO_METRICS.forEach(m => {
+        header.push(`${m.label} (base)`);
+        TORNADO_SWINGS.forEach(sw => {
+            const pct = Math.round(sw * 100);
+            header.push(`${m.label} -${pct}%`, `${m.label} +${pct}%`);
+        });
+    });
+
+    const value = (metric, num) => (metric.money ? fromModelCurrency(num, inputs) : num);
+    const rows = [header];
+    rankTornadoRows(analysis, metricKey, swing).forEach((row, i) => {
+        const line = [i + 1, row.label, row.baseValue];
+        TORNADO_METRICS.forEach(m => {
+            line.push(value(m, analysis.base[m.key]));
+            TORNADO_SWINGS.forEach(sw => {
+                line.push(value(m, row.swings[sw].low[m.key]), value(m, row.swings[sw].high[m.key]));
+            });
+        });
+        rows.push(line);
+    });
+    return rows;
+}
+
+/**
+ * Headline findings of a runTornadoAnalysis result: for each TORNADO_METRICS
+ * metric, the count inputs with the largest effect at swing, as
+ * { metric, inputs: [{ label, low, high }] } where low and high are the
+ * fractional changes from the base case. Inputs with no effect are left out.
+ */
+function tornadoFindings(analysis, swing = TORNADO_SWINGS[TORNADO_SWINGS.length - 1], count = 3) {
+    return TORNADO_METRICS.map(metric => {
+        const base = analysis.base[metric.key];
+        const inputs = rankTornadoRows(analysis, metric.key, swing)
+            .filter(row => row.effect > 0)
+            .slice(0, count)
+            .map(row => ({
+                label: row.label,
+                low: changeFrom(base, row.swings[swing].low[metric.key]).percent,
+                high: changeFrom(base, row.swings[swing].high[metric.key]).percent,
+            }));
+        return { metric, inputs };
+    });
+}
+
+/**
+ * Evenly spaced multipliers from 1 - range to 1 + range. An odd step count
+ * keeps the base case (1.0) in the middle.
+ */
+function sweepFactors(range, steps) {
+    if (steps < 2) return [1];
+    return Array.from({ length: steps }, (_, i) => 1 - range + (2 * range * i) / (steps - 1));
+}
+
+/**
+ * Runs calculateSimulation over a grid of two inputs, each varied by +/- its
+ * range fraction in `steps` steps, and collects one output metric.
+ *
+ * Returns { xValues, yValues, grid, baseValue } where grid[row][col] is the
+ * metric at yValues[row] and xValues[col], and baseValue is the unmodified result.
+ */
+function runTwoWaySensitivity(baseInputs, xId, yId, metricKey, xRange, yRange, steps) {
+    const xValues = sweepFactors(xRange, steps).map(f => baseInputs[xId] * f);
+    const yValues = sweepFactors(yRange, steps).map(f => baseInputs[yId] * f);
+    const grid = yValues.map(yVal => xValues.map(xVal =>
+        calculateSimulation({ ...baseInputs, [xId]: xVal, [yId]: yVal })[metricKey]
+    ));
+    return { xValues, yValues, grid, baseValue: calculateSimulation(baseInputs)[metricKey] };
+}
+
+// --- Monte Carlo ---
+
+const MONTE_CARLO_METRICS = [
+    { key: 'total_days_fed', label: 'Days Fed (chain total)', money: false },
+    { key: 'total_cost', label: 'Total Cost', money: true },
+    { key: 'total_tons', label: 'Tons Harvested', money: false },
+    { key: 'total_vitamin_a_child_days', label: 'VA Child-Days', money: false },
+];
+
+/**
+ * Seeded pseudo-random generator (mulberry32). Returns a function yielding
+ * floats in [0, 1), so Monte Carlo runs can be reproduced from a seed.
+ */
+function createRng(seed) {
+    let a = (seed >>> 0) || 1;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draws one value from a distribution spec { type, min, max }.
+ *
+ * The base (form) value is the mode of a triangular distribution and the mean
+ * of a normal one. Normal draws use sd = (max - min) / 4, so the range covers
+ * roughly +/-2 standard deviations, and are clamped to [min, max].
+ */
+function sampleDistribution(spec, baseValue, rng) {
+    const min = Math.min(spec.min, spec.max);
+    const max = Math.max(spec.min, spec.max);
+    if (max === min) return min;
+
+    if (spec.type === 'triangular') {
+        const mode = Math.min(Math.max(baseValue, min), max);
+        const u = rng();
+        const split = (mode - min) / (max - min);
+        return u < split
+            ? min + Math.sqrt(u * (max - min) * (mode - min))
+            : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+
+    if (spec.type === 'normal') {
+        const sd = (max - min) / 4;
+        // Box-Muller transform; 1 - rng() keeps the log argument in (0, 1]
+        const z = Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+        return Math.min(Math.max(baseValue + z * sd, min), max);
+    }
+
+    return min + rng() * (max - min);
+}
+
+/**
+ * Value at percentile p (0-100) of an ascending-sorted array, with linear interpolation.
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const idx = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(idx);
+    const hi = Math.ceil(idx);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/**
+ * Runs `count` Monte Carlo trials, appending each metric's result to samples
+ * ({ metric: number[] }). The browser calls this in chunks so a long run does
+ * not freeze the page; runMonteCarlo runs every trial in one go.
+ */
+function runMonteCarloTrials(baseInputs, distributions, count, rng, samples) {
+    for (let i = 0; i < count; i++) {
+        const trialInputs = { ...baseInputs };
+        distributions.forEach(dist => {
+            trialInputs[dist.id] = sampleDistribution(dist, baseInputs[dist.id], rng);
+        });
+        const results = calculateSimulation(trialInputs);
+        MONTE_CARLO_METRICS.forEach(m => samples[m.key].push(results[m.key]));
+    }
+    return samples;
+}
+
+/**
+ * Summarises Monte Carlo samples as { metric: { mean, p10, p50, p90, min, max } }.
+ */
+function summarizeMonteCarlo(samples) {
+    const stats = {};
+    MONTE_CARLO_METRICS.forEach(m => {
+        const sorted = samples[m.key].slice().sort((a, b) => a - b);
+        stats[m.key] = {
+            mean: sorted.reduce((sum, v) => sum + v, 0) / (sorted.length || 1),
+            p10: percentile(sorted, 10),
+            p50: percentile(sorted, 50),
+            p90: percentile(sorted, 90),
+            min: sorted.length ? sorted[0] : 0,
+            max: sorted.length ? sorted[sorted.length - 1] : 0,
+        };
+    });
+    return stats;
+}
+
+/**
+ * Runs calculateSimulation repeatedly with the given inputs drawn from their
+ * distributions and summarises each output metric.
+ *
+ * distributions: [{ id, type, min, max }, ...] — inputs not listed stay at their base value.
+ * Returns { iterations, samples: { metric: number[] }, stats: { metric: { mean, p10, p50, p90, min, max } } }.
+ */
+function runMonteCarlo(baseInputs, distributions, iterations, seed) {
+    const rng = createRng(seed === undefined ? Date.now() : seed);
+    const samples = Object.fromEntries(MONTE_CARLO_METRICS.map(m => [m.key, []]));
+    runMonteCarloTrials(baseInputs, distributions, iterations, rng, samples);
+    return { iterations, samples, stats: summarizeMonteCarlo(samples) };
+}
+
+/**
+ * Buckets values into binCount equal-width bins.
+ * Returns [{ from, to, count }, ...].
+ */
+function buildHistogram(values, binCount) {
+    if (values.length === 0) return [];
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const width = (max - min) / binCount || 1;
+    const bins = Array.from({ length: binCount }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+    values.forEach(v => {
+        const idx = Math.min(Math.floor((v - min) / width), binCount - 1);
+        bins[idx].count++;
+    });
+    return bins;
+}
+
+// --- Goal Seek ---
+
+function getGoalSeekValue(inputs, variableId) {
+    if (variableId === 'initial_hectares') {
+        return inputs.planting_density > 0 ? inputs.initial_slips / inputs.planting_density : 0;
+    }
+    return inputs[variableId];
+}
+
+function withGoalSeekValue(inputs, variableId, value) {
+    if (variableId === 'initial_hectares') {
+        return { ...inputs, initial_slips: value * inputs.planting_density };
+    }
+    return { ...inputs, [variableId]: value };
+}
+
+/**
+ * Numerically solves for the value of one input at which a result metric
+ * reaches a target.
+ *
+ * The search scans outward from the current value (geometrically, within
+ * bounds of current / 1000 to current x 1000, capped at 1 for rates) for the
+ * nearest point where the metric crosses the target, then bisects that bracket.
+ * The returned value is the side of the crossing that satisfies the goal
+ * (metric >= target for 'atLeast', <= target for 'atMost').
+ *
+ * Returns { status: 'solved' | 'no_solution', value, results, range: { min, max } },
+ * where range is the span of the metric seen across the bounds.
+ */
+function goalSeek(baseInputs, variableId, metricKey, direction, target) {
+    const current = getGoalSeekValue(baseInputs, variableId);
+    const isRate = /_rate$|_percent$/.test(variableId);
+    const lo = current > 0 ? current / 1000 : 0;
+    const hi = isRate ? 1 : (current > 0 ? current * 1000 : 1e6);
+    const evaluate = (x) => calculateSimulation(withGoalSeekValue(baseInputs, variableId, x))[metricKey];
+    const meets = (v) => direction === 'atLeast' ? v >= target : v <= target;
+
+    // Scan points ordered by distance from the current value
+    const steps = 40;
+    const grid = [];
+    for (let i = 0; i <= steps; i++) {
+        grid.push(lo > 0 ? lo * Math.pow(hi / lo, i / steps) : lo + (hi - lo) * (i / steps));
+    }
+    if (current > lo && current < hi) grid.push(current);
+    grid.sort((a, b) => a - b);
+    const values = grid.map(evaluate);
+    const range = { min: Math.min(...values), max: Math.max(...values) };
+
+    const centre = grid.indexOf(current) >= 0 ? grid.indexOf(current) : 0;
+    let bracket = null;
+    for (let d = 0; d < grid.length && !bracket; d++) {
+        for (const i of [centre + d, centre - d - 1]) {
+            if (i < 0 || i + 1 >= grid.length) continue;
+            if (meets(values[i]) !== meets(values[i + 1])) { bracket = [grid[i], grid[i + 1]]; break; }
+        }
+    }
+
+    if (!bracket) {
+        // No crossing: either no value meets the goal, or every value does and the current one can stay
+        if (!values.some(meets)) return { status: 'no_solution', value: null, results: null, range };
+        return { status: 'solved', value: current, results: calculateSimulation(baseInputs), range };
+    }
+
+    let [a, b] = bracket;
+    const aMeets = meets(evaluate(a));
+    for (let iter = 0; iter < 80 && (b - a) > Math.abs(b) * 1e-10; iter++) {
+        const mid = (a + b) / 2;
+        if (meets(evaluate(mid)) === aMeets) a = mid; else b = mid;
+    }
+    let value = aMeets ? a : b;
+    // Whole-number inputs: step to the nearest integer that still meets the goal
+    if (variableId === 'initial_slips' || variableId === 'people_to_feed' || variableId === 'households') {
+        const candidates = [Math.floor(value), Math.ceil(value)];
+        value = candidates.find(c => c > 0 && meets(evaluate(c))) ?? Math.ceil(value);
+    }
+    return { status: 'solved', value, results: calculateSimulation(withGoalSeekValue(baseInputs, variableId, value)), range };
+}
+
+// --- Budget Optimizer ---
+
+/**
+ * Keeps the points no other point beats on both cost (lower) and impact (higher),
+ * sorted by cost.
+ */
+function paretoFrontier(points) {
+    const sorted = points.slice().sort((a, b) => a.cost - b.cost || b.impact - a.impact);
+    const frontier = [];
+    let bestImpact = -Infinity;
+    sorted.forEach(p => {
+        if (p.impact > bestImpact) {
+            frontier.push(p);
+            bestImpact = p.impact;
+        }
+    });
+    return frontier;
+}
+
+/**
+ * Searches the decision variables for the combination that maximises the
+ * objective while keeping the cost metric within budget.
+ *
+ * options: { variables: [{ id, min, max, integer }], objective, costMetric, budget, samples, seed }
+ *
+ * A seeded random sample of the bounded space is followed by a pattern search
+ * around the best feasible point (each variable stepped up and down, halving
+ * the step when nothing improves). Returns { best, evaluated, frontier } where
+ * best is { values, results } or null when no sampled point fits the budget,
+ * and evaluated/frontier hold { values, cost, impact, feasible } points.
+ */
+function optimizeBudget(baseInputs, options) {
+    const { variables, objective, costMetric, budget } = options;
+    const rng = createRng(options.seed === undefined ? Date.now() : options.seed);
+    const evaluated = [];
+
+    const clampRound = (v, x) => {
+        const clamped = Math.min(Math.max(x, v.min), v.max);
+        return v.integer ? Math.round(clamped) : clamped;
+    };
+    const evaluate = (values) => {
+        const results = calculateSimulation({ ...baseInputs, ...values });
+        const point = { values, cost: results[costMetric], impact: results[objective], feasible: results[costMetric] <= budget, results };
+        evaluated.push(point);
+        return point;
+    };
+    // Equal impact at lower cost counts as better, so the search can free budget to spend elsewhere
+    const better = (a, b) => a.feasible && (!b || a.impact > b.impact || (a.impact === b.impact && a.cost < b.cost));
+
+    let best = null;
+    // Always try the current inputs (clamped to bounds) so a feasible base case is never missed
+    const start = Object.fromEntries(variables.map(v => [v.id, clampRound(v, baseInputs[v.id])]));
+    let candidate = evaluate(start);
+    if (candidate.feasible) best = candidate;
+
+    for (let i = 0; i < options.samples; i++) {
+        const values = Object.fromEntries(variables.map(v => [v.id, clampRound(v, v.min + rng() * (v.max - v.min))]));
+        candidate = evaluate(values);
+        if (better(candidate, best)) best = candidate;
+    }
+
+    if (best) {
+        const steps = Object.fromEntries(variables.map(v => [v.id, (v.max - v.min) / 4]));
+        for (let round = 0; round < 40; round++) {
+            let improved = false;
+            variables.forEach(v => {
+                [1, -1].forEach(sign => {
+                    const values = { ...best.values, [v.id]: clampRound(v, best.values[v.id] + sign * steps[v.id]) };
+                    if (values[v.id] === best.values[v.id]) return;
+                    candidate = evaluate(values);
+                    if (better(candidate, best)) {
+                        best = candidate;
+                        improved = true;
+                    }
+                });
+            });
+            if (!improved) {
+                variables.forEach(v => { steps[v.id] /= 2; });
+                if (variables.every(v => steps[v.id] < (v.max - v.min) * 1e-4)) break;
+            }
+        }
+    }
+
+    return {
+        best: best ? { values: best.values, results: best.results } : null,
+        evaluated,
+        frontier: paretoFrontier(evaluated),
+    };
+}
+
+// --- Calibration ---
+
+/**
+ * Parameters calibration can fit, with their search bounds. Each sub-generation
+ * yield fraction is added per entry by getCalibrationParameters.
+ */
+const CALIBRATION_PARAMETERS = [
+    { id: 'tons_per_hectare', label: 'Tons per Hectare', min: 0.1, max: 60 },
+    { id: 'slip_survival_rate', label: 'Slip Survival Rate', min: 0.01, max: 1 },
+    { id: 'crop_survival_rate', label: 'Crop Survival Rate', min: 0.01, max: 1 },
+];
+
+/**
+ * Recorded values calibration compares against the model. Vine-cutting slips
+ * are only predicted for sub-generations; main-generation slips are an input.
+ */
+const CALIBRATION_METRICS = [
+    { key: 'tons_harvested', label: 'Tons Harvested' },
+    { key: 'slips_planted', label: 'Slips Planted', subGenOnly: true },
+    { key: 'plants_established', label: 'Plants Established' },
+];
+
+/**
+ * The fittable parameters for a set of inputs: CALIBRATION_PARAMETERS plus
+ * one yield fraction per entry of sub_gen_yields ('sub_gen_yields.0', ...).
+ */
+function getCalibrationParameters(subGenCount) {
+    const fractions = Array.from({ length: subGenCount }, (_, i) => ({
+        id: `sub_gen_yields.${i}`,
+        label: `Sub-Gen ${subGenLetter(i)} Yield Fraction`,
+        min: 0,
+        max: 1,
+    }));
+    return CALIBRATION_PARAMETERS.concat(fractions);
+}
+
+/**
+ * Reads a calibration parameter, including list entries such as 'sub_gen_yields.1'.
+ */
+function getCalibrationValue(inputs, id) {
+    const [key, index] = id.split('.');
+    if (index === undefined) return inputs[key];
+    const list = Array.isArray(inputs[key]) ? inputs[key] : DEFAULT_INPUTS[key];
+    return list[Math.min(Number(index), list.length - 1)];
+}
+
+/**
+ * Copy of inputs with calibration parameter values ({ id: value }) applied.
+ */
+function withCalibrationValues(inputs, values) {
+    const next = { ...inputs };
+    for (const [id, value] of Object.entries(values)) {
+        const [key, index] = id.split('.');
+        if (index === undefined) {
+            next[key] = value;
+        } else {
+            const list = (Array.isArray(next[key]) ? next[key] : DEFAULT_INPUTS[key]).slice();
+            // Pad with the last fraction so a shorter list keeps its repeat-the-last behaviour
+            while (list.length <= Number(index)) list.push(list[list.length - 1]);
+            list[Number(index)] = value;
+            next[key] = list;
+        }
+    }
+    return next;
+}
+
+/**
+ * Model prediction for one observation: the simulation is run with every
+ * other field record in place, so the generation is predicted from what was
+ * actually planted and harvested before it.
+ */
+function predictObservation(inputs, observation) {
+    const record = { ...inputs.actuals[observation.genId] };
+    delete record[observation.metric];
+    const gen = calculateSimulation({ ...inputs, actuals: { ...inputs.actuals, [observation.genId]: record } })
+        .all_gens.find(g => g.id === observation.genId);
+    return gen ? gen[observation.metric] : 0;
+}
+
+/**
+ * Goodness of fit for predictions against observations: RMSE and mean absolute
+ * error as a percentage of the observed values, and R² over the harvests.
+ */
+function calibrationFitStats(observations, predictions) {
+    const relErrors = observations.map((o, i) => (predictions[i] - o.observed) / o.observed);
+    const rmsePct = Math.sqrt(relErrors.reduce((sum, e) => sum + e * e, 0) / relErrors.length) * 100;
+    const mapePct = relErrors.reduce((sum, e) => sum + Math.abs(e), 0) / relErrors.length * 100;
+
+    const tons = observations.map((o, i) => ({ observed: o.observed, predicted: predictions[i] })).filter((_, i) => observations[i].metric === 'tons_harvested');
+    let rSquared = null;
+    if (tons.length >= 2) {
+        const mean = tons.reduce((sum, t) => sum + t.observed, 0) / tons.length;
+        const ssTot = tons.reduce((sum, t) => sum + (t.observed - mean) ** 2, 0);
+        const ssRes = tons.reduce((sum, t) => sum + (t.observed - t.predicted) ** 2, 0);
+        rSquared = ssTot > 0 ? 1 - ssRes / ssTot : null;
+    }
+    return { rmse_pct: rmsePct, mape_pct: mapePct, r_squared: rSquared };
+}
+
+/**
+ * Back-fits model parameters to recorded field actuals from one or more seasons.
+ *
+ * seasons: [{ name, inputs }] where each inputs object carries its own chain
+ * and actuals. The parameters are shared across seasons and start from
+ * baseInputs. The fit minimises the sum of squared relative errors between
+ * predicted and recorded values (see CALIBRATION_METRICS; zero records are
+ * skipped) with a bounded pattern search. Parameters the records do not
+ * constrain are reported as not identified and left unchanged.
+ *
+ * Returns { parameters: [{ id, label, default, start, fitted, identified }],
+ * values, observations: [{ season, genId, genName, metric, observed, before, after }],
+ * fit: { before, after }, evaluations }, or null when nothing usable was recorded.
+ */
+function calibrateModel(baseInputs, seasons) {
+    const observations = [];
+    seasons.forEach(season => {
+        const gens = calculateSimulation(season.inputs).all_gens;
+        for (const [genId, record] of Object.entries(season.inputs.actuals || {})) {
+            const gen = gens.find(g => g.id === genId);
+            if (!gen) continue;
+            CALIBRATION_METRICS.forEach(metric => {
+                if (metric.subGenOnly && !gen.is_sub_gen) return;
+                const observed = record[metric.key];
+                if (!Number.isFinite(observed) || observed <= 0) return;
+                observations.push({ season: season.name, seasonInputs: season.inputs, genId, genName: gen.name, metric: metric.key, observed });
+            });
+        }
+    });
+    if (observations.length === 0) return null;
+
+    const subGenCount = Math.max(...seasons.map(s => Array.isArray(s.inputs.sub_gen_yields) ? s.inputs.sub_gen_yields.length : 0), 1);
+    const parameters = getCalibrationParameters(subGenCount);
+    let evaluations = 0;
+
+    const predict = (values) => observations.map(o => predictObservation(withCalibrationValues(o.seasonInputs, values), o));
+    const error = (values) => {
+        evaluations++;
+        return predict(values).reduce((sum, p, i) => sum + ((p - observations[i].observed) / observations[i].observed) ** 2, 0);
+    };
+
+    const clamp = (param, x) => Math.min(Math.max(x, param.min), param.max);
+    const start = Object.fromEntries(parameters.map(p => [p.id, clamp(p, getCalibrationValue(baseInputs, p.id))]));
+    const startError = error(start);
+
+    // A parameter is identified if moving it changes the error at all
+    const identified = parameters.filter(p => {
+        const span = (p.max - p.min) * 0.1;
+        return [span, -span].some(delta => {
+            const value = clamp(p, start[p.id] + delta);
+            return value !== start[p.id] && Math.abs(error({ ...start, [p.id]: value }) - startError) > 1e-12;
+        });
+    });
+
+    let best = { values: start, error: startError };
+    const steps = Object.fromEntries(identified.map(p => [p.id, (p.max - p.min) / 4]));
+    for (let round = 0; round < 200 && identified.length > 0; round++) {
+        let improved = false;
+        identified.forEach(p => {
+            [1, -1].forEach(sign => {
+                const values = { ...best.values, [p.id]: clamp(p, best.values[p.id] + sign * steps[p.id]) };
+                if (values[p.id] === best.values[p.id]) return;
+                const candidate = { values, error: error(values) };
+                if (candidate.error < best.error) {
+                    best = candidate;
+                    improved = true;
+                }
+            });
+        });
+        if (!improved) {
+            identified.forEach(p => { steps[p.id] /= 2; });
+            if (identified.every(p => steps[p.id] < (p.max - p.min) * 1e-5)) break;
+        }
+    }
+
+    const before = predict(start);
+    const after = predict(best.values);
+    const identifiedIds = identified.map(p => p.id);
+    return {
+        parameters: parameters.map(p => ({
+            id: p.id,
+            label: p.label,
+            default: getCalibrationValue(DEFAULT_INPUTS, p.id),
+            start: start[p.id],
+            fitted: best.values[p.id],
+            identified: identifiedIds.includes(p.id),
+        })),
+        values: Object.fromEntries(identifiedIds.map(id => [id, best.values[id]])),
+        observations: observations.map(({ seasonInputs, ...o }, i) => ({ ...o, before: before[i], after: after[i] })),
+        fit: { before: calibrationFitStats(observations, before), after: calibrationFitStats(observations, after) },
+        evaluations,
+    };
+}
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        DEFAULT_INPUTS,
+        COUNTRY_PRESETS,
+        DEFAULT_INPUT_SOURCES,
+        defaultInputSource,
+        inputSource,
+        INPUT_UNITS,
+        inputUnit,
+        PRESET_COUNTRIES,
+        BUILTIN_PRESETS,
+        resolvePreset,
+        PRESET_FILE_FORMAT,
+        PRESET_FILE_VERSION,
+        normalizePreset,
+        buildPresetFile,
+        parsePresetFile,
+        DEFAULT_SUB_GEN_YIELDS,
+        EXCESS_SLIP_RULES,
+        ACTUAL_FIELDS,
+        parseNumberList,
+        normalizeActuals,
+        normalizeInputs,
+        INPUT_LIMITS,
+        inputLimits,
+        inputValueError,
+        validateInputs,
+        SCENARIO_FILE_FORMAT,
+        SCENARIO_FILE_VERSION,
+        SCENARIO_CONFLICT_RULES,
+        SHARE_LINK_PARAM,
+        cleanScenarioInputs,
+        buildScenarioFile,
+        parseScenarioFile,
+        mergeScenarios,
+        encodeShareLink,
+        decodeShareLink,
+        SNAPSHOT_METRICS,
+        scenarioSnapshot,
+        parseTags,
+        normalizeScenarioRecord,
+        latestRevision,
+        addScenarioRevision,
+        diffScenarioInputs,
+        NUTRIENTS,
+        POPULATION_GROUPS,
+        BENEFICIARY_MODES,
+        DEMOGRAPHIC_GROUPS,
+        CURRENCIES,
+        MONEY_INPUT_FIELDS,
+        currencyTagField,
+        exchangeRateField,
+        exchangeRate,
+        displayCurrency,
+        fromModelCurrency,
+        toModelAmount,
+        toModelCurrency,
+        calcGeneration,
+        subGenLetter,
+        generationId,
+        calculateSimulation,
+        beneficiaryNeeds,
+        populationGrowthFactor,
+        calcCoverage,
+        calcNutrients,
+        nutrientGroupShares,
+        sumNutrients,
+        VARIANCE_KEYS,
+        compareToPlan,
+        MONTH_NAMES,
+        parseSeasonWindows,
+        irrigationCoverage,
+        isRainyMonth,
+        parseISODate,
+        formatISODate,
+        buildCalendar,
+        simulateFoodBalance,
+        resultsToRows,
+        generationRows,
+        summaryRows,
+        rowsToCSV,
+        MODEL_VERSION,
+        RESULTS_FILE_FORMAT,
+        RESULTS_FILE_VERSION,
+        buildResultsFile,
+        fullResultsRows,
+        TIDY_GEN_METRICS,
+        tidyRows,
+        COMPARISON_METRICS,
+        COMPARISON_GEN_METRICS,
+        changeFrom,
+        compareScenarios,
+        comparisonToRows,
+        INPUT_SHEET_HEADER,
+        inputsToSheetRows,
+        parseInputSheet,
+        assumptionRows,
+        getSensitivityInputOptions,
+        TORNADO_METRICS,
+        TORNADO_SWINGS,
+        runTornadoAnalysis,
+        rankTornadoRows,
+        tornadoToRows,
+        tornadoFindings,
+        sweepFactors,
+        runTwoWaySensitivity,
+        MONTE_CARLO_METRICS,
+        createRng,
+        sampleDistribution,
+        percentile,
+        runMonteCarloTrials,
+        summarizeMonteCarlo,
+        runMonteCarlo,
+        buildHistogram,
+        getGoalSeekValue,
+        withGoalSeekValue,
+        goalSeek,
+        paretoFrontier,
+        optimizeBudget,
+        CALIBRATION_PARAMETERS,
+        CALIBRATION_METRICS,
+        getCalibrationParameters,
+        getCalibrationValue,
+        withCalibrationValues,
+        calibrateModel,
+    };
+}
@@ -0,0 +1,134 @@
+/**
+ * ES module entry point for the OFSP simulation engine (Node, notebooks).
+ *
+ *   import { calculateSimulation, normalizeInputs } from './ofsp-engine.mjs';
+ */
+import engine from './ofsp-engine.js';
+
+export const {
+    DEFAULT_INPUTS,
+    COUNTRY_PRESETS,
+    DEFAULT_INPUT_SOURCES,
+    defaultInputSource,
+    inputSource,
+    INPUT_UNITS,
+    inputUnit,
+    PRESET_COUNTRIES,
+    BUILTIN_PRESETS,
+    resolvePreset,
+    PRESET_FILE_FORMAT,
+    PRESET_FILE_VERSION,
+    normalizePreset,
+    buildPresetFile,
+    parsePresetFile,
+    DEFAULT_SUB_GEN_YIELDS,
+    EXCESS_SLIP_RULES,
+    ACTUAL_FIELDS,
+    parseNumberList,
+    normalizeActuals,
+    normalizeInputs,
+    INPUT_LIMITS,
+    inputLimits,
+    inputValueError,
+    validateInputs,
+    SCENARIO_FILE_FORMAT,
+    SCENARIO_FILE_VERSION,
+    SCENARIO_CONFLICT_RULES,
+    SHARE_LINK_PARAM,
+    cleanScenarioInputs,
+    buildScenarioFile,
+    parseScenarioFile,
+    mergeScenarios,
+    encodeShareLink,
+    decodeShareLink,
+    SNAPSHOT_METRICS,
+    scenarioSnapshot,
+    parseTags,
+    normalizeScenarioRecord,
+    latestRevision,
+    addScenarioRevision,
+    diffScenarioInputs,
+    NUTRIENTS,
+    POPULATION_GROUPS,
+    BENEFICIARY_MODES,
+    DEMOGRAPHIC_GROUPS,
+    CURRENCIES,
+    MONEY_INPUT_FIELDS,
+    currencyTagField,
+    exchangeRateField,
+    exchangeRate,
+    displayCurrency,
+    fromModelCurrency,
+    toModelAmount,
+    toModelCurrency,
+    calcGeneration,
+    subGenLetter,
+    generationId,
+    calculateSimulation,
+    beneficiaryNeeds,
+    populationGrowthFactor,
+    calcCoverage,
+    calcNutrients,
+    nutrientGroupShares,
+    sumNutrients,
+    VARIANCE_KEYS,
+    compareToPlan,
+    MONTH_NAMES,
+    parseSeasonWindows,
+    irrigationCoverage,
+    isRainyMonth,
+    parseISODate,
+    formatISODate,
+    buildCalendar,
+    simulateFoodBalance,
+    resultsToRows,
+    generationRows,
+    summaryRows,
+    rowsToCSV,
+    MODEL_VERSION,
+    RESULTS_FILE_FORMAT,
+    RESULTS_FILE_VERSION,
+    buildResultsFile,
+    fullResultsRows,
+    TIDY_GEN_METRICS,
+    tidyRows,
+    COMPARISON_METRICS,
+    COMPARISON_GEN_METRICS,
+    changeFrom,
+    compareScenarios,
+    comparisonToRows,
+    INPUT_SHEET_HEADER,
+    inputsToSheetRows,
+    parseInputSheet,
+    assumptionRows,
+    getSensitivityInputOptions,
+    TORNADO_METRICS,
+    TORNADO_SWINGS,
+    runTornadoAnalysis,
+    rankTornadoRows,
+    tornadoToRows,
+    tornadoFindings,
+    sweepFactors,
+    runTwoWaySensitivity,
+    MONTE_CARLO_METRICS,
+    createRng,
+    sampleDistribution,
+    percentile,
+    runMonteCarloTrials,
+    summarizeMonteCarlo,
+    runMonteCarlo,
+    buildHistogram,
+    getGoalSeekValue,
+    withGoalSeekValue,
+    goalSeek,
+    paretoFrontier,
+    optimizeBudget,
+    CALIBRATION_PARAMETERS,
+    CALIBRATION_METRICS,
+    getCalibrationParameters,
+    getCalibrationValue,
+    withCalibrationValues,
+    calibrateModel,
+} = engine;
+
+export default engine;
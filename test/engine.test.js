@@ -0,0 +1,1238 @@
+/**
+ * Regression tests for the simulation engine. Run with `node --test` (Node 18+).
+ *
+ * Golden outputs live in golden.json. After an intentional model change,
+ * regenerate them with `UPDATE_GOLDEN=1 node --test` and review the diff.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    DEFAULT_INPUTS,
+    COUNTRY_PRESETS,
+    normalizeInputs,
+    validateInputs,
+    inputLimits,
+    calcGeneration,
+    calculateSimulation,
+    compareToPlan,
+    calibrateModel,
+    parseSeasonWindows,
+    irrigationCoverage,
+    buildCalendar,
+    simulateFoodBalance,
+    MONEY_INPUT_FIELDS,
+    resultsToRows,
+    rowsToCSV,
+    MODEL_VERSION,
+    buildResultsFile,
+    fullResultsRows,
+    tidyRows,
+    inputsToSheetRows,
+    parseInputSheet,
+    runTornadoAnalysis,
+    tornadoToRows,
+    tornadoFindings,
+    MONTE_CARLO_METRICS,
+    createRng,
+    sampleDistribution,
+    runTwoWaySensitivity,
+    runMonteCarlo,
+    runMonteCarloTrials,
+    summarizeMonteCarlo,
+    goalSeek,
+    paretoFrontier,
+    optimizeBudget,
+    inputUnit,
+    assumptionRows,
+    defaultInputSource,
+    inputSource,
+    NUTRIENTS,
+    POPULATION_GROUPS,
+    DEMOGRAPHIC_GROUPS,
+    beneficiaryNeeds,
+    nutrientGroupShares,
+    BUILTIN_PRESETS,
+    resolvePreset,
+    normalizePreset,
+    buildPresetFile,
+    parsePresetFile,
+    cleanScenarioInputs,
+    buildScenarioFile,
+    parseScenarioFile,
+    mergeScenarios,
+    encodeShareLink,
+    decodeShareLink,
+    parseTags,
+    normalizeScenarioRecord,
+    latestRevision,
+    addScenarioRevision,
+    diffScenarioInputs,
+    compareScenarios,
+    comparisonToRows,
+} = require('../ofsp-engine.js');
+
+const GOLDEN_PATH = path.join(__dirname, 'golden.json');
+
+const SUMMARY_KEYS = [
+    'total_days_fed', 'harvest_days_fed', 'hungry_gap_days', 'total_cost', 'total_tons', 'total_hectares',
+    'cost_per_person_full_period', 'cost_per_person_per_day',
+    'total_vitamin_a_child_days', 'children_annual_va_met',
+    'annual_scale_factor', 'annual_tons', 'annual_days_fed', 'annual_cost',
+];
+const GEN_KEYS = ['slips_planted', 'hectares', 'potatoes_harvested', 'tons_harvested', 'days_fed', 'vitamin_a_child_days', 'cost'];
+
+function goldenScenarios() {
+    const scenarios = { default: DEFAULT_INPUTS };
+    for (const [key, preset] of Object.entries(COUNTRY_PRESETS)) {
+        scenarios[`preset:${key}`] = { ...DEFAULT_INPUTS, ...preset };
+    }
+    return scenarios;
+}
+
+function snapshot(results) {
+    return {
+        summary: Object.fromEntries(SUMMARY_KEYS.map(k => [k, results[k]])),
+        gens: results.all_gens.map(g => ({ name: g.name, ...Object.fromEntries(GEN_KEYS.map(k => [k, g[k]])) })),
+    };
+}
+
+function assertClose(actual, expected, label) {
+    const tolerance = Math.max(Math.abs(expected) * 1e-9, 1e-9);
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+}
+
+const sum = (gens, key) => gens.reduce((s, g) => s + g[key], 0);
+
+function assertFiniteResults(results) {
+    for (const key of SUMMARY_KEYS) {
+        assert.ok(Number.isFinite(results[key]), `${key} should be finite, got ${results[key]}`);
+        assert.ok(results[key] >= 0, `${key} should not be negative, got ${results[key]}`);
+    }
+    results.all_gens.forEach(g => GEN_KEYS.forEach(k => {
+        assert.ok(Number.isFinite(g[k]), `${g.name} ${k} should be finite, got ${g[k]}`);
+    }));
+}
+
+if (process.env.UPDATE_GOLDEN) {
+    const golden = Object.fromEntries(Object.entries(goldenScenarios()).map(([name, inputs]) => [name, snapshot(calculateSimulation(inputs))]));
+    fs.writeFileSync(GOLDEN_PATH, JSON.stringify(golden, null, 2) + '\n');
+}
+
+test.describe('golden outputs', () => {
+    const golden = JSON.parse(fs.readFileSync(GOLDEN_PATH, 'utf8'));
+
+    for (const [name, inputs] of Object.entries(goldenScenarios())) {
+        test(name, () => {
+            assert.ok(golden[name], `no golden output recorded for ${name}`);
+            const actual = snapshot(calculateSimulation(inputs));
+            const expected = golden[name];
+
+            for (const key of SUMMARY_KEYS) assertClose(actual.summary[key], expected.summary[key], key);
+            assert.deepEqual(actual.gens.map(g => g.name), expected.gens.map(g => g.name));
+            actual.gens.forEach((gen, i) => {
+                GEN_KEYS.forEach(k => assertClose(gen[k], expected.gens[i][k], `${gen.name} ${k}`));
+            });
+        });
+    }
+
+    test('Haiti default Generation 1 matches the spreadsheet formulas', () => {
+        const gen1 = calculateSimulation(DEFAULT_INPUTS).all_gens[0];
+        // 1,200,000 slips / 33,000 per ha = 36.36 ha; x 10 t/ha x 90% harvest,
+        // less 30% dry-season loss over the 183 of 365 days outside Apr-Jun and Sep-Nov
+        assertClose(gen1.hectares, 1200000 / 33000, 'hectares');
+        assertClose(gen1.tons_harvested, (1200000 / 33000) * 10 * 0.9 * (1 - 0.3 * 183 / 365), 'tons');
+        // Full land prep ($470/acre incl. supplies) x 2.47105 acres/ha, plus $0.05 per slip
+        assertClose(gen1.cost, 470 * 2.47105 * (1200000 / 33000) + 1200000 * 0.05, 'cost');
+    });
+});
+
+test.describe('calcGeneration', () => {
+    test('sub-generations apply the yield fraction and maintenance-only cost', () => {
+        const main = calcGeneration('Main', 33000, DEFAULT_INPUTS, 1000, 200, false, false, 1.0);
+        const sub = calcGeneration('Sub', 33000, DEFAULT_INPUTS, 1000, 200, false, true, 0.25);
+        assertClose(sub.tons_harvested, main.tons_harvested * 0.25, 'tons');
+        assertClose(main.cost, 1000, 'main cost');
+        assertClose(sub.cost, 200, 'sub cost');
+    });
+
+    test('a yield fraction of 0 yields nothing rather than falling back to 1', () => {
+        const sub = calcGeneration('Sub', 33000, DEFAULT_INPUTS, 1000, 200, false, true, 0);
+        assert.equal(sub.tons_harvested, 0);
+    });
+
+    test('slip cost is only charged when requested', () => {
+        const withSlips = calcGeneration('G', 1000, DEFAULT_INPUTS, 0, 0, true, false, 1.0);
+        const without = calcGeneration('G', 1000, DEFAULT_INPUTS, 0, 0, false, false, 1.0);
+        assertClose(withSlips.cost - without.cost, 1000 * DEFAULT_INPUTS.cost_slip_per_unit, 'slip cost');
+    });
+});
+
+test.describe('invariants', () => {
+    const shapes = [
+        { num_generations: 3, num_sub_generations: 3 },
+        { num_generations: 1, num_sub_generations: 0 },
+        { num_generations: 8, num_sub_generations: 2, sub_gen_yields: [0.5, 0.3] },
+        { num_generations: 5, num_sub_generations: 4, sub_gen_yields: [0.4] },
+    ];
+
+    for (const shape of shapes) {
+        test(`totals equal the sum of all_gens (${shape.num_generations} x ${shape.num_sub_generations})`, () => {
+            const results = calculateSimulation({ ...DEFAULT_INPUTS, ...shape });
+            const gens = results.all_gens;
+            assert.equal(gens.length, shape.num_generations * (1 + shape.num_sub_generations));
+            assertClose(results.total_tons, sum(gens, 'tons_harvested'), 'total_tons');
+            assertClose(results.harvest_days_fed, sum(gens, 'days_fed'), 'harvest_days_fed');
+            assertClose(results.total_cost, sum(gens, 'cost'), 'total_cost');
+            assertClose(results.total_hectares, sum(gens, 'hectares'), 'total_hectares');
+            assertClose(results.total_vitamin_a_child_days, sum(gens, 'vitamin_a_child_days'), 'total_vitamin_a_child_days');
+        });
+    }
+
+    test('annual projection scales chain totals by the annual scale factor', () => {
+        const inputs = { ...DEFAULT_INPUTS, num_generations: 5 };
+        const results = calculateSimulation(inputs);
+        const expectedFactor = Math.min(365 / (5 * inputs.days_to_harvest), inputs.cycles_per_year);
+        assertClose(results.annual_scale_factor, expectedFactor, 'annual_scale_factor');
+        assertClose(results.annual_tons, results.total_tons * expectedFactor, 'annual_tons');
+        assertClose(results.annual_days_fed, Math.min(365, results.total_days_fed * expectedFactor), 'annual_days_fed');
+        assertClose(results.annual_cost, results.total_cost * expectedFactor, 'annual_cost');
+    });
+
+    test('derived per-person and vitamin A figures follow from the totals', () => {
+        const results = calculateSimulation(DEFAULT_INPUTS);
+        const people = DEFAULT_INPUTS.people_to_feed;
+        assertClose(results.cost_per_person_full_period, results.total_cost / people, 'cost_per_person_full_period');
+        assertClose(results.cost_per_person_per_day, results.total_cost / (results.total_days_fed * people), 'cost_per_person_per_day');
+        assert.equal(results.children_annual_va_met, Math.floor(results.total_vitamin_a_child_days / 365));
+    });
+
+    test('sub-generations of one main generation follow the yield fractions', () => {
+        const gens = calculateSimulation(DEFAULT_INPUTS).all_gens;
+        const [, a, b, c] = gens;
+        assertClose(a.tons_harvested / b.tons_harvested, 0.40 / 0.25, 'a/b');
+        assertClose(b.tons_harvested / c.tons_harvested, 0.25 / 0.15, 'b/c');
+        assert.equal(a.slips_planted, b.slips_planted);
+    });
+});
+
+test.describe('edge cases', () => {
+    test('zero planting_density falls back to the 33,000/ha default', () => {
+        const results = calculateSimulation({ ...DEFAULT_INPUTS, planting_density: 0 });
+        assertFiniteResults(results);
+        assertClose(results.total_tons, calculateSimulation(DEFAULT_INPUTS).total_tons, 'total_tons');
+    });
+
+    test('zero grams_per_potato produces no potatoes, calories or later generations', () => {
+        const results = calculateSimulation({ ...DEFAULT_INPUTS, grams_per_potato: 0 });
+        assertFiniteResults(results);
+        assert.equal(results.total_days_fed, 0);
+        results.all_gens.forEach(g => assert.equal(g.potatoes_harvested, 0));
+        // Only Generation 1 is planted: no potatoes means no vine cuttings and no replanting
+        assertClose(results.total_tons, results.all_gens[0].tons_harvested, 'total_tons');
+        results.all_gens.slice(1).forEach(g => assert.equal(g.slips_planted, 0));
+    });
+
+    for (const rate of [0, 1]) {
+        test(`survival and harvest rates of ${rate}`, () => {
+            const inputs = {
+                ...DEFAULT_INPUTS,
+                slip_survival_rate: rate,
+                crop_survival_rate: rate,
+                storage_survival_rate: rate,
+                tons_harvest_percent: rate,
+                replant_percent: rate,
+            };
+            const results = calculateSimulation(inputs);
+            assertFiniteResults(results);
+            if (rate === 0) {
+                assert.equal(results.total_tons, 0);
+                assert.equal(results.total_days_fed, 0);
+                // Generation 1 is still planted and paid for
+                assert.ok(results.total_cost > 0);
+            } else {
+                assert.ok(results.total_tons > calculateSimulation(DEFAULT_INPUTS).total_tons);
+            }
+        });
+    }
+
+    test('very large initial_slips stay finite and scale linearly', () => {
+        const base = calculateSimulation(DEFAULT_INPUTS);
+        const big = calculateSimulation({ ...DEFAULT_INPUTS, initial_slips: 1.2e12 });
+        assertFiniteResults(big);
+        const ratio = 1.2e12 / DEFAULT_INPUTS.initial_slips;
+        assertClose(big.total_tons, base.total_tons * ratio, 'total_tons');
+        assertClose(big.total_cost, base.total_cost * ratio, 'total_cost');
+        assertClose(big.cost_per_person_per_day * big.total_days_fed, base.cost_per_person_per_day * base.total_days_fed * ratio, 'cost per person');
+    });
+
+    test('zero sub-generations leave only main generations', () => {
+        const results = calculateSimulation({ ...DEFAULT_INPUTS, num_sub_generations: 0 });
+        assert.deepEqual(results.all_gens.map(g => g.name), ['Generation 1', 'Generation 2', 'Generation 3']);
+    });
+});
+
+test.describe('normalizeInputs and validateInputs', () => {
+    test('a legacy scenario without chain-shape keys matches the default chain', () => {
+        const legacy = { ...DEFAULT_INPUTS, yield_mode: 'per_hectare' };
+        delete legacy.num_generations;
+        delete legacy.num_sub_generations;
+        delete legacy.sub_gen_yields;
+        const inputs = normalizeInputs(legacy);
+        assert.equal('yield_mode' in inputs, false);
+        assertClose(calculateSimulation(inputs).total_tons, calculateSimulation(DEFAULT_INPUTS).total_tons, 'total_tons');
+    });
+
+    test('string values from form or JSON are converted', () => {
+        const inputs = normalizeInputs({ initial_slips: '500000', sub_gen_yields: '0.5, 0.2' });
+        assert.equal(inputs.initial_slips, 500000);
+        assert.deepEqual(inputs.sub_gen_yields, [0.5, 0.2]);
+    });
+
+    test('DEFAULT_INPUTS match the form defaults in index.html', () => {
+        const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+        const formDefaults = {};
+        for (const [, attrs] of html.matchAll(/<input ([^>]*)>/g)) {
+            const id = (attrs.match(/id="(\w+)"/) || [])[1];
+            const value = (attrs.match(/value="([^"]*)"/) || [])[1];
+            if (!id || value === undefined || !(id in DEFAULT_INPUTS)) continue;
+            if (attrs.includes('data-list')) formDefaults[id] = value.split(',').filter(v => v.trim() !== '').map(Number);
+            else if (attrs.includes('type="text"')) formDefaults[id] = value;
+            else formDefaults[id] = Number(value);
+        }
+        for (const [, id, options] of html.matchAll(/<select id="(\w+)"[^>]*data-choice[^>]*>([\s\S]*?)<\/select>/g)) {
+            formDefaults[id] = (options.match(/<option value="(\w+)"[^>]*selected/) || [])[1];
+        }
+        assert.deepEqual(formDefaults, DEFAULT_INPUTS);
+    });
+
+    test('the form\'s min and max attributes match the engine\'s input limits', () => {
+        const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+        for (const [, attrs] of html.matchAll(/<input ([^>]*)>/g)) {
+            const id = (attrs.match(/id="(\w+)"/) || [])[1];
+            if (!attrs.includes('type="number"') || !(id in DEFAULT_INPUTS)) continue;
+            const attr = (name) => { const m = attrs.match(new RegExp(`${name}="([^"]*)"`)); return m ? Number(m[1]) : undefined; };
+            const { min, max } = inputLimits(id);
+            assert.deepEqual({ id, min: attr('min'), max: attr('max') }, { id, min, max });
+        }
+    });
+
+    test('the engine enforces the same limits as the form', () => {
+        const errors = validateInputs({ ...DEFAULT_INPUTS, num_generations: 13, planting_density: 70000, days_to_harvest: 20, households: 2.5 });
+        assert.deepEqual(errors.map(e => e.field).sort(), ['days_to_harvest', 'households', 'num_generations', 'planting_density']);
+        assert.deepEqual(validateInputs({ ...DEFAULT_INPUTS, num_generations: 12, planting_density: 65000 }), []);
+    });
+
+    test('defaults are valid and bad values are reported', () => {
+        assert.deepEqual(validateInputs(DEFAULT_INPUTS), []);
+        const errors = validateInputs({ ...DEFAULT_INPUTS, crop_survival_rate: 1.5, initial_slips: 10.5, sub_gen_yields: [0.4, 1.2] });
+        assert.deepEqual(errors.map(e => e.field).sort(), ['crop_survival_rate', 'initial_slips', 'sub_gen_yields']);
+    });
+
+    test('more sub-generations than yield fractions repeat the last fraction', () => {
+        const inputs = { ...DEFAULT_INPUTS, num_sub_generations: 4 };
+        assert.deepEqual(validateInputs(inputs), []);
+        const [, , b, c, d] = calculateSimulation(inputs).all_gens;
+        assertClose(d.tons_harvested, c.tons_harvested, 'sub-gen d repeats c');
+        assertClose(d.tons_harvested / b.tons_harvested, 0.15 / 0.25, 'd/b');
+    });
+});
+
+test.describe('field actuals', () => {
+    test('an actual harvest re-forecasts later generations from it', () => {
+        const plan = calculateSimulation(DEFAULT_INPUTS);
+        const inputs = { ...DEFAULT_INPUTS, actuals: { 1: { tons_harvested: plan.all_gens[0].tons_harvested / 2 } } };
+        const results = calculateSimulation(inputs);
+        const [gen1, , , , gen2] = results.all_gens;
+
+        assert.equal(gen1.has_actuals, true);
+        assertClose(gen1.days_fed, plan.all_gens[0].days_fed / 2, 'gen 1 days_fed');
+        // Vine cuttings come from the slips planted, which were not recorded
+        assertClose(results.all_gens[1].tons_harvested, plan.all_gens[1].tons_harvested, 'gen 1a tons');
+        assertClose(gen2.slips_planted, plan.all_gens[4].slips_planted / 2, 'gen 2 slips');
+
+        const statuses = compareToPlan(inputs, results).map(c => `${c.id}:${c.status}`);
+        assert.deepEqual(statuses.slice(0, 5), ['1:actual', '1a:plan', '1b:plan', '1c:plan', '2:reforecast']);
+    });
+
+    test('recorded slips, area and spend override the model', () => {
+        const inputs = { ...DEFAULT_INPUTS, actuals: { 1: { slips_planted: 600000, hectares: 20, cost: 5000 } } };
+        const gen1 = calculateSimulation(inputs).all_gens[0];
+        assert.equal(gen1.slips_planted, 600000);
+        assert.equal(gen1.hectares, 20);
+        assert.equal(gen1.cost, 5000);
+        assertClose(gen1.tons_harvested, 20 * DEFAULT_INPUTS.tons_per_hectare * DEFAULT_INPUTS.tons_harvest_percent * gen1.dry_season_factor, 'tons from recorded area');
+    });
+
+    test('variance is actual minus plan and zero without actuals', () => {
+        const results = calculateSimulation(DEFAULT_INPUTS);
+        assert.ok(compareToPlan(DEFAULT_INPUTS, results).every(c => c.status === 'plan' && c.variance.cost === 0));
+
+        const inputs = { ...DEFAULT_INPUTS, actuals: { '1a': { cost: 1000 } } };
+        const variance = compareToPlan(inputs, calculateSimulation(inputs))[1].variance;
+        assertClose(variance.cost, 1000 - results.all_gens[1].cost, '1a cost variance');
+    });
+
+    test('normalizeInputs cleans stored actuals', () => {
+        const inputs = normalizeInputs({ actuals: { 1: { tons_harvested: '120.5', cost: '' }, 2: { hectares: -3 } } });
+        assert.deepEqual(inputs.actuals, { 1: { tons_harvested: 120.5 } });
+    });
+});
+
+test.describe('calibration', () => {
+    // Field records generated from known parameters should be fitted back to them
+    const truth = { ...DEFAULT_INPUTS, tons_per_hectare: 7.5, slip_survival_rate: 0.8, crop_survival_rate: 0.6, sub_gen_yields: [0.3, 0.2, 0.1] };
+    const recordSeason = (initialSlips) => {
+        const actuals = {};
+        calculateSimulation({ ...truth, initial_slips: initialSlips }).all_gens.slice(0, 4).forEach(g => {
+            actuals[g.id] = { tons_harvested: g.tons_harvested, plants_established: g.plants_established };
+            if (g.is_sub_gen) actuals[g.id].slips_planted = g.slips_planted;
+        });
+        return { name: `${initialSlips} slips`, inputs: { ...DEFAULT_INPUTS, initial_slips: initialSlips, actuals } };
+    };
+
+    test('recovers the parameters that generated the records', () => {
+        const calibration = calibrateModel(DEFAULT_INPUTS, [recordSeason(1200000), recordSeason(600000)]);
+        const fitted = Object.fromEntries(calibration.parameters.map(p => [p.id, p.fitted]));
+        const close = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 1e-3 * expected, `${label}: expected ${expected}, got ${actual}`);
+        close(fitted.tons_per_hectare, 7.5, 'tons_per_hectare');
+        close(fitted.slip_survival_rate, 0.8, 'slip_survival_rate');
+        close(fitted.crop_survival_rate, 0.6, 'crop_survival_rate');
+        close(fitted['sub_gen_yields.0'], 0.3, 'sub-gen a');
+        close(fitted['sub_gen_yields.2'], 0.1, 'sub-gen c');
+        assert.ok(calibration.fit.after.rmse_pct < 0.1);
+        assert.ok(calibration.fit.before.rmse_pct > 10);
+    });
+
+    test('parameters the records do not touch are left alone', () => {
+        const season = { name: 'harvest only', inputs: { ...DEFAULT_INPUTS, actuals: { 1: { tons_harvested: 300 } } } };
+        const calibration = calibrateModel(DEFAULT_INPUTS, [season]);
+        const byId = Object.fromEntries(calibration.parameters.map(p => [p.id, p]));
+        assert.equal(byId.tons_per_hectare.identified, true);
+        assert.equal(byId.crop_survival_rate.identified, false);
+        assert.deepEqual(Object.keys(calibration.values), ['tons_per_hectare']);
+    });
+
+    test('returns null without usable records', () => {
+        assert.equal(calibrateModel(DEFAULT_INPUTS, [{ name: 'plan', inputs: DEFAULT_INPUTS }]), null);
+    });
+});
+
+test.describe('cultivation calendar', () => {
+    test('season windows parse month names, numbers and year-end wraps', () => {
+        assert.deepEqual(parseSeasonWindows('Apr-Jun, Sep-Nov'), [{ start: 4, end: 6 }, { start: 9, end: 11 }]);
+        assert.deepEqual(parseSeasonWindows('11-4, July'), [{ start: 11, end: 4 }, { start: 7, end: 7 }]);
+        assert.deepEqual(parseSeasonWindows(''), []);
+        assert.equal(parseSeasonWindows('Rainy'), null);
+    });
+
+    test('dates follow the start date, cycle length and vine-cutting interval', () => {
+        const inputs = { ...DEFAULT_INPUTS, start_date: '2026-04-01' };
+        const calendar = buildCalendar(inputs, calculateSimulation(inputs));
+        const byId = Object.fromEntries(calendar.entries.map(e => [e.id, e]));
+        assert.equal(byId['1'].planting_date, '2026-04-01');
+        assert.equal(byId['1'].harvest_date, '2026-07-30');
+        assert.equal(byId['1'].vine_cutting_date, null);
+        assert.equal(byId['1a'].vine_cutting_date, '2026-05-19');
+        assert.equal(byId['2'].planting_date, '2026-07-30');
+        assert.equal(calendar.end_date, byId['3c'].harvest_date);
+        assert.deepEqual(calendar.rainy_windows[0], { start_date: '2026-04-01', end_date: '2026-06-30' });
+    });
+
+    test('dry-season generations are flagged only without full irrigation', () => {
+        const inputs = { ...DEFAULT_INPUTS, start_date: '2026-12-01', rainy_seasons: 'Jun-Sep' };
+        const results = calculateSimulation(inputs);
+        assert.equal(buildCalendar(inputs, results).entries[0].flagged, true);
+        assert.equal(buildCalendar({ ...inputs, cost_irrigation_per_acre: 10 }, results).entries[0].flagged, true);
+        assert.equal(buildCalendar({ ...inputs, cost_irrigation_per_acre: 25 }, results).entries[0].flagged, false);
+        assert.equal(buildCalendar({ ...inputs, rainy_seasons: '' }, results).entries[0].flagged, false);
+    });
+
+    test('dry growing days cost yield in proportion, as the calendar counts them', () => {
+        const inputs = { ...DEFAULT_INPUTS, start_date: '2026-12-01', rainy_seasons: 'Jun-Sep' };
+        const results = calculateSimulation(inputs);
+        buildCalendar(inputs, results).entries.forEach((entry, i) => {
+            assertClose(results.all_gens[i].dry_season_factor, 1 - 0.3 * (1 - entry.rainy_share), `${entry.id} dry-season factor`);
+        });
+        assert.ok(results.all_gens[0].dry_season_factor < 1);
+        // Without a start date every planting counts the year's dry share
+        const undated = calculateSimulation({ ...DEFAULT_INPUTS, rainy_seasons: 'Jun-Sep' }).all_gens;
+        assert.ok(undated.every(g => Math.abs(g.dry_season_factor - (1 - 0.3 * 243 / 365)) < 1e-12));
+        for (const change of [{ rainy_seasons: '' }, { dry_season_yield_loss: 0 }]) {
+            assert.ok(calculateSimulation({ ...inputs, ...change }).all_gens.every(g => g.dry_season_factor === 1));
+        }
+    });
+
+    test('irrigation makes up the loss in proportion to the full irrigation cost', () => {
+        assert.equal(irrigationCoverage(DEFAULT_INPUTS), 0);
+        assert.equal(irrigationCoverage({ ...DEFAULT_INPUTS, cost_irrigation_per_acre: 5 }), 0.25);
+        assert.equal(irrigationCoverage({ ...DEFAULT_INPUTS, cost_irrigation_per_acre: 60 }), 1);
+        assert.equal(irrigationCoverage({ ...DEFAULT_INPUTS, cost_irrigation_per_acre: 5, cost_irrigation_full_per_acre: 0 }), 1);
+        assertClose(irrigationCoverage({ ...DEFAULT_INPUTS, cost_irrigation_per_acre: 1310, cost_irrigation_per_acre_currency: 'HTG' }), 0.5, 'coverage across currencies');
+        const factor = (spend) => calculateSimulation({ ...DEFAULT_INPUTS, cost_irrigation_per_acre: spend }).all_gens[0].dry_season_factor;
+        assertClose(1 - factor(10), (1 - factor(0)) / 2, 'half the loss at half the full cost');
+        assert.equal(factor(20), 1);
+        const rainfed = calculateSimulation(DEFAULT_INPUTS);
+        const irrigated = calculateSimulation({ ...DEFAULT_INPUTS, cost_irrigation_per_acre: 20 });
+        assert.ok(irrigated.total_tons > rainfed.total_tons && irrigated.total_cost > rainfed.total_cost);
+    });
+
+    test('an invalid start date or season is reported', () => {
+        const fields = validateInputs({ ...DEFAULT_INPUTS, start_date: '2026-02-30', rainy_seasons: 'wet' }).map(e => e.field);
+        assert.deepEqual(fields.sort(), ['rainy_seasons', 'start_date']);
+    });
+});
+
+test.describe('seed degeneration', () => {
+    const base = { ...DEFAULT_INPUTS, num_generations: 4, yield_decline_rate: 0.1 };
+    const mainGens = (results) => results.all_gens.filter(g => !g.is_sub_gen);
+
+    test('each replanted generation loses the decline rate, vine cuttings included', () => {
+        const results = calculateSimulation(base);
+        assert.deepEqual(mainGens(results).map(g => Number(g.yield_factor.toFixed(6))), [1, 0.9, 0.81, 0.729]);
+        const gen2 = mainGens(results)[1];
+        assertClose(gen2.tons_harvested, gen2.hectares * 10 * 0.9 * 0.9 * gen2.dry_season_factor, 'gen 2 tons');
+        const gen2a = results.all_gens.find(g => g.id === '2a');
+        assertClose(gen2a.tons_harvested, gen2a.hectares * 10 * 0.9 * 0.4 * 0.9 * gen2a.dry_season_factor, 'gen 2a tons');
+    });
+
+    test('a fresh slip refresh resets the decline and buys the slips', () => {
+        const noRefresh = mainGens(calculateSimulation(base));
+        const results = mainGens(calculateSimulation({ ...base, fresh_slip_interval: 2 }));
+        assert.deepEqual(results.map(g => g.fresh_slip_refresh), [false, false, true, false]);
+        assert.deepEqual(results.map(g => Number(g.yield_factor.toFixed(6))), [1, 0.9, 1, 0.9]);
+
+        const gen3 = results[2];
+        const slipCost = gen3.slips_planted * DEFAULT_INPUTS.cost_slip_per_unit;
+        const costPerHectare = noRefresh[2].cost / noRefresh[2].hectares;
+        assertClose(gen3.cost - slipCost, costPerHectare * gen3.hectares, 'gen 3 cost without slips');
+    });
+
+    test('defaults leave the chain unchanged', () => {
+        const results = calculateSimulation(DEFAULT_INPUTS);
+        assert.ok(results.all_gens.every(g => g.yield_factor === 1 && g.fresh_slip_refresh === false));
+    });
+});
+
+test.describe('land constraint', () => {
+    const limited = { ...DEFAULT_INPUTS, land_available_ha: 100 };
+
+    test('plantings are capped at the land available and the binding point is reported', () => {
+        const results = calculateSimulation(limited);
+        assert.ok(results.all_gens.every(g => g.hectares <= 100 + 1e-9));
+        assert.equal(results.land_binding_generation, 'Gen 1a (vine)');
+        const gen1a = results.all_gens[1];
+        assertClose(gen1a.slips_excess, 4200000 - 100 * DEFAULT_INPUTS.planting_density, 'gen 1a excess');
+        assertClose(gen1a.land_utilisation, 1, 'gen 1a utilisation');
+        assert.equal(calculateSimulation(DEFAULT_INPUTS).land_binding_generation, null);
+    });
+
+    test('the expansion schedule adds land from each main generation', () => {
+        const results = calculateSimulation({ ...limited, land_expansion_ha: [0, 50, 100] });
+        assert.deepEqual(results.all_gens.filter(g => !g.is_sub_gen).map(g => g.land_available_ha), [100, 150, 250]);
+    });
+
+    test('excess slips are stored, sold or discarded by rule', () => {
+        const discard = calculateSimulation({ ...limited, excess_slip_rule: 'discard' });
+        const sell = calculateSimulation({ ...limited, excess_slip_rule: 'sell' });
+        const store = calculateSimulation({ ...limited, excess_slip_rule: 'store' });
+        assert.ok(discard.slips_discarded > 0 && discard.slips_sold === 0);
+        assertClose(sell.slips_sold, discard.slips_discarded, 'sold');
+        assertClose(sell.slip_sales, sell.slips_sold * DEFAULT_INPUTS.price_vine_per_cutting, 'slip sales');
+        // Stored gen-1 cuttings join Generation 2's planting
+        const excessGen1 = store.all_gens.filter(g => g.generation === 1).reduce((sum, g) => sum + g.slips_excess, 0);
+        const gen2Wanted = store.all_gens[4].slips_planted + store.all_gens[4].slips_excess;
+        assertClose(gen2Wanted - discard.all_gens[4].slips_planted - discard.all_gens[4].slips_excess, excessGen1 * DEFAULT_INPUTS.slip_survival_rate, 'stored slips');
+    });
+
+    test('main generations only pay clearing on newly cleared land', () => {
+        const results = calculateSimulation(DEFAULT_INPUTS);
+        const [gen1, gen2] = results.all_gens.filter(g => !g.is_sub_gen);
+        assert.equal(gen1.land_reused_ha, 0);
+        assertClose(gen2.land_reused_ha, gen1.hectares, 'reused hectares');
+        const noClearing = calculateSimulation({ ...DEFAULT_INPUTS, cost_land_clearing_per_acre: 0 }).all_gens[4];
+        const clearingPerHa = DEFAULT_INPUTS.cost_land_clearing_per_acre * DEFAULT_INPUTS.acres_per_hectare;
+        assertClose(gen2.cost - noClearing.cost, clearingPerHa * (gen2.hectares - gen1.hectares), 'gen 2 clearing cost');
+    });
+
+    test('reuse applies with unlimited land and sets the Haiti default totals', () => {
+        // Model 1.2.0: reusing 36.4 ha in Generation 2 and 144.4 ha in Generation 3
+        // saves $17,871 of clearing
+        const results = calculateSimulation(DEFAULT_INPUTS);
+        const reused = results.all_gens.reduce((total, g) => total + g.land_reused_ha, 0);
+        const clearingPerHa = DEFAULT_INPUTS.cost_land_clearing_per_acre * DEFAULT_INPUTS.acres_per_hectare;
+        assert.equal(Math.round(reused * clearingPerHa), 17871);
+        assert.equal(Math.round(results.total_cost), 4540222);
+        assert.equal(Math.round(results.total_hectares), 8677);
+        assert.equal(Math.round(results.total_tons), 21924);
+    });
+});
+
+test.describe('daily food balance', () => {
+    const inputs = { ...DEFAULT_INPUTS, people_to_feed: 20000 };
+
+    test('harvests arrive on their calendar dates, less replanting tubers', () => {
+        const results = calculateSimulation(inputs);
+        const balance = simulateFoodBalance(inputs, results);
+        const calendar = buildCalendar({ ...inputs, start_date: '2026-01-01' }, results);
+        const start = Date.parse(calendar.start_date);
+        const harvestDays = new Set(calendar.entries.map(e => (Date.parse(e.harvest_date) - start) / 86400000));
+        const arrivalDays = balance.curve.filter(d => d.arrivals_tons > 0).map(d => d.day);
+        assert.deepEqual(new Set(arrivalDays), harvestDays);
+        const kept = results.all_gens.filter(g => !g.is_sub_gen && g.generation < 3).reduce((sum, g) => sum + g.tons_harvested, 0) * inputs.replant_percent;
+        assertClose(balance.food_tons, results.total_tons - kept, 'food tons');
+    });
+
+    test('every ton is eaten, lost in storage or left in store', () => {
+        const balance = simulateFoodBalance(inputs, calculateSimulation(inputs));
+        const eaten = balance.curve.reduce((sum, d) => sum + d.eaten_tons, 0);
+        const left = balance.curve[balance.curve.length - 1].stock_tons;
+        assertClose(eaten + balance.storage_loss_tons + left, balance.food_tons, 'mass balance');
+        assertClose(eaten / balance.need_tons_per_day, balance.days_covered, 'days covered');
+    });
+
+    test('storage survival applies over the storage period', () => {
+        const results = calculateSimulation(inputs);
+        assertClose(Math.pow(1 - results.storage_decay_per_day, inputs.storage_period_days), inputs.storage_survival_rate, 'survival');
+        const perfect = calculateSimulation({ ...inputs, storage_survival_rate: 1 });
+        assert.equal(perfect.storage_loss_tons, 0);
+        assert.ok(perfect.hungry_gap_days <= results.hungry_gap_days);
+        assert.ok(perfect.food_days_covered > results.food_days_covered);
+    });
+
+    test('hungry-gap days count shortfalls between the first and last harvest', () => {
+        const results = calculateSimulation(inputs);
+        const balance = simulateFoodBalance(inputs, results);
+        const gaps = balance.curve.filter(d => d.hungry && d.day >= balance.first_harvest_day && d.day <= balance.last_harvest_day);
+        assert.equal(results.hungry_gap_days, gaps.length);
+        assert.ok(results.hungry_gap_days > 0);
+        // A handful of people never run short once the first harvest is in
+        assert.equal(calculateSimulation({ ...inputs, people_to_feed: 100 }).hungry_gap_days, 0);
+    });
+
+    test('headline days fed and cost per day come from the daily balance', () => {
+        const results = calculateSimulation(inputs);
+        const balance = simulateFoodBalance(inputs, results);
+        assert.equal(results.total_days_fed, balance.curve.filter(d => !d.hungry).length);
+        assert.equal(results.total_days_fed, results.food_fully_covered_days);
+        // Storage losses and harvest timing leave fewer days fed than the lump sum
+        assert.ok(results.total_days_fed < results.harvest_days_fed);
+        assertClose(results.cost_per_person_per_day, results.total_cost / (results.total_days_fed * inputs.people_to_feed), 'cost per person per day');
+        const few = calculateSimulation({ ...inputs, people_to_feed: 100 });
+        assert.equal(few.annual_days_fed, 365);
+    });
+});
+
+test.describe('economics', () => {
+    const selling = { ...DEFAULT_INPUTS, share_sold: 0.4 };
+
+    test('sold roots earn revenue and leave the food supply', () => {
+        const base = calculateSimulation(DEFAULT_INPUTS);
+        const results = calculateSimulation(selling);
+        assert.equal(base.total_revenue, 0);
+        assertClose(results.tons_sold, results.total_tons * 0.4, 'tons sold');
+        assertClose(results.root_revenue, results.tons_sold * DEFAULT_INPUTS.price_root_per_ton, 'root revenue');
+        assertClose(results.harvest_days_fed, base.harvest_days_fed * 0.6, 'harvest days fed');
+        assert.ok(results.total_days_fed < base.total_days_fed);
+        assertClose(results.gross_margin, results.total_revenue - results.total_cost, 'gross margin');
+    });
+
+    test('break-even price makes the chain margin zero', () => {
+        const results = calculateSimulation(selling);
+        const atBreakEven = calculateSimulation({ ...selling, price_root_per_ton: results.break_even_price_per_ton });
+        assert.ok(Math.abs(atBreakEven.gross_margin) < 1e-6 * results.total_cost, `margin at break-even: ${atBreakEven.gross_margin}`);
+        assert.equal(calculateSimulation(DEFAULT_INPUTS).break_even_price_per_ton, null);
+    });
+
+    test('NPV and payback follow the dated cash flows', () => {
+        // One 120-day generation at two cycles a year: two whole chains fit in the first year
+        const single = { ...selling, num_generations: 1, num_sub_generations: 0, discount_rate: 0, economic_horizon_years: 1 };
+        const noDiscount = calculateSimulation(single);
+        assertClose(noDiscount.npv, 2 * noDiscount.gross_margin, 'undiscounted NPV');
+        const profitable = calculateSimulation({ ...selling, price_root_per_ton: 2000 });
+        assert.ok(profitable.npv > 0);
+        assert.ok(profitable.payback_years > 0 && profitable.payback_years < 1);
+        const discounted = calculateSimulation({ ...selling, price_root_per_ton: 2000, discount_rate: 0.3 });
+        assert.ok(discounted.npv < profitable.npv);
+        assert.equal(calculateSimulation(DEFAULT_INPUTS).payback_years, null);
+    });
+});
+
+test.describe('currency', () => {
+    test('money inputs are converted from their currency tags', () => {
+        const base = calculateSimulation(DEFAULT_INPUTS);
+        const inGourdes = { ...DEFAULT_INPUTS };
+        for (const field of MONEY_INPUT_FIELDS) {
+            inGourdes[field] = DEFAULT_INPUTS[field] * DEFAULT_INPUTS.fx_htg;
+            inGourdes[`${field}_currency`] = 'HTG';
+        }
+        assertClose(calculateSimulation(inGourdes).total_cost, base.total_cost, 'total cost');
+        // A changed rate changes what the tagged amounts are worth
+        const cheaper = calculateSimulation({ ...inGourdes, fx_htg: DEFAULT_INPUTS.fx_htg * 2 });
+        assertClose(cheaper.total_cost, base.total_cost / 2, 'total cost at double the rate');
+    });
+
+    test('exports are in the display currency', () => {
+        const inputs = { ...DEFAULT_INPUTS, currency: 'NGN', fx_ngn: 1500 };
+        const results = calculateSimulation(inputs);
+        const rows = resultsToRows(results, inputs);
+        assert.equal(rows[0][7], 'Cost (NGN)');
+        assertClose(rows[1][7], results.all_gens[0].cost * 1500, 'gen 1 cost');
+        const totalCost = rows.find(r => r[0] === 'Total Cost');
+        assertClose(totalCost[1], results.total_cost * 1500, 'total cost');
+    });
+
+    test('presets carry a local currency and unknown codes are rejected', () => {
+        assert.ok(Object.values(COUNTRY_PRESETS).every(p => /^[A-Z]{3}$/.test(p.currency)));
+        const errors = validateInputs({ ...DEFAULT_INPUTS, currency: 'XYZ', cost_slip_per_unit_currency: 'ABC' });
+        assert.deepEqual(errors.map(e => e.field).sort(), ['cost_slip_per_unit_currency', 'currency']);
+    });
+});
+
+test.describe('monte carlo', () => {
+    test('trials run in chunks match a single run with the same seed', () => {
+        const distributions = [{ id: 'tons_per_hectare', type: 'triangular', min: 5, max: 15 }];
+        const whole = runMonteCarlo(DEFAULT_INPUTS, distributions, 30, 7);
+        const rng = createRng(7);
+        const samples = Object.fromEntries(MONTE_CARLO_METRICS.map(m => [m.key, []]));
+        for (let done = 0; done < 30; done += 8) {
+            runMonteCarloTrials(DEFAULT_INPUTS, distributions, Math.min(8, 30 - done), rng, samples);
+        }
+        assert.deepEqual(samples, whole.samples);
+        assert.deepEqual(summarizeMonteCarlo(samples), whole.stats);
+    });
+
+    test('sampled values stay inside [min, max]', () => {
+        const rng = createRng(3);
+        for (const type of ['uniform', 'triangular', 'normal']) {
+            const spec = { type, min: 5, max: 15 };
+            // A base value at the edge pushes normal draws against the clamp
+            for (const baseValue of [10, 5, 15]) {
+                for (let i = 0; i < 500; i++) {
+                    const value = sampleDistribution(spec, baseValue, rng);
+                    assert.ok(value >= 5 && value <= 15, `${type} draw ${value} around ${baseValue}`);
+                }
+            }
+        }
+        assert.equal(sampleDistribution({ type: 'normal', min: 8, max: 8 }, 10, rng), 8);
+    });
+});
+
+test.describe('two-way sensitivity', () => {
+    const sensitivity = runTwoWaySensitivity(DEFAULT_INPUTS, 'tons_per_hectare', 'crop_survival_rate', 'total_tons', 0.2, 0.1, 5);
+
+    test('the grid has one row per y value and one column per x value', () => {
+        assert.equal(sensitivity.xValues.length, 5);
+        assert.equal(sensitivity.yValues.length, 5);
+        assert.equal(sensitivity.grid.length, 5);
+        for (const row of sensitivity.grid) assert.equal(row.length, 5);
+        assertClose(sensitivity.xValues[0], DEFAULT_INPUTS.tons_per_hectare * 0.8, 'lowest x');
+        assertClose(sensitivity.yValues[4], DEFAULT_INPUTS.crop_survival_rate * 1.1, 'highest y');
+    });
+
+    test('the centre cell is the base case', () => {
+        assertClose(sensitivity.baseValue, calculateSimulation(DEFAULT_INPUTS).total_tons, 'base value');
+        assertClose(sensitivity.grid[2][2], sensitivity.baseValue, 'centre cell');
+    });
+});
+
+test.describe('goal seek', () => {
+    test('reaches a reachable target with the smallest whole number of slips', () => {
+        const target = calculateSimulation(DEFAULT_INPUTS).total_tons * 1.5;
+        const solution = goalSeek(DEFAULT_INPUTS, 'initial_slips', 'total_tons', 'atLeast', target);
+        assert.equal(solution.status, 'solved');
+        assert.ok(Number.isInteger(solution.value));
+        assert.ok(solution.results.total_tons >= target);
+        assert.ok(calculateSimulation({ ...DEFAULT_INPUTS, initial_slips: solution.value - 1 }).total_tons < target);
+    });
+
+    test('solves a budget ceiling from above', () => {
+        const budget = calculateSimulation(DEFAULT_INPUTS).total_cost * 0.5;
+        const solution = goalSeek(DEFAULT_INPUTS, 'initial_hectares', 'total_cost', 'atMost', budget);
+        assert.equal(solution.status, 'solved');
+        assert.ok(solution.results.total_cost <= budget);
+        assertClose(solution.results.total_cost, budget, 'cost at the solution');
+    });
+
+    test('reports no solution for an unreachable target', () => {
+        const solution = goalSeek(DEFAULT_INPUTS, 'tons_per_hectare', 'total_tons', 'atLeast', 1e15);
+        assert.deepEqual({ status: solution.status, value: solution.value, results: solution.results }, { status: 'no_solution', value: null, results: null });
+        assert.ok(solution.range.max < 1e15);
+    });
+
+    test('keeps rates at or below 1 and other inputs within a thousandfold of their value', () => {
+        const atFull = calculateSimulation({ ...DEFAULT_INPUTS, crop_survival_rate: 1 }).total_tons;
+        const unreachable = goalSeek(DEFAULT_INPUTS, 'crop_survival_rate', 'total_tons', 'atLeast', atFull * 1.01);
+        assert.equal(unreachable.status, 'no_solution');
+        assertClose(unreachable.range.max, atFull, 'best tons within the rate bound');
+        const reachable = goalSeek(DEFAULT_INPUTS, 'crop_survival_rate', 'total_tons', 'atLeast', atFull * 0.99);
+        assert.ok(reachable.value > 0 && reachable.value <= 1);
+
+        const base = DEFAULT_INPUTS.tons_per_hectare;
+        const high = goalSeek(DEFAULT_INPUTS, 'tons_per_hectare', 'total_tons', 'atLeast', 1e15);
+        assertClose(high.range.max, calculateSimulation({ ...DEFAULT_INPUTS, tons_per_hectare: base * 1000 }).total_tons, 'tons at the upper bound');
+        assertClose(high.range.min, calculateSimulation({ ...DEFAULT_INPUTS, tons_per_hectare: base / 1000 }).total_tons, 'tons at the lower bound');
+    });
+});
+
+test.describe('budget optimizer', () => {
+    const variables = [
+        { id: 'initial_slips', min: 300000, max: 4800000, integer: true },
+        { id: 'replant_percent', min: 0.01, max: 0.5 },
+        { id: 'vine_cuttings_per_plant', min: 1, max: 10 },
+    ];
+    const base = calculateSimulation(DEFAULT_INPUTS);
+    const budget = base.total_cost * 1.2;
+    const optimization = optimizeBudget(DEFAULT_INPUTS, { variables, objective: 'total_tons', costMetric: 'total_cost', budget, samples: 60, seed: 11 });
+
+    test('the best mix keeps within the budget and the bounds', () => {
+        assert.ok(optimization.best.results.total_cost <= budget);
+        for (const v of variables) {
+            const val = optimization.best.values[v.id];
+            assert.ok(val >= v.min && val <= v.max, `${v.id} within bounds`);
+        }
+        assert.ok(Number.isInteger(optimization.best.values.initial_slips));
+    });
+
+    test('the best mix beats or matches the starting mix', () => {
+        assert.ok(optimization.best.results.total_tons >= base.total_tons);
+    });
+
+    test('a budget below every mix finds nothing', () => {
+        const none = optimizeBudget(DEFAULT_INPUTS, { variables, objective: 'total_tons', costMetric: 'total_cost', budget: 1, samples: 10, seed: 11 });
+        assert.equal(none.best, null);
+    });
+
+    test('no frontier point is dominated by another point tried', () => {
+        const dominates = (a, b) => a.cost <= b.cost && a.impact >= b.impact && (a.cost < b.cost || a.impact > b.impact);
+        assert.ok(optimization.frontier.length > 0);
+        for (const point of optimization.frontier) {
+            assert.ok(!optimization.evaluated.some(other => dominates(other, point)));
+        }
+        const costs = optimization.frontier.map(p => p.cost);
+        assert.deepEqual(costs, costs.slice().sort((a, b) => a - b));
+    });
+
+    test('paretoFrontier keeps only undominated points, cheapest first', () => {
+        const points = [{ cost: 3, impact: 5 }, { cost: 1, impact: 2 }, { cost: 2, impact: 2 }, { cost: 2, impact: 4 }, { cost: 4, impact: 4 }];
+        assert.deepEqual(paretoFrontier(points), [{ cost: 1, impact: 2 }, { cost: 2, impact: 4 }, { cost: 3, impact: 5 }]);
+    });
+});
+
+test.describe('nutrition', () => {
+    test('cooking retention scales what the roots and leaves supply', () => {
+        const base = calculateSimulation(DEFAULT_INPUTS).total_nutrients.vitamin_c.supplied;
+        const halved = calculateSimulation({ ...DEFAULT_INPUTS, vitamin_c_root_retention: 0.375, vitamin_c_leaf_retention: 0.25 });
+        assertClose(halved.total_nutrients.vitamin_c.supplied, base / 2, 'vitamin C supplied');
+    });
+
+    test('roots sold supply nothing but leaves still count', () => {
+        const inputs = { ...DEFAULT_INPUTS, share_sold: 1 };
+        const protein = calculateSimulation(inputs).total_nutrients.protein;
+        const leavesOnly = calculateSimulation({ ...DEFAULT_INPUTS, protein_root_per_100g: 0 }).total_nutrients.protein;
+        assertClose(protein.supplied, leavesOnly.supplied, 'protein supplied');
+        const noLeaves = calculateSimulation({ ...inputs, leaf_tons_per_root_ton: 0 });
+        assert.ok(NUTRIENTS.every(n => noLeaves.total_nutrients[n.key].supplied === 0));
+    });
+
+    test('totals add up the generations and person-days follow each need', () => {
+        const results = calculateSimulation(DEFAULT_INPUTS);
+        for (const nutrient of NUTRIENTS) {
+            const total = results.total_nutrients[nutrient.key];
+            const sum = results.all_gens.reduce((s, g) => s + g.nutrients[nutrient.key].days_covered, 0);
+            assertClose(total.days_covered, sum, `${nutrient.key} days covered`);
+            for (const group of POPULATION_GROUPS) {
+                const need = DEFAULT_INPUTS[`${nutrient.key}_need_${group.key}`];
+                assertClose(total.person_days[group.key], total.supplied / need, `${nutrient.key} ${group.key} person-days`);
+            }
+        }
+    });
+
+    test('population shares must add up to 1', () => {
+        const errors = validateInputs({ ...DEFAULT_INPUTS, population_share_adults: 0.5 });
+        assert.deepEqual(errors.map(e => e.field), ['population_share_children_under_5']);
+    });
+});
+
+test.describe('beneficiaries', () => {
+    const households = { ...DEFAULT_INPUTS, beneficiary_mode: 'households' };
+
+    test('household needs come from the age/sex requirement tables', () => {
+        const needs = beneficiaryNeeds(households);
+        assert.equal(needs.people, DEFAULT_INPUTS.households * DEFAULT_INPUTS.household_size);
+        const energyPerPerson = DEMOGRAPHIC_GROUPS.reduce((sum, g) => sum + g.share * g.energy, 0);
+        assertClose(needs.calories_per_day, needs.people * energyPerPerson * DEFAULT_INPUTS.ofsp_energy_share, 'calories per day');
+        // The same harvest, measured against the derived need
+        const people = calculateSimulation(DEFAULT_INPUTS);
+        const results = calculateSimulation(households);
+        assertClose(results.harvest_days_fed * needs.calories_per_day, people.harvest_days_fed * beneficiaryNeeds(DEFAULT_INPUTS).calories_per_day, 'calories eaten');
+        assertClose(results.all_gens[0].vitamin_a_child_days, results.all_gens[0].vitamin_a_mcg / DEMOGRAPHIC_GROUPS[0].vitaminA, 'VA child-days');
+    });
+
+    test('a growing population is fed for fewer days by later harvests', () => {
+        const base = calculateSimulation(DEFAULT_INPUTS);
+        const grown = calculateSimulation({ ...DEFAULT_INPUTS, population_growth_rate: 0.03 });
+        assertClose(grown.all_gens[0].days_fed, base.all_gens[0].days_fed / Math.pow(1.03, DEFAULT_INPUTS.days_to_harvest / 365), 'gen 1 days fed');
+        assert.ok(grown.harvest_days_fed < base.harvest_days_fed);
+        assert.ok(grown.total_days_fed <= base.total_days_fed);
+        assert.ok(grown.food_days_covered < base.food_days_covered);
+    });
+
+    test('share of need met is shared overall and capped per targeted group', () => {
+        const results = calculateSimulation({ ...households, households: 2000000 });
+        const coverage = results.beneficiaries;
+        assertClose(coverage.calorie_share_met, coverage.annual_calories / (coverage.calories_per_day * 365), 'calorie share');
+        const children = coverage.groups.find(g => g.key === 'children_0_4');
+        const men = coverage.groups.find(g => g.key === 'men_20_59');
+        assert.ok(children.calorie_share_met > men.calorie_share_met);
+        assert.ok(coverage.groups.every(g => g.vitamin_a_share_met <= 1 && g.vitamin_a_people_covered <= g.people));
+    });
+
+    test('in households mode the age/sex shares set the nutrient group shares', () => {
+        const shares = nutrientGroupShares(households);
+        assertClose(shares.children_under_5, DEFAULT_INPUTS.composition_children_0_4, 'children share');
+        assertClose(shares.pregnant_lactating, DEFAULT_INPUTS.population_share_pregnant_lactating, 'pregnant share');
+        assertClose(shares.adults, 1 - shares.children_under_5 - shares.pregnant_lactating, 'adults share');
+        // The population_share_* children and adults inputs are ignored, the composition is not
+        const ignored = calculateSimulation({ ...households, population_share_children_under_5: 0.5, population_share_adults: 0.44 });
+        const base = calculateSimulation(households);
+        assertClose(ignored.total_nutrients.iron.days_covered, base.total_nutrients.iron.days_covered, 'iron days covered');
+        const younger = calculateSimulation({ ...households, composition_children_0_4: 0.25, composition_adults_60_plus: 0 });
+        assert.notEqual(younger.total_nutrients.iron.days_covered, base.total_nutrients.iron.days_covered);
+        assert.deepEqual(validateInputs({ ...households, population_share_children_under_5: 0.5 }), []);
+    });
+
+    test('pregnant and lactating women cannot outnumber the girls and women', () => {
+        const errors = validateInputs({ ...households, population_share_pregnant_lactating: 0.4 });
+        assert.deepEqual(errors.map(e => e.field), ['population_share_pregnant_lactating']);
+    });
+
+    test('age/sex shares must add up to 1 and the mode must be known', () => {
+        const errors = validateInputs({ ...households, composition_men_20_59: 0.5, beneficiary_mode: 'villages' });
+        assert.deepEqual(errors.map(e => e.field).sort(), ['beneficiary_mode', 'composition_children_0_4']);
+    });
+});
+
+test.describe('preset library', () => {
+    test('built-in presets set and cite every input and validate', () => {
+        for (const { id } of BUILTIN_PRESETS) {
+            const preset = resolvePreset(id);
+            assert.deepEqual(Object.keys(preset.values).sort(), Object.keys(DEFAULT_INPUTS).sort(), id);
+            assert.ok(Object.values(preset.sources).every(src => typeof src === 'string' && src.length > 0), id);
+            assert.deepEqual(validateInputs(preset.values), [], id);
+        }
+        assert.equal(resolvePreset('nowhere'), null);
+    });
+
+    test('country presets are the first zone of each country', () => {
+        assert.deepEqual(COUNTRY_PRESETS.nigeria, resolvePreset('nigeria-middle-belt-rainfed').values);
+        assert.equal(COUNTRY_PRESETS.haiti.tons_per_hectare, DEFAULT_INPUTS.tons_per_hectare);
+    });
+
+    test('legacy presets become version 1 of a named preset', () => {
+        const preset = normalizePreset({ tons_per_hectare: '11.5', bogus: 1 }, 'Old calib');
+        assert.equal(preset.name, 'Old calib');
+        assert.equal(preset.version, 1);
+        assert.deepEqual(preset.values, { tons_per_hectare: 11.5 });
+    });
+
+    test('preset files round-trip and drop unknown or invalid values', () => {
+        const built = resolvePreset('malawi-dimba-wetland');
+        const { presets, errors } = parsePresetFile(JSON.parse(JSON.stringify(buildPresetFile([built]))));
+        assert.deepEqual(errors, []);
+        assert.deepEqual(presets[0].values, built.values);
+        assert.deepEqual(presets[0].based_on, { id: built.id, version: built.version });
+
+        const parsed = parsePresetFile({ name: 'Trial', version: 2, values: { tons_per_hectare: 14, crop_survival_rate: 7, bogus: 1 } });
+        assert.deepEqual(parsed.presets[0].values, { tons_per_hectare: 14 });
+        assert.equal(parsed.presets[0].version, 2);
+        assert.equal(parsed.errors.length, 2);
+    });
+});
+
+test.describe('scenario sharing', () => {
+    test('cleaning drops legacy and unknown keys and fills defaults', () => {
+        const { inputs, notes } = cleanScenarioInputs({ tons_per_hectare: '8', yield_mode: 'fixed', bogus: 1, preset: { id: 'haiti-north-rainfed' } });
+        assert.equal(inputs.tons_per_hectare, 8);
+        assert.equal(inputs.people_to_feed, DEFAULT_INPUTS.people_to_feed);
+        assert.ok(!('yield_mode' in inputs) && !('bogus' in inputs));
+        assert.deepEqual(inputs.preset, { id: 'haiti-north-rainfed', name: 'haiti-north-rainfed', version: 1 });
+        assert.ok(notes.some(n => n.includes('yield_mode')));
+        assert.ok(notes.some(n => n.includes('bogus')));
+    });
+
+    test('scenario files round-trip and accept the saved-scenarios map', () => {
+        const inputs = { ...DEFAULT_INPUTS, tons_per_hectare: 12, start_date: '2026-03-01', actuals: { '1': { tons_harvested: 50 } } };
+        const file = buildScenarioFile([{ name: 'Base', description: 'Pilot', tags: ['north'], inputs }]);
+        const { scenarios, errors } = parseScenarioFile(JSON.parse(JSON.stringify(file)));
+        assert.deepEqual(errors, []);
+        assert.deepEqual(scenarios, [{ name: 'Base', description: 'Pilot', tags: ['north'], author: '', inputs }]);
+
+        const map = parseScenarioFile({ Old: { tons_per_hectare: 9, yield_mode: 'fixed' } });
+        assert.equal(map.scenarios[0].name, 'Old');
+        assert.equal(map.scenarios[0].inputs.tons_per_hectare, 9);
+        assert.deepEqual(parseScenarioFile(null).scenarios, []);
+    });
+
+    test('name clashes are renamed, overwritten or skipped', () => {
+        const saved = { A: { tons_per_hectare: 1 }, 'A (2)': { tons_per_hectare: 2 } };
+        const imported = [{ name: 'A', inputs: { tons_per_hectare: 3 } }, { name: 'B', inputs: { tons_per_hectare: 4 } }];
+
+        const renamed = mergeScenarios(saved, imported, 'rename');
+        assert.deepEqual(renamed.renamed, [{ from: 'A', to: 'A (3)' }]);
+        assert.deepEqual(renamed.added, ['B']);
+        assert.equal(renamed.scenarios['A (3)'].tons_per_hectare, 3);
+        assert.equal(saved['A (3)'], undefined);
+
+        assert.equal(mergeScenarios(saved, imported, 'overwrite').scenarios.A.tons_per_hectare, 3);
+        const skipped = mergeScenarios(saved, imported, 'skip');
+        assert.deepEqual(skipped.skipped, ['A']);
+        assert.equal(skipped.scenarios.A.tons_per_hectare, 1);
+    });
+
+    test('share links carry the full input set', () => {
+        const inputs = { ...DEFAULT_INPUTS, rainy_seasons: 'May-Oct', preset: { id: 'x', name: 'Haïti — north', version: 2 } };
+        const token = encodeShareLink(inputs);
+        assert.match(token, /^[A-Za-z0-9_-]+$/);
+        assert.deepEqual(decodeShareLink(token), inputs);
+        assert.equal(decodeShareLink('not a link!'), null);
+    });
+});
+
+test.describe('scenario library', () => {
+    test('every save adds a revision with a result snapshot', () => {
+        const first = addScenarioRevision(null, 'Pilot', { ...DEFAULT_INPUTS }, { description: 'North pilot', tags: 'pilot, north, pilot' }, '2026-01-01T00:00:00.000Z');
+        const second = addScenarioRevision(first, 'Pilot', { ...DEFAULT_INPUTS, tons_per_hectare: 12 }, { note: 'Better yield' }, '2026-02-01T00:00:00.000Z');
+        assert.equal(first.revisions.length, 1);
+        assert.equal(second.revisions.length, 2);
+        assert.equal(second.created, '2026-01-01T00:00:00.000Z');
+        assert.equal(second.modified, '2026-02-01T00:00:00.000Z');
+        assert.deepEqual(second.tags, ['pilot', 'north']);
+        assert.equal(second.description, 'North pilot');
+        assert.equal(latestRevision(second).note, 'Better yield');
+        const expected = calculateSimulation(normalizeInputs({ ...DEFAULT_INPUTS, tons_per_hectare: 12 }));
+        assert.equal(latestRevision(second).snapshot.total_tons, expected.total_tons);
+        assert.equal(addScenarioRevision(null, 'Bad', { ...DEFAULT_INPUTS, initial_slips: -1 }).revisions[0].snapshot, null);
+    });
+
+    test('scenarios saved before the library become one-revision records', () => {
+        const record = normalizeScenarioRecord({ tons_per_hectare: 9, preset: { id: 'haiti-north-rainfed', name: 'Haiti', version: 1 } }, 'Old');
+        assert.equal(record.name, 'Old');
+        assert.equal(record.revisions.length, 1);
+        assert.equal(record.created, null);
+        assert.equal(record.preset.id, 'haiti-north-rainfed');
+        assert.deepEqual(parseTags([' a ', '', 'b', 'a']), ['a', 'b']);
+    });
+
+    test('diffs list changed inputs and ignore blank differences', () => {
+        const changes = diffScenarioInputs(
+            { ...DEFAULT_INPUTS, actuals: {} },
+            { ...DEFAULT_INPUTS, tons_per_hectare: 12, start_date: '2026-03-01' },
+        );
+        assert.deepEqual(changes, [
+            { field: 'tons_per_hectare', from: DEFAULT_INPUTS.tons_per_hectare, to: 12 },
+            { field: 'start_date', from: null, to: '2026-03-01' },
+        ]);
+        assert.deepEqual(diffScenarioInputs({ tons_per_hectare: DEFAULT_INPUTS.tons_per_hectare }, {}), []);
+    });
+});
+
+test.describe('scenario comparison', () => {
+    const scenarios = [
+        { name: 'Base', inputs: {} },
+        { name: 'High yield', inputs: { tons_per_hectare: 12 } },
+        { name: 'One sub-gen', inputs: { num_sub_generations: 1 } },
+        { name: 'Broken', inputs: { initial_slips: -1 } },
+    ];
+
+    test('compares any number of scenarios against a chosen baseline', () => {
+        const comparison = compareScenarios(scenarios, 1);
+        const tons = comparison.metrics.find(m => m.key === 'total_tons');
+        const base = calculateSimulation(normalizeInputs({})).total_tons;
+        const high = calculateSimulation(normalizeInputs({ tons_per_hectare: 12 })).total_tons;
+        assert.equal(tons.values.length, 4);
+        assert.equal(tons.deltas[1], 0);
+        assert.ok(Math.abs(tons.deltas[0] - (base - high)) < 1e-6);
+        assert.ok(Math.abs(tons.percent_deltas[0] - (base - high) / high) < 1e-12);
+        assert.equal(tons.values[3], null);
+        assert.equal(comparison.scenarios[3].results, null);
+        assert.ok(comparison.scenarios[3].errors.length > 0);
+    });
+
+    test('generations are matched by id across chain shapes', () => {
+        const comparison = compareScenarios(scenarios, 0);
+        assert.deepEqual(comparison.generations.slice(0, 4).map(g => g.id), ['1', '1a', '1b', '1c']);
+        const gen1b = comparison.generations.find(g => g.id === '1b');
+        assert.equal(gen1b.values.tons_harvested[2], null);
+        assert.ok(gen1b.values.tons_harvested[0] > 0);
+    });
+
+    test('comparison rows carry values, changes and percent changes', () => {
+        const rows = comparisonToRows(compareScenarios(scenarios.slice(0, 2), 0), DEFAULT_INPUTS);
+        const header = rows.find(r => r[0] === 'Metric');
+        assert.deepEqual(header, ['Metric', 'Base', 'Base Change', 'Base Change (%)', 'High yield', 'High yield Change', 'High yield Change (%)']);
+        const tons = rows.find(r => r[0] === 'Total Tons Harvested');
+        assert.equal(tons[2], 0);
+        assert.ok(tons[6] > 0);
+        assert.ok(rows.some(r => r[0] === 'Generation 1' && r[1] === 'Tons Harvested'));
+    });
+});
+
+test.describe('workbook', () => {
+    test('input sheet rows read back into the same inputs', () => {
+        const inputs = normalizeInputs({ tons_per_hectare: 12, land_expansion_ha: [2, 3], start_date: '2026-03-01' });
+        const rows = inputsToSheetRows(inputs, { tons_per_hectare: 'Yield (t/ha)' });
+        assert.deepEqual(rows[0], ['Field', 'Label', 'Value', 'Unit', 'Source']);
+        assert.deepEqual(rows.find(r => r[0] === 'land_expansion_ha').slice(2, 3), ['2, 3']);
+        const { inputs: read, errors } = parseInputSheet([['OFSP inputs'], [], ...rows]);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(read, inputs);
+    });
+
+    test('fields match by label, blank numbers keep defaults and problems are reported', () => {
+        const labels = { tons_per_hectare: 'Yield (t/ha)', initial_slips: 'Initial Slips' };
+        const { inputs, errors } = parseInputSheet([
+            ['Value', 'Field'],
+            [14, 'yield (T/HA)'],
+            ['', 'Initial Slips'],
+            [1.5, 'slip_survival_rate'],
+            [3, 'mystery'],
+            [16, 'tons_per_hectare'],
+        ], labels);
+        assert.equal(inputs.tons_per_hectare, 14);
+        assert.equal(inputs.initial_slips, DEFAULT_INPUTS.initial_slips);
+        assert.equal(inputs.slip_survival_rate, 1.5);
+        assert.ok(errors.some(e => e.includes('tons_per_hectare is listed twice')));
+        assert.ok(errors.some(e => e.includes('mystery')));
+        assert.ok(errors.some(e => e.startsWith('slip_survival_rate')));
+        assert.equal(parseInputSheet([['a', 'b']]).inputs, null);
+    });
+
+    test('tornado rows rank every input with each swing of each metric', () => {
+        const inputs = normalizeInputs({});
+        const analysis = runTornadoAnalysis(inputs);
+        const rows = tornadoToRows(analysis, inputs, 'total_days_fed', 0.25);
+        assert.equal(rows.length, 1 + analysis.rows.length);
+        assert.equal(rows[0].length, 3 + 3 * (1 + 2 * 2));
+        assert.deepEqual(rows.slice(1, 3).map(r => r[0]), [1, 2]);
+        const effect = (r) => Math.max(Math.abs(r[6] - r[3]), Math.abs(r[7] - r[3]));
+        assert.ok(effect(rows[1]) >= effect(rows[2]));
+    });
+});
+
+test.describe('report', () => {
+    test('every input shown in the assumptions has a unit or is a choice', () => {
+        const inputs = normalizeInputs({ cost_forking_per_acre_currency: 'HTG' });
+        const rows = assumptionRows(inputs);
+        assert.deepEqual(rows[0], ['Assumption', 'Value', 'Unit', 'Source']);
+        assert.ok(!rows.some(r => r[0] === 'cost_forking_per_acre_currency'));
+        assert.deepEqual(rows.filter(r => r[2] === '').map(r => r[0]), ['excess_slip_rule', 'currency', 'beneficiary_mode']);
+        assert.equal(inputUnit('cost_forking_per_acre', inputs), 'HTG/acre');
+        assert.equal(inputUnit('price_root_per_ton', inputs), 'USD/t');
+        assert.equal(inputUnit('iron_need_adults'), 'mg/person/day');
+        assert.equal(inputUnit('fx_htg'), 'HTG per USD');
+    });
+
+    test('sources cite the default or preset only for values left as they were', () => {
+        const inputs = normalizeInputs({ tons_per_hectare: 14, cost_forking_per_acre: 900, cost_forking_per_acre_currency: 'HTG' });
+        const source = (field) => assumptionRows(inputs).find(r => r[0] === field)[3];
+        assert.equal(source('planting_density'), defaultInputSource('planting_density'));
+        assert.equal(source('tons_per_hectare'), 'Entered by user');
+        assert.equal(source('cost_forking_per_acre'), 'Entered by user');
+        assert.equal(inputsToSheetRows(inputs).find(r => r[0] === 'cost_forking_per_acre_currency')[4], 'Entered in HTG');
+        assert.equal(inputSource('cost_weeding_per_acre_currency', inputs), 'Entered in USD');
+
+        const preset = resolvePreset('haiti-artibonite-irrigated');
+        const fromPreset = { ...preset.values, days_to_harvest: preset.values.days_to_harvest + 10 };
+        assert.equal(inputSource('tons_per_hectare', fromPreset, preset), preset.sources.tons_per_hectare);
+        assert.equal(inputSource('days_to_harvest', fromPreset, preset), 'Entered by user');
+        assert.equal(inputSource('tons_per_hectare', fromPreset), 'Entered by user');
+    });
+
+    test('findings name the inputs with the largest effect on each metric', () => {
+        const analysis = runTornadoAnalysis(normalizeInputs({}));
+        const findings = tornadoFindings(analysis, 0.25, 2);
+        assert.equal(findings.length, 3);
+        const daysFed = findings.find(f => f.metric.key === 'total_days_fed');
+        assert.equal(daysFed.inputs.length, 2);
+        const top = analysis.rows.find(r => r.label === daysFed.inputs[0].label);
+        const base = analysis.base.total_days_fed;
+        assert.ok(Math.abs(daysFed.inputs[0].high - (top.swings[0.25].high.total_days_fed - base) / base) < 1e-12);
+        assert.ok(Math.max(Math.abs(daysFed.inputs[0].low), Math.abs(daysFed.inputs[0].high))
+            >= Math.max(Math.abs(daysFed.inputs[1].low), Math.abs(daysFed.inputs[1].high)));
+    });
+});
+
+test.describe('result exports', () => {
+    test('CSV quotes only values that need it and doubles embedded quotes', () => {
+        const csv = rowsToCSV([['Name', 'Note'], ['Pilot, north', 'said "go"'], [1.5, null], ['two\nlines']]);
+        assert.equal(csv, 'Name,Note\n"Pilot, north","said ""go"""\n1.5,\n"two\nlines"');
+    });
+
+    test('results file carries inputs, results and the model version', () => {
+        const file = buildResultsFile([{ name: 'Base', inputs: {} }, { name: 'Broken', inputs: { initial_slips: -1 } }], new Date('2026-03-01T00:00:00Z'));
+        assert.equal(file.model_version, MODEL_VERSION);
+        assert.equal(file.exported, '2026-03-01T00:00:00.000Z');
+        assert.equal(file.scenarios[0].results.total_tons, calculateSimulation(normalizeInputs({})).total_tons);
+        assert.deepEqual(file.scenarios[0].inputs, normalizeInputs({}));
+        assert.equal(file.scenarios[1].results, null);
+        assert.ok(file.scenarios[1].errors.length > 0);
+        assert.deepEqual(JSON.parse(JSON.stringify(file)).scenarios[0].inputs, file.scenarios[0].inputs);
+    });
+
+    test('results file has a fixed layout stamped with its format and the model version', () => {
+        const file = buildResultsFile([{ name: 'Base', inputs: {} }]);
+        assert.deepEqual(Object.keys(file), ['format', 'format_version', 'model_version', 'exported', 'results_currency', 'scenarios']);
+        assert.equal(file.format, 'ofsp-results');
+        assert.equal(file.format_version, 1);
+        assert.equal(file.model_version, MODEL_VERSION);
+        assert.match(file.model_version, /^\d+\.\d+\.\d+$/);
+        assert.equal(file.results_currency, 'USD');
+        assert.deepEqual(Object.keys(file.scenarios[0]), ['name', 'inputs', 'results', 'errors']);
+        assert.deepEqual(file.scenarios[0].errors, []);
+    });
+
+    test('full CSV column headers', () => {
+        const inputs = normalizeInputs({});
+        const rows = fullResultsRows(calculateSimulation(inputs), inputs);
+        assert.deepEqual(rows[2], ['Generation', 'Slips Planted', 'Area (ha)', 'Potatoes Harvested', 'Tons Harvested', 'Days Fed', 'VA Child-Days', 'Cost (USD)', 'Yield Factor', 'Fresh Slips', 'Tons Sold', 'Revenue (USD)',
+            'Protein Days Covered', 'Iron Days Covered', 'Zinc Days Covered', 'Vitamin C Days Covered', 'Fibre Days Covered']);
+        assert.deepEqual(rows.find(r => r[0] === 'Field'), ['Field', 'Label', 'Value', 'Unit', 'Source']);
+    });
+
+    test('full CSV lists every input with its unit after the results', () => {
+        const inputs = normalizeInputs({});
+        const rows = fullResultsRows(calculateSimulation(inputs), inputs);
+        assert.deepEqual(rows[0], ['Model Version', MODEL_VERSION]);
+        const header = rows.findIndex(r => r[0] === 'Field');
+        assert.ok(header > rows.findIndex(r => r[0] === 'Summary'));
+        assert.equal(rows.length - header - 1, Object.keys(DEFAULT_INPUTS).length + 1);
+        assert.deepEqual(rows.find(r => r[0] === 'tons_per_hectare').slice(2, 4), [10, 't/ha']);
+    });
+
+    test('tidy rows stack scenarios one value per row', () => {
+        const base = calculateSimulation(normalizeInputs({}));
+        const short = calculateSimulation(normalizeInputs({ num_sub_generations: 1 }));
+        const rows = tidyRows([{ name: 'Base', results: base }, { name: 'Short', results: short }]);
+        assert.deepEqual(rows[0], ['scenario', 'generation', 'metric', 'value']);
+        assert.ok(rows.slice(1).every(r => r.length === 4));
+        const find = (scenario, gen, metric) => rows.find(r => r[0] === scenario && r[1] === gen && r[2] === metric);
+        assert.equal(find('Base', '1a', 'tons_harvested')[3], base.all_gens[1].tons_harvested);
+        assert.equal(find('Base', '1', 'cost_usd')[3], base.all_gens[0].cost);
+        assert.equal(find('Short', 'total', 'total_days_fed')[3], short.total_days_fed);
+        assert.equal(find('Short', '1b', 'tons_harvested'), undefined);
+        assert.equal(find('Base', 'total', 'payback_years')[3], Number.isFinite(base.payback_years) ? base.payback_years : '');
+    });
+
+    test('tidy rows name the same metrics for every generation', () => {
+        const results = calculateSimulation(normalizeInputs({}));
+        const rows = tidyRows([{ name: 'Base', results }]);
+        const metricsFor = (gen) => rows.filter(r => r[1] === gen).map(r => r[2]);
+        const genMetrics = ['slips_planted', 'hectares', 'potatoes_harvested', 'tons_harvested', 'days_fed', 'vitamin_a_child_days', 'cost_usd', 'yield_factor', 'tons_sold', 'revenue_usd',
+            'protein_days_covered', 'iron_days_covered', 'zinc_days_covered', 'vitamin_c_days_covered', 'fibre_days_covered'];
+        for (const gen of results.all_gens) assert.deepEqual(metricsFor(gen.id), genMetrics);
+        assert.ok(metricsFor('total').includes('total_tons'));
+        assert.ok(metricsFor('total').every(metric => !metric.includes(' ')));
+    });
+});